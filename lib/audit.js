@@ -0,0 +1,117 @@
+// Audit trail of changes to creditors, debtors, their items, payments, exchange rates, statement templates
+// and ledger shares. Entries are written inside the transaction of the change they describe, so a change
+// that rolls back leaves no entry. before and after are snapshots of the stored rows as JSON: before is
+// null for a create and after is null for a delete (which moves the record to the trash) or a purge.
+// parent_type and parent_id point items and payments at their counterparty, so one query finds the whole
+// history of a counterparty. ledger_id is the owner of the books the change was made in, and null for
+// exchange rates and statement templates.
+const { searchPattern } = require('./listing');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'import', 'restore', 'purge'];
+const AUDIT_ENTITIES = ['creditor', 'debtor', 'creditor_item', 'debtor_item', 'payment', 'exchange_rate', 'statement_template', 'ledger_share'];
+
+// Fields that change on their own and say nothing about what the user did
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Records whose snapshots carry their owner's user_id, and the tables of the counterparties items belong to
+const OWNED_ENTITIES = ['creditor', 'debtor', 'payment'];
+const PARENT_TABLES = { creditor: 'creditors', debtor: 'debtors' };
+
+// ledgerId defaults to the owner of the record, read from its snapshot or from its counterparty
+async function recordAudit(db, { userId, ledgerId = null, entityType, entityId, parentType = null, parentId = null, action, before = null, after = null }) {
+    if (ledgerId === null && OWNED_ENTITIES.includes(entityType)) {
+        ledgerId = (after || before).user_id;
+    } else if (ledgerId === null && PARENT_TABLES[parentType]) {
+        const parent = await db.query(`SELECT user_id FROM ${PARENT_TABLES[parentType]} WHERE id = $1`, [parentId]);
+        ledgerId = parent.rows.length ? parent.rows[0].user_id : null;
+    }
+    await db.query(
+        `INSERT INTO audit_log (user_id, ledger_id, entity_type, entity_id, parent_type, parent_id, action, before, after)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [userId, ledgerId, entityType, entityId, parentType, parentId, action, before && JSON.stringify(before), after && JSON.stringify(after)]
+    );
+}
+
+// A payment row with its allocations, as stored
+async function snapshotPayment(db, id) {
+    const result = await db.query(
+        `SELECT to_jsonb(p) || jsonb_build_object('allocations', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', pa.id, 'item_id', pa.item_id, 'amount', pa.amount) ORDER BY pa.id)
+            FROM payment_allocations pa WHERE pa.payment_id = p.id), '[]')) AS row
+         FROM payments p WHERE p.id = $1`,
+        [id]
+    );
+    return result.rows.length ? result.rows[0].row : null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Flattens the difference between two snapshots into [{ field, before, after }], e.g. 'items[12].amount'.
+// Lists of rows, such as items and allocations, are matched by id.
+function describeChanges(before, after, path = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+        const field = path ? `${path}.${key}` : key;
+        const old = before ? before[key] ?? null : null;
+        const value = after ? after[key] ?? null : null;
+        if (Array.isArray(old) || Array.isArray(value)) {
+            const byId = (rows) => new Map((rows || []).map(r => [r.id, r]));
+            const oldRows = byId(old);
+            const newRows = byId(value);
+            for (const id of new Set([...oldRows.keys(), ...newRows.keys()])) {
+                changes.push(...describeChanges(oldRows.get(id) || null, newRows.get(id) || null, `${field}[${id}]`));
+            }
+        } else if (isObject(old) || isObject(value)) {
+            changes.push(...describeChanges(old, value, field));
+        } else if (JSON.stringify(old) !== JSON.stringify(value)) {
+            changes.push({ field, before: old, after: value });
+        }
+    }
+    return changes;
+}
+
+function withChanges(rows) {
+    return rows.map(r => ({ ...r, changes: describeChanges(r.before, r.after) }));
+}
+
+// Entries about one record and, for a counterparty, about its items and payments; newest first
+async function recordHistory(db, entityType, entityId) {
+    const result = await db.query(
+        `SELECT a.*, u.username FROM audit_log a LEFT JOIN users u ON u.id = a.user_id
+         WHERE (a.entity_type = $1 AND a.entity_id = $2) OR (a.parent_type = $1 AND a.parent_id = $2)
+         ORDER BY a.created_at DESC, a.id DESC`,
+        [entityType, entityId]
+    );
+    return withChanges(result.rows);
+}
+
+// Admin search. filters: q (matched against the username and the snapshots), userId, ledgerId, entityType,
+// action, from and to (YYYY-MM-DD), and paging as parsed by lib/listing.js. Resolves { rows, total }, each
+// row with the username of whoever made the change and the ledger_username of the books' owner.
+async function searchAudit(db, { q = '', userId = null, ledgerId = null, entityType = null, action = null, from = null, to = null, limit = null, page = 1 } = {}) {
+    const result = await db.query(
+        `WITH matched AS (
+            SELECT a.*, u.username, l.username AS ledger_username FROM audit_log a
+            LEFT JOIN users u ON u.id = a.user_id LEFT JOIN users l ON l.id = a.ledger_id
+            WHERE ($1::text IS NULL OR u.username ILIKE $1 OR a.before::text ILIKE $1 OR a.after::text ILIKE $1)
+                AND ($2::int IS NULL OR a.user_id = $2) AND ($3::text IS NULL OR a.entity_type = $3) AND ($4::text IS NULL OR a.action = $4)
+                AND ($5::date IS NULL OR a.created_at >= $5) AND ($6::date IS NULL OR a.created_at < $6::date + 1)
+                AND ($9::int IS NULL OR a.ledger_id = $9)
+        )
+        SELECT (SELECT COUNT(*) FROM matched) AS total,
+            COALESCE((
+                SELECT json_agg(m ORDER BY m.created_at DESC, m.id DESC) FROM (
+                    SELECT * FROM matched ORDER BY created_at DESC, id DESC LIMIT $7 OFFSET $8
+                ) m
+            ), '[]') AS rows`,
+        [searchPattern(q), userId, entityType, action, from, to, limit, limit ? (page - 1) * limit : 0, ledgerId]
+    );
+    const { total, rows } = result.rows[0];
+    return { rows: withChanges(rows), total: parseInt(total) };
+}
+
+module.exports = { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAudit, snapshotPayment, describeChanges, recordHistory, searchAudit };
@@ -0,0 +1,85 @@
+// Contacts: the people behind creditors and debtors. One contact has at most one creditor (what the user
+// owes them) and one debtor (what they owe the user), so its net position is the debtor's balance less the
+// creditor's, in the base currency of the totals. A creditor or debtor joins a contact only when the user
+// picks it, adding or editing it; contacts that share its name are offered by matches, never linked on
+// their own.
+const { COUNTERPARTIES } = require('./counterparties');
+const { searchPattern, paginate } = require('./listing');
+
+// ?sort keys of the list endpoint; net compares in the base currency
+const SORTS = {
+    name: (a, b) => a.full_name.localeCompare(b.full_name),
+    created: (a, b) => new Date(a.created_at) - new Date(b.created_at),
+    net: (a, b) => a.net - b.net
+};
+const CONTACT_SORTS = Object.keys(SORTS);
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function withSides(contact, { creditor = null, debtor = null }, currency) {
+    const payable = creditor ? creditor.pending_amount : 0;
+    const receivable = debtor ? debtor.pending_amount : 0;
+    return { ...contact, currency, creditor, debtor, payable, receivable, net: round(receivable - payable) };
+}
+
+function sideSummary(side) {
+    if (!side) return null;
+    const { id, total_amount, pending_amount, status, overdue } = side;
+    return { id, total_amount, pending_amount, status, overdue };
+}
+
+// repositories are the creditor and debtor repositories from lib/counterparties.js
+function createContactRepository(pool, repositories) {
+    return {
+        // options come from parseListQuery in lib/listing.js; q matches the name or contact. Contacts whose
+        // creditor and debtor are both in the trash are left out. Resolves { rows, total }.
+        async search(userId, toBase, options) {
+            const contacts = await pool.query(
+                'SELECT * FROM contacts WHERE user_id = $1 AND ($2::text IS NULL OR full_name ILIKE $2 OR contact ILIKE $2)',
+                [userId, searchPattern(options.q)]
+            );
+            const [creditors, debtors] = await Promise.all([repositories.creditor.list(userId, toBase), repositories.debtor.list(userId, toBase)]);
+            const byContact = (rows) => new Map(rows.map(r => [r.contact_id, r]));
+            const creditorOf = byContact(creditors);
+            const debtorOf = byContact(debtors);
+            const rows = contacts.rows
+                .map(c => withSides(c, { creditor: sideSummary(creditorOf.get(c.id)), debtor: sideSummary(debtorOf.get(c.id)) }, toBase.base))
+                .filter(c => c.creditor || c.debtor);
+            rows.sort((a, b) => (options.desc ? -1 : 1) * SORTS[options.sort](a, b) || a.id - b.id);
+            return { rows: paginate(rows, options), total: rows.length };
+        },
+
+        // The user's contacts named like name that are not yet this kind of counterparty, for the user to
+        // pick from when adding one; resolves [{ id, full_name, contact, creditor, debtor }]
+        async matches(userId, kind, name) {
+            const result = await pool.query(
+                `SELECT ct.id, ct.full_name, ct.contact,
+                    EXISTS (SELECT 1 FROM creditors s WHERE s.contact_id = ct.id AND s.deleted_at IS NULL) AS creditor,
+                    EXISTS (SELECT 1 FROM debtors s WHERE s.contact_id = ct.id AND s.deleted_at IS NULL) AS debtor
+                 FROM contacts ct WHERE ct.user_id = $1 AND LOWER(TRIM(ct.full_name)) = LOWER(TRIM($2))
+                    AND NOT EXISTS (SELECT 1 FROM ${COUNTERPARTIES[kind].parentTable} s WHERE s.contact_id = ct.id)
+                 ORDER BY ct.id`,
+                [userId, name]
+            );
+            return result.rows.filter(c => c.creditor || c.debtor);
+        },
+
+        // The contact with its creditor and debtor in full, items included; null when it is not the user's
+        // or has neither outside the trash
+        async get(userId, id, toBase) {
+            const contact = await pool.query('SELECT * FROM contacts WHERE id = $1 AND user_id = $2', [id, userId]);
+            if (!contact.rows.length) return null;
+            const sides = {};
+            for (const [kind, repo] of Object.entries(repositories)) {
+                const side = await pool.query(`SELECT id FROM ${COUNTERPARTIES[kind].parentTable} WHERE contact_id = $1 AND deleted_at IS NULL`, [id]);
+                if (side.rows.length) sides[kind] = await repo.get(userId, side.rows[0].id, toBase);
+            }
+            if (!sides.creditor && !sides.debtor) return null;
+            return withSides(contact.rows[0], sides, toBase.base);
+        }
+    };
+}
+
+module.exports = { CONTACT_SORTS, createContactRepository };
@@ -0,0 +1,598 @@
+// Shared data access for creditors and debtors.
+// Both are a parent row owned by a user plus line items, settled by payments of one type:
+// 'paid' settles a creditor and its creditor_items, 'received' settles a debtor and its debtor_items.
+// Deleting a counterparty or an item only sets its deleted_at, hiding it (and for a counterparty, its items
+// and payments) from every query here until it is restored or purged; see lib/trash.js.
+// Each creditor and debtor belongs to a contact, the person behind it, who may be both: the creditor is
+// what the user owes that person and the debtor what the person owes the user. Each keeps its own
+// full_name, contact, gender and language; writing one copies them onto the contact, leaving the other
+// side as it was entered. A counterparty joins another's contact only when the user says so, by
+// contact_id on create or update.
+// userId is always the owner of the books, which may be shared with other users (lib/ledgers.js); the
+// methods that change anything also take actorId, the user making the change, for the audit log.
+const { withTransaction } = require('./db');
+const { normalizeCurrency } = require('./currency');
+const { ACCRUAL_FIELDS, accrueItem } = require('./interest');
+const { scheduleInstallments, matchInstallments } = require('./plans');
+const { searchPattern, paginate } = require('./listing');
+const { recordAudit, snapshotPayment } = require('./audit');
+
+const COUNTERPARTIES = {
+    creditor: { label: 'Creditor', parentTable: 'creditors', itemsTable: 'creditor_items', foreignKey: 'creditor_id', paymentType: 'paid' },
+    debtor: { label: 'Debtor', parentTable: 'debtors', itemsTable: 'debtor_items', foreignKey: 'debtor_id', paymentType: 'received' }
+};
+
+const ITEM_FIELDS = {
+    reason: v => v || '',
+    amount: v => v || 0,
+    currency: normalizeCurrency,
+    date_incurred: v => v || null,
+    due_date: v => v || null,
+    notes: v => v || '',
+    ...ACCRUAL_FIELDS
+};
+
+const ITEM_COLUMNS = Object.keys(ITEM_FIELDS);
+
+// ?sort keys of the list endpoints; amounts compare in the base currency of the totals. Name and created
+// are also sorted in SQL, as ORDER_SQL.
+const SORTS = {
+    name: (a, b) => a.full_name.localeCompare(b.full_name),
+    created: (a, b) => new Date(a.created_at) - new Date(b.created_at),
+    total: (a, b) => a.total_amount - b.total_amount,
+    pending: (a, b) => a.pending_amount - b.pending_amount
+};
+const COUNTERPARTY_SORTS = Object.keys(SORTS);
+const ORDER_SQL = { name: 'c.full_name', created: 'c.created_at' };
+const COUNTERPARTY_STATUSES = ['pending', 'partial', 'paid', 'overdue'];
+
+function itemValues(item) {
+    return Object.entries(ITEM_FIELDS).map(([field, clean]) => clean(item[field]));
+}
+
+function counterpartyValues(data) {
+    return [data.full_name, data.contact || '', data.gender || 'male', data.language || 'english'];
+}
+
+// The contact row a new creditor or debtor belongs to: contactId when given, otherwise a new contact.
+// Contacts are never matched by name, as two people may share one; see matches in lib/contacts.js.
+async function resolveContact(db, userId, data, contactId = null) {
+    if (contactId) {
+        const match = await db.query('SELECT * FROM contacts WHERE id = $1 AND user_id = $2', [contactId, userId]);
+        if (match.rows.length) return match.rows[0];
+    }
+    const result = await db.query('INSERT INTO contacts (user_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5) RETURNING *', [userId, ...counterpartyValues(data)]);
+    return result.rows[0];
+}
+
+// Copies the details onto the counterparty parentTable row id that was written and onto its contact. The
+// contact's other side keeps its own details: it may have been entered differently on purpose.
+async function syncContact(db, contactId, data, { parentTable, id }) {
+    const values = counterpartyValues(data);
+    await db.query(`UPDATE ${parentTable} SET full_name = $1, contact = $2, gender = $3, language = $4 WHERE id = $5`, [...values, id]);
+    if (contactId) await db.query('UPDATE contacts SET full_name = $1, contact = $2, gender = $3, language = $4 WHERE id = $5', [...values, contactId]);
+}
+
+// Deletes the contact once neither a creditor nor a debtor, trashed ones included, belongs to it
+async function dropEmptyContact(db, contactId) {
+    await db.query(
+        `DELETE FROM contacts ct WHERE ct.id = $1 AND ${Object.values(COUNTERPARTIES).map(t => `NOT EXISTS (SELECT 1 FROM ${t.parentTable} s WHERE s.contact_id = ct.id)`).join(' AND ')}`,
+        [contactId]
+    );
+}
+
+// Whether contactId is one of the user's contacts that is not yet this kind of counterparty, other than the
+// counterparty id being moved there; an error message or null
+async function contactError(db, userId, kind, contactId, id = null) {
+    const { parentTable, label } = COUNTERPARTIES[kind];
+    if (!/^\d+$/.test(contactId)) return 'Contact not found';
+    const result = await db.query(
+        `SELECT EXISTS (SELECT 1 FROM ${parentTable} s WHERE s.contact_id = ct.id AND s.id IS DISTINCT FROM $3::int) AS taken
+         FROM contacts ct WHERE ct.id = $1 AND ct.user_id = $2`,
+        [contactId, userId, id]
+    );
+    if (!result.rows.length) return 'Contact not found';
+    return result.rows[0].taken ? `This contact is already a ${label.toLowerCase()}` : null;
+}
+
+function deriveItemStatus(paid, balanceDue) {
+    if (paid <= 0) return 'pending';
+    return balanceDue <= 0 ? 'paid' : 'partial';
+}
+
+// allocationRows are { item_id, amount, payment_date } for any of the items
+function withAccrual(itemRows, allocationRows, asOf) {
+    return itemRows.map(i => {
+        const amount = parseFloat(i.amount) || 0;
+        const allocations = allocationRows.filter(a => a.item_id === i.id);
+        const paid = allocations.reduce((s, a) => s + (parseFloat(a.amount) || 0), 0);
+        return { ...i, amount, paid_amount: paid, ...accrueItem(i, allocations, asOf || undefined) };
+    });
+}
+
+// Item status and pending_amount come from allocated payments, not from what was typed in the form.
+// days_past_due is computed by the query against CURRENT_DATE; an item is overdue once past due and not fully paid.
+// Balances are kept per currency: principal plus accrued interest and penalties, less every payment in that
+// currency. total_amount, interest_amount, penalty_amount, paid_amount and pending_amount are those balances
+// converted by toBase, and the counterparty's status is derived from them like an item's.
+function withBalances(counterparty, items, paidRows, toBase) {
+    items = items.map(i => {
+        const status = deriveItemStatus(i.paid_amount, i.balance_due);
+        return { ...i, status, overdue: status !== 'paid' && i.days_past_due > 0 };
+    });
+
+    const byCurrency = {};
+    const balanceFor = (currency) => (byCurrency[currency] = byCurrency[currency] || { currency, total_amount: 0, interest_amount: 0, penalty_amount: 0, paid_amount: 0 });
+    items.forEach(i => {
+        const b = balanceFor(i.currency);
+        b.total_amount += i.amount;
+        b.interest_amount += i.interest_charged;
+        b.penalty_amount += i.penalties_charged;
+    });
+    paidRows.forEach(p => { balanceFor(p.currency).paid_amount += parseFloat(p.total) || 0; });
+    const round = n => Math.round(n * 100) / 100;
+    const balances = Object.values(byCurrency).map(b => ({ ...b, pending_amount: round(Math.max(b.total_amount + b.interest_amount + b.penalty_amount - b.paid_amount, 0)) }));
+    const sum = (field) => round(balances.reduce((s, b) => s + toBase(b[field], b.currency), 0));
+
+    const paidAmount = sum('paid_amount');
+    const pendingAmount = sum('pending_amount');
+    return {
+        ...counterparty, items, balances, currency: toBase.base,
+        total_amount: sum('total_amount'), interest_amount: sum('interest_amount'), penalty_amount: sum('penalty_amount'),
+        paid_amount: paidAmount, pending_amount: pendingAmount,
+        status: deriveItemStatus(paidAmount, pendingAmount), overdue: items.some(i => i.overdue)
+    };
+}
+
+function createCounterpartyRepository(pool, target) {
+    const { parentTable, itemsTable, foreignKey, paymentType } = target;
+    const kind = Object.keys(COUNTERPARTIES).find(k => COUNTERPARTIES[k] === target);
+
+    // Replaces the item's repayment plan and regenerates its installments; a null plan removes it
+    async function savePlan(db, itemId, amount, plan) {
+        await db.query('DELETE FROM repayment_plans WHERE item_type = $1 AND item_id = $2', [kind, itemId]);
+        if (!plan) return;
+        const result = await db.query(
+            'INSERT INTO repayment_plans (item_type, item_id, start_date, frequency, installment_count, installment_amount) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+            [kind, itemId, plan.start_date, plan.frequency, parseInt(plan.installment_count), parseFloat(plan.installment_amount) || null]
+        );
+        for (const i of scheduleInstallments(plan, parseFloat(amount) || 0)) {
+            await db.query('INSERT INTO plan_installments (plan_id, seq, due_date, amount) VALUES ($1, $2, $3, $4)', [result.rows[0].id, i.seq, i.due_date, i.amount]);
+        }
+    }
+
+    // item.plan is saved along with the item when present; see lib/plans.js
+    async function insertItem(db, parentId, item) {
+        const result = await db.query(`INSERT INTO ${itemsTable} (${foreignKey}, ${ITEM_COLUMNS.join(', ')}) VALUES ($1, ${ITEM_COLUMNS.map((f, idx) => `$${idx + 2}`).join(', ')}) RETURNING id`, [parentId, ...itemValues(item)]);
+        if (item.plan) await savePlan(db, result.rows[0].id, item.amount, item.plan);
+        return result.rows[0].id;
+    }
+
+    // data.contact_id attaches it to that contact, otherwise it gets a contact of its own. The details given
+    // update the contact's as syncContact does; those left blank keep what is on file.
+    async function insertCounterparty(db, userId, data) {
+        const contact = await resolveContact(db, userId, data, parseInt(data.contact_id) || null);
+        const details = { ...contact };
+        for (const field of ['full_name', 'contact', 'gender', 'language']) if (data[field]) details[field] = data[field];
+        const result = await db.query(`INSERT INTO ${parentTable} (user_id, contact_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`, [userId, contact.id, ...counterpartyValues(details)]);
+        await syncContact(db, contact.id, details, { parentTable, id: result.rows[0].id });
+        return result.rows[0].id;
+    }
+
+    // Moves items to the trash; their plans and payment allocations stay until they are purged
+    async function deleteItems(db, parentId, itemIds) {
+        if (!itemIds.length) return;
+        await db.query(`UPDATE ${itemsTable} SET deleted_at = NOW() WHERE ${foreignKey} = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL`, [parentId, itemIds]);
+    }
+
+    async function purgeItems(db, itemIds) {
+        if (!itemIds.length) return;
+        await db.query('DELETE FROM repayment_plans WHERE item_type = $1 AND item_id = ANY($2::int[])', [kind, itemIds]);
+        await db.query('DELETE FROM reminders WHERE item_type = $1 AND item_id = ANY($2::int[])', [kind, itemIds]);
+        await db.query('DELETE FROM payment_allocations pa USING payments p WHERE pa.payment_id = p.id AND p.type = $1 AND pa.item_id = ANY($2::int[])', [paymentType, itemIds]);
+        await db.query(`DELETE FROM ${itemsTable} WHERE id = ANY($1::int[])`, [itemIds]);
+    }
+
+    // Items are diffed against what is stored so ids, created_at and payment allocations survive edits.
+    // Without an items array the stored items are left as they are; stored items missing from it are
+    // deleted only when removeMissing is set.
+    async function syncItems(db, parentId, items, removeMissing = true) {
+        if (!Array.isArray(items)) return;
+        const existing = await db.query(`SELECT id FROM ${itemsTable} WHERE ${foreignKey} = $1 AND deleted_at IS NULL`, [parentId]);
+        const existingIds = new Set(existing.rows.map(r => r.id));
+        const keptIds = new Set();
+        for (const item of items) {
+            const id = parseInt(item.id);
+            if (existingIds.has(id)) {
+                await db.query(`UPDATE ${itemsTable} SET ${ITEM_COLUMNS.map((f, idx) => `${f} = $${idx + 1}`).join(', ')} WHERE id = $${ITEM_COLUMNS.length + 1}`, [...itemValues(item), id]);
+                if ('plan' in item) await savePlan(db, id, item.amount, item.plan);
+                keptIds.add(id);
+            } else {
+                await insertItem(db, parentId, item);
+            }
+        }
+        if (removeMissing) await deleteItems(db, parentId, [...existingIds].filter(id => !keptIds.has(id)));
+    }
+
+    // Stored rows for the audit log: an item with its plan, and a counterparty with the items not in the trash
+    const itemSnapshotSql = `to_jsonb(i) || jsonb_build_object('plan', (
+        SELECT to_jsonb(rp) - 'id' - 'item_type' - 'item_id' FROM repayment_plans rp WHERE rp.item_type = '${kind}' AND rp.item_id = i.id))`;
+
+    async function snapshotItem(db, itemId) {
+        const result = await db.query(`SELECT ${itemSnapshotSql} AS row FROM ${itemsTable} i WHERE i.id = $1`, [itemId]);
+        return result.rows.length ? result.rows[0].row : null;
+    }
+
+    async function snapshot(db, id) {
+        const result = await db.query(
+            `SELECT to_jsonb(c) || jsonb_build_object('items', COALESCE((
+                SELECT jsonb_agg(${itemSnapshotSql} ORDER BY i.id) FROM ${itemsTable} i WHERE i.${foreignKey} = c.id AND i.deleted_at IS NULL), '[]')) AS row
+             FROM ${parentTable} c WHERE c.id = $1`,
+            [id]
+        );
+        return result.rows.length ? result.rows[0].row : null;
+    }
+
+    // userId is whoever made the change; itemId makes it an entry about one of the counterparty's items
+    function audit(db, userId, action, { id, itemId = null, before = null, after = null }) {
+        const entity = itemId
+            ? { entityType: `${kind}_item`, entityId: itemId, parentType: kind, parentId: id }
+            : { entityType: kind, entityId: id };
+        return recordAudit(db, { userId, action, before, after, ...entity });
+    }
+
+    async function isOwned(db, userId, id, lock = false) {
+        const result = await db.query(`SELECT id FROM ${parentTable} WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL${lock ? ' FOR UPDATE' : ''}`, [id, userId]);
+        return result.rows.length > 0;
+    }
+
+    // Deletes a counterparty for good, with all of its items and payments. userId is who purged it, or null
+    // for the retention purge.
+    async function purgeCounterparty(db, userId, id) {
+        const before = await snapshot(db, id);
+        const items = await db.query(`SELECT id FROM ${itemsTable} WHERE ${foreignKey} = $1`, [id]);
+        await purgeItems(db, items.rows.map(r => r.id));
+        const payments = await db.query('SELECT id FROM payments WHERE type = $1 AND related_id = $2 ORDER BY id', [paymentType, id]);
+        for (const { id: paymentId } of payments.rows) {
+            const payment = await snapshotPayment(db, paymentId);
+            await db.query('DELETE FROM payments WHERE id = $1', [paymentId]);
+            await recordAudit(db, { userId, entityType: 'payment', entityId: paymentId, parentType: kind, parentId: id, action: 'purge', before: payment });
+        }
+        const deleted = await db.query(`DELETE FROM ${parentTable} WHERE id = $1 RETURNING contact_id`, [id]);
+        await dropEmptyContact(db, deleted.rows[0].contact_id);
+        await audit(db, userId, 'purge', { id, before });
+    }
+
+    async function purgeItem(db, userId, id, itemId) {
+        const before = await snapshotItem(db, itemId);
+        await purgeItems(db, [itemId]);
+        await audit(db, userId, 'purge', { id, itemId, before });
+    }
+
+    // A deleted item of the user's, locked, with the id of its counterparty; null when there is none
+    async function findDeletedItem(db, userId, itemId) {
+        const result = await db.query(
+            `SELECT i.id, i.${foreignKey} AS parent_id, c.deleted_at AS parent_deleted_at FROM ${itemsTable} i JOIN ${parentTable} c ON c.id = i.${foreignKey}
+             WHERE i.id = $1 AND c.user_id = $2 AND i.deleted_at IS NOT NULL FOR UPDATE OF i`,
+            [itemId, userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async function loadAllocations(itemIds, asOf = null) {
+        const result = await pool.query(
+            `SELECT pa.item_id, pa.amount, p.payment_date FROM payment_allocations pa JOIN payments p ON pa.payment_id = p.id
+             WHERE p.type = $1 AND p.deleted_at IS NULL AND pa.item_id = ANY($2::int[]) AND ($3::date IS NULL OR p.payment_date <= $3) ORDER BY p.payment_date, pa.id`,
+            [paymentType, itemIds, asOf]);
+        return result.rows;
+    }
+
+    // Which counterparties are loaded, from the first five parameters: userId, id, the pattern of q, from and to
+    const filterSql = `c.user_id = $1 AND c.deleted_at IS NULL AND ($2::int IS NULL OR c.id = $2)
+        AND ($3::text IS NULL OR c.full_name ILIKE $3 OR c.contact ILIKE $3
+            OR EXISTS (SELECT 1 FROM ${itemsTable} i WHERE i.${foreignKey} = c.id AND i.deleted_at IS NULL AND i.reason ILIKE $3))
+        AND (($4::date IS NULL AND $5::date IS NULL) OR EXISTS (
+            SELECT 1 FROM ${itemsTable} i WHERE i.${foreignKey} = c.id AND i.deleted_at IS NULL
+            AND COALESCE(i.date_incurred, i.created_at::date) BETWEEN COALESCE($4::date, '-infinity') AND COALESCE($5::date, 'infinity')))`;
+
+    async function countMatching(userId, { q = '', from = null, to = null }) {
+        const result = await pool.query(`SELECT COUNT(*)::int AS count FROM ${parentTable} c WHERE ${filterSql}`, [userId, null, searchPattern(q), from, to]);
+        return result.rows[0].count;
+    }
+
+    // One query loads the matching counterparties with their items, each item's allocations and repayment
+    // plan, and payment totals per currency; balances are then computed here, as interest accrues in JS.
+    // filters: id, asOf (YYYY-MM-DD, accrues interest and penalties up to that date instead of today),
+    // q (name, contact or item reason) and from/to (has an item incurred in that range). sort is a key of
+    // ORDER_SQL, and limit and page page the rows.
+    async function loadWithBalances(userId, toBase, { id = null, asOf = null, q = '', from = null, to = null, sort = 'name', desc = false, limit = null, page = 1 } = {}) {
+        const result = await pool.query(`
+            SELECT c.*,
+                COALESCE((
+                    SELECT json_agg(x ORDER BY x.id) FROM (
+                        SELECT i.*, COALESCE($6::date, CURRENT_DATE) - i.due_date AS days_past_due,
+                            COALESCE((
+                                SELECT json_agg(json_build_object('item_id', pa.item_id, 'amount', pa.amount, 'payment_date', p.payment_date) ORDER BY p.payment_date, pa.id)
+                                FROM payment_allocations pa JOIN payments p ON pa.payment_id = p.id
+                                WHERE pa.item_id = i.id AND p.type = $7 AND p.deleted_at IS NULL AND ($6::date IS NULL OR p.payment_date <= $6)
+                            ), '[]') AS allocations,
+                            (
+                                SELECT json_build_object('plan', to_json(rp), 'installments', COALESCE((
+                                    SELECT json_agg(json_build_object('seq', pi.seq, 'due_date', pi.due_date, 'amount', pi.amount) ORDER BY pi.seq)
+                                    FROM plan_installments pi WHERE pi.plan_id = rp.id
+                                ), '[]'))
+                                FROM repayment_plans rp WHERE rp.item_type = $8 AND rp.item_id = i.id
+                            ) AS repayment
+                        FROM ${itemsTable} i WHERE i.${foreignKey} = c.id AND i.deleted_at IS NULL
+                    ) x
+                ), '[]') AS items,
+                COALESCE((
+                    SELECT json_agg(json_build_object('currency', t.currency, 'total', t.total)) FROM (
+                        SELECT currency, SUM(amount) AS total FROM payments
+                        WHERE type = $7 AND related_id = c.id AND user_id = c.user_id AND deleted_at IS NULL AND ($6::date IS NULL OR payment_date <= $6)
+                        GROUP BY currency
+                    ) t
+                ), '[]') AS paid
+            FROM ${parentTable} c
+            WHERE ${filterSql}
+            ORDER BY ${ORDER_SQL[sort] || ORDER_SQL.name} ${desc ? 'DESC' : 'ASC'}, c.id
+            LIMIT $9 OFFSET $10`,
+            [userId, id, searchPattern(q), from, to, asOf, paymentType, kind, limit, limit ? (page - 1) * limit : 0]);
+
+        return result.rows.map(({ items, paid, ...c }) => {
+            const rows = items.map(({ allocations, repayment, ...i }) => ({
+                ...i,
+                plan: repayment ? matchInstallments(repayment.plan, repayment.installments, allocations, asOf || undefined) : null
+            }));
+            return withBalances(c, withAccrual(rows, items.flatMap(i => i.allocations), asOf), paid, toBase);
+        });
+    }
+
+    return {
+        target,
+        kind,
+
+        // For callers running their own transaction, such as lib/import.js
+        insertCounterparty,
+        insertItem,
+        snapshot,
+        audit,
+
+        // toBase comes from lib/currency.js createConverter and sets the currency of the totals
+        list(userId, toBase) {
+            return loadWithBalances(userId, toBase);
+        },
+
+        // options come from parseListQuery in lib/listing.js; resolves { rows, total } with total counted
+        // before paging. Filtering by status or sorting by an amount needs every balance, so those lists
+        // are loaded whole and sorted and paged here; the others are sorted and paged by the query.
+        async search(userId, toBase, options) {
+            if (!options.status && ORDER_SQL[options.sort]) {
+                const rows = await loadWithBalances(userId, toBase, options);
+                return { rows, total: options.limit ? await countMatching(userId, options) : rows.length };
+            }
+            let rows = await loadWithBalances(userId, toBase, { q: options.q, from: options.from, to: options.to });
+            if (options.status === 'overdue') rows = rows.filter(c => c.overdue);
+            else if (options.status) rows = rows.filter(c => c.status === options.status);
+            rows.sort((a, b) => (options.desc ? -1 : 1) * SORTS[options.sort](a, b) || a.id - b.id);
+            return { rows: paginate(rows, options), total: rows.length };
+        },
+
+        // Resolves one counterparty with its items and balances, or null when it is not the user's
+        async get(userId, id, toBase, asOf = null) {
+            const [counterparty] = await loadWithBalances(userId, toBase, { id, asOf });
+            return counterparty || null;
+        },
+
+        // Payments made to or by the counterparty outside the trash, oldest first
+        async payments(id) {
+            const result = await pool.query(
+                `SELECT id, payment_date, amount, currency, payment_method, reference FROM payments
+                 WHERE type = $1 AND related_id = $2 AND deleted_at IS NULL ORDER BY payment_date, id`,
+                [paymentType, id]
+            );
+            return result.rows.map(p => ({ ...p, amount: parseFloat(p.amount) || 0 }));
+        },
+
+        exists(userId, id) {
+            return isOwned(pool, userId, id);
+        },
+
+        create(userId, data, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const id = await insertCounterparty(client, userId, data);
+                for (const item of data.items || []) await insertItem(client, id, item);
+                await audit(client, actorId, 'create', { id, after: await snapshot(client, id) });
+                return id;
+            });
+        },
+
+        // Ids of the stored items an update with this items array would delete
+        async omittedItems(userId, id, items) {
+            if (!Array.isArray(items)) return [];
+            const kept = items.map(i => parseInt(i.id)).filter(Boolean);
+            const result = await pool.query(
+                `SELECT i.id FROM ${itemsTable} i JOIN ${parentTable} c ON c.id = i.${foreignKey}
+                 WHERE i.${foreignKey} = $1 AND c.user_id = $2 AND i.deleted_at IS NULL AND NOT (i.id = ANY($3::int[]))`,
+                [id, userId, kept]
+            );
+            return result.rows.map(r => r.id);
+        },
+
+        // Resolves false when the counterparty does not exist or belongs to another user. removeItems false
+        // keeps stored items left out of data.items instead of deleting them. data.contact_id moves it to
+        // another of the user's contacts (check it with contactError first); the one it leaves is deleted
+        // when nothing else belongs to it.
+        update(userId, id, data, actorId = userId, removeItems = true) {
+            return withTransaction(pool, async (client) => {
+                const before = await snapshot(client, id);
+                const result = await client.query(`SELECT contact_id FROM ${parentTable} WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`, [id, userId]);
+                if (result.rows.length === 0) return false;
+                const previous = result.rows[0].contact_id;
+                let contactId = previous;
+                if (data.contact_id && parseInt(data.contact_id) !== previous) {
+                    const target = await client.query('SELECT id FROM contacts WHERE id = $1 AND user_id = $2', [data.contact_id, userId]);
+                    if (target.rows.length) contactId = target.rows[0].id;
+                }
+                if (contactId !== previous) await client.query(`UPDATE ${parentTable} SET contact_id = $1 WHERE id = $2`, [contactId, id]);
+                await syncContact(client, contactId, data, { parentTable, id });
+                if (contactId !== previous && previous) await dropEmptyContact(client, previous);
+                await syncItems(client, id, data.items, removeItems);
+                await audit(client, actorId, 'update', { id, before, after: await snapshot(client, id) });
+                return true;
+            });
+        },
+
+        // Moves the counterparty to the trash, taking its items and payments out of view with it
+        remove(userId, id, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                if (!(await isOwned(client, userId, id, true))) return false;
+                const before = await snapshot(client, id);
+                await client.query(`UPDATE ${parentTable} SET deleted_at = NOW() WHERE id = $1`, [id]);
+                await audit(client, actorId, 'delete', { id, before });
+                return true;
+            });
+        },
+
+        // Resolves the new item id, or null when the counterparty is not the user's
+        async addItem(userId, id, item, actorId = userId) {
+            if (!(await isOwned(pool, userId, id))) return null;
+            return withTransaction(pool, async (client) => {
+                const itemId = await insertItem(client, id, item);
+                await audit(client, actorId, 'create', { id, itemId, after: await snapshotItem(client, itemId) });
+                return itemId;
+            });
+        },
+
+        // An amount change regenerates the item's plan, whose installments may be an even split of it
+        updateItem(userId, id, itemId, changes, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const before = await snapshotItem(client, itemId);
+                const fields = ITEM_COLUMNS.filter(f => f in changes);
+                const result = await client.query(
+                    `UPDATE ${itemsTable} i SET ${fields.map((f, idx) => `${f} = $${idx + 4}`).join(', ')}
+                     FROM ${parentTable} c WHERE i.id = $1 AND i.${foreignKey} = $2 AND c.id = i.${foreignKey} AND c.user_id = $3
+                        AND i.deleted_at IS NULL AND c.deleted_at IS NULL RETURNING i.amount`,
+                    [itemId, id, userId, ...fields.map(f => ITEM_FIELDS[f](changes[f]))]
+                );
+                if (result.rowCount === 0) return false;
+                const plan = await client.query('SELECT * FROM repayment_plans WHERE item_type = $1 AND item_id = $2', [kind, itemId]);
+                if ('amount' in changes && plan.rows.length) await savePlan(client, itemId, result.rows[0].amount, plan.rows[0]);
+                await audit(client, actorId, 'update', { id, itemId, before, after: await snapshotItem(client, itemId) });
+                return true;
+            });
+        },
+
+        removeItem(userId, id, itemId, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                if (!(await isOwned(client, userId, id, true))) return false;
+                const item = await client.query(`SELECT id FROM ${itemsTable} WHERE id = $1 AND ${foreignKey} = $2 AND deleted_at IS NULL`, [itemId, id]);
+                if (item.rows.length === 0) return false;
+                const before = await snapshotItem(client, item.rows[0].id);
+                await deleteItems(client, id, [item.rows[0].id]);
+                await audit(client, actorId, 'delete', { id, itemId: item.rows[0].id, before });
+                return true;
+            });
+        },
+
+        // Resolves false when the item is not one of the user's
+        setPlan(userId, id, itemId, plan, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                if (!(await isOwned(client, userId, id, true))) return false;
+                const item = await client.query(`SELECT id, amount FROM ${itemsTable} WHERE id = $1 AND ${foreignKey} = $2 AND deleted_at IS NULL`, [itemId, id]);
+                if (item.rows.length === 0) return false;
+                const before = await snapshotItem(client, item.rows[0].id);
+                await savePlan(client, item.rows[0].id, item.rows[0].amount, plan);
+                await audit(client, actorId, 'update', { id, itemId: item.rows[0].id, before, after: await snapshotItem(client, item.rows[0].id) });
+                return true;
+            });
+        },
+
+        // Amount, allocated total and balance due today for the given items of one counterparty
+        async itemBalances(id, itemIds) {
+            const result = await pool.query(`SELECT i.* FROM ${itemsTable} i WHERE i.id = ANY($1::int[]) AND i.${foreignKey} = $2 AND i.deleted_at IS NULL`, [itemIds, id]);
+            return withAccrual(result.rows, await loadAllocations(itemIds));
+        },
+
+        // The user's trash: deleted counterparties, and deleted items of counterparties that are not deleted
+        async deleted(userId) {
+            const counterparties = await pool.query(
+                `SELECT c.id, c.full_name, c.contact, c.deleted_at,
+                    (SELECT COUNT(*) FROM ${itemsTable} i WHERE i.${foreignKey} = c.id AND i.deleted_at IS NULL)::int AS item_count
+                 FROM ${parentTable} c WHERE c.user_id = $1 AND c.deleted_at IS NOT NULL ORDER BY c.deleted_at DESC`,
+                [userId]
+            );
+            const items = await pool.query(
+                `SELECT i.id, i.${foreignKey} AS counterparty_id, c.full_name AS counterparty_name, i.reason, i.amount, i.currency, i.deleted_at
+                 FROM ${itemsTable} i JOIN ${parentTable} c ON c.id = i.${foreignKey}
+                 WHERE c.user_id = $1 AND c.deleted_at IS NULL AND i.deleted_at IS NOT NULL ORDER BY i.deleted_at DESC`,
+                [userId]
+            );
+            return { counterparties: counterparties.rows, items: items.rows.map(i => ({ ...i, amount: parseFloat(i.amount) || 0 })) };
+        },
+
+        // restore and purge resolve false when the record is not in the user's trash
+        restore(userId, id, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const result = await client.query(`UPDATE ${parentTable} SET deleted_at = NULL WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL`, [id, userId]);
+                if (result.rowCount === 0) return false;
+                await audit(client, actorId, 'restore', { id, after: await snapshot(client, id) });
+                return true;
+            });
+        },
+
+        // An item goes back to its counterparty, which must not be in the trash itself
+        restoreItem(userId, itemId, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const item = await findDeletedItem(client, userId, itemId);
+                if (!item || item.parent_deleted_at) return false;
+                await client.query(`UPDATE ${itemsTable} SET deleted_at = NULL WHERE id = $1`, [item.id]);
+                await audit(client, actorId, 'restore', { id: item.parent_id, itemId: item.id, after: await snapshotItem(client, item.id) });
+                return true;
+            });
+        },
+
+        purge(userId, id, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const result = await client.query(`SELECT id FROM ${parentTable} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL FOR UPDATE`, [id, userId]);
+                if (result.rows.length === 0) return false;
+                await purgeCounterparty(client, actorId, result.rows[0].id);
+                return true;
+            });
+        },
+
+        purgeItem(userId, itemId, actorId = userId) {
+            return withTransaction(pool, async (client) => {
+                const item = await findDeletedItem(client, userId, itemId);
+                if (!item) return false;
+                await purgeItem(client, actorId, item.parent_id, item.id);
+                return true;
+            });
+        },
+
+        // Purges, for every user, the counterparties and items deleted before cutoff; resolves how many
+        async purgeDeletedBefore(cutoff) {
+            // Each row is checked again under lock, in case it was restored in the meantime
+            let purged = 0;
+            const counterparties = await pool.query(`SELECT id FROM ${parentTable} WHERE deleted_at < $1`, [cutoff]);
+            for (const { id } of counterparties.rows) {
+                purged += await withTransaction(pool, async (client) => {
+                    const row = await client.query(`SELECT id FROM ${parentTable} WHERE id = $1 AND deleted_at < $2 FOR UPDATE`, [id, cutoff]);
+                    if (row.rows.length) await purgeCounterparty(client, null, id);
+                    return row.rows.length;
+                });
+            }
+            const items = await pool.query(`SELECT id FROM ${itemsTable} WHERE deleted_at < $1`, [cutoff]);
+            for (const { id } of items.rows) {
+                purged += await withTransaction(pool, async (client) => {
+                    const row = await client.query(`SELECT ${foreignKey} AS parent_id FROM ${itemsTable} WHERE id = $1 AND deleted_at < $2 FOR UPDATE`, [id, cutoff]);
+                    if (row.rows.length) await purgeItem(client, null, row.rows[0].parent_id, id);
+                    return row.rows.length;
+                });
+            }
+            return purged;
+        }
+    };
+}
+
+module.exports = { COUNTERPARTIES, ITEM_FIELDS, COUNTERPARTY_SORTS, COUNTERPARTY_STATUSES, contactError, createCounterpartyRepository };
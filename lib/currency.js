@@ -0,0 +1,40 @@
+// Amounts are stored in the currency they were entered in and only converted for totals and reports.
+// exchange_rates holds how many XAF one unit of a currency is worth from its effective_date onwards,
+// so any currency with a rate can serve as the base of a conversion.
+const REFERENCE_CURRENCY = 'XAF';
+
+function normalizeCurrency(code) {
+    return (code || REFERENCE_CURRENCY).toString().trim().toUpperCase();
+}
+
+// Latest rate per currency effective on asOf (today when omitted)
+async function loadRates(db, asOf = null) {
+    const result = await db.query(
+        `SELECT DISTINCT ON (currency) currency, rate FROM exchange_rates
+         WHERE effective_date <= COALESCE($1::date, CURRENT_DATE) ORDER BY currency, effective_date DESC`,
+        [asOf]
+    );
+    const rates = { [REFERENCE_CURRENCY]: 1 };
+    for (const r of result.rows) rates[r.currency] = parseFloat(r.rate);
+    return rates;
+}
+
+// Currencies amounts may be entered in: the reference currency plus every currency with a rate in effect
+async function listCurrencies(db) {
+    return Object.keys(await loadRates(db)).sort();
+}
+
+// Resolves toBase(amount, currency), which converts into `base` at the rates effective on asOf
+async function createConverter(db, base = REFERENCE_CURRENCY, asOf = null) {
+    const rates = await loadRates(db, asOf);
+    const rateFor = (currency) => {
+        if (!rates[currency]) throw new Error(`No exchange rate for ${currency}`);
+        return rates[currency];
+    };
+    const baseRate = rateFor(base);
+    const toBase = (amount, currency = REFERENCE_CURRENCY) => (currency === base ? amount : amount * rateFor(currency) / baseRate);
+    toBase.base = base;
+    return toBase;
+}
+
+module.exports = { REFERENCE_CURRENCY, normalizeCurrency, loadRates, listCurrencies, createConverter };
@@ -0,0 +1,17 @@
+// Runs fn(client) inside BEGIN/COMMIT on a pooled client, rolling back if anything throws
+async function withTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { withTransaction };
@@ -0,0 +1,145 @@
+// Export of a user's creditors, debtors and payments as CSV, XLSX or a JSON backup.
+// CSV and XLSX have one line item per row under the column names the import wizard maps by default,
+// so a sheet can be imported again. The JSON backup keeps every stored item field, repayment plans and
+// payment allocations, and is restored by restoreBackup in lib/import.js.
+const ExcelJS = require('exceljs');
+const { ITEM_FIELDS } = require('./counterparties');
+const { isoDay } = require('./plans');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const EXPORT_SCOPES = ['creditors', 'debtors', 'payments', 'all'];
+const EXPORT_STATUSES = ['pending', 'partial', 'paid', 'overdue'];
+const BACKUP_FORMAT = 'zezen-backup';
+const BACKUP_VERSION = 1;
+
+const ITEM_SHEET_COLUMNS = ['full_name', 'contact', 'gender', 'language', 'reason', 'amount', 'currency', 'date_incurred', 'due_date', 'status', 'paid_amount', 'interest_due', 'penalties_due', 'balance_due', 'notes'];
+const PAYMENT_SHEET_COLUMNS = ['payment_date', 'type', 'counterparty_name', 'amount', 'currency', 'payment_method', 'reference', 'notes', 'allocated_amount'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json'
+};
+
+function day(value) {
+    return value ? isoDay(value) : null;
+}
+
+// Items match on date_incurred, or created_at when it is empty; 'overdue' is a status filter of its own
+function filterItems(items, { from, to, status }) {
+    return items.filter(i => {
+        const date = day(i.date_incurred || i.created_at);
+        if ((from && date < from) || (to && date > to)) return false;
+        if (status === 'overdue') return i.overdue;
+        return !status || i.status === status;
+    });
+}
+
+// With any filter set, counterparties left without a matching item are not exported
+function filterCounterparties(counterparties, filters) {
+    const filtered = filters.from || filters.to || filters.status;
+    return counterparties.map(c => ({ ...c, items: filterItems(c.items, filters) })).filter(c => !filtered || c.items.length);
+}
+
+function filterPayments(payments, { from, to }) {
+    return payments.filter(p => (!from || day(p.payment_date) >= from) && (!to || day(p.payment_date) <= to));
+}
+
+function itemRows(counterparties) {
+    return counterparties.flatMap(c => {
+        const row = { full_name: c.full_name, contact: c.contact || '', gender: c.gender, language: c.language };
+        if (!c.items.length) return [row];
+        return c.items.map(i => ({
+            ...row,
+            reason: i.reason, amount: i.amount, currency: i.currency,
+            date_incurred: day(i.date_incurred), due_date: day(i.due_date), status: i.status,
+            paid_amount: i.paid_amount, interest_due: i.interest_due, penalties_due: i.penalties_due, balance_due: i.balance_due,
+            notes: i.notes || ''
+        }));
+    });
+}
+
+function paymentRows(payments) {
+    return payments.map(p => ({
+        payment_date: day(p.payment_date), type: p.type, counterparty_name: p.counterparty_name || '',
+        amount: p.amount, currency: p.currency, payment_method: p.payment_method || '', reference: p.reference || '', notes: p.notes || '',
+        allocated_amount: p.allocations.reduce((s, a) => s + a.amount, 0)
+    }));
+}
+
+function buildSheets(data, scope) {
+    const sheets = [];
+    if (scope === 'creditors' || scope === 'all') sheets.push({ name: 'creditors', columns: ITEM_SHEET_COLUMNS, rows: itemRows(data.creditors) });
+    if (scope === 'debtors' || scope === 'all') sheets.push({ name: 'debtors', columns: ITEM_SHEET_COLUMNS, rows: itemRows(data.debtors) });
+    if (scope === 'payments' || scope === 'all') sheets.push({ name: 'payments', columns: PAYMENT_SHEET_COLUMNS, rows: paymentRows(data.payments) });
+    return sheets;
+}
+
+// The byte order mark makes Excel read the file as UTF-8
+function toCsv({ columns, rows }) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\ufeff' + [columns, ...rows.map(r => columns.map(c => r[c]))].map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function toXlsx(sheets) {
+    const workbook = new ExcelJS.Workbook();
+    for (const sheet of sheets) {
+        const worksheet = workbook.addWorksheet(sheet.name);
+        worksheet.columns = sheet.columns.map(key => ({ header: key, key, width: Math.max(12, key.length + 2) }));
+        worksheet.addRows(sheet.rows);
+        worksheet.getRow(1).font = { bold: true };
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function backupCounterparty(c) {
+    return {
+        id: c.id, full_name: c.full_name, contact: c.contact, gender: c.gender, language: c.language, created_at: c.created_at,
+        items: c.items.map(i => ({
+            id: i.id,
+            ...Object.fromEntries(Object.entries(ITEM_FIELDS).map(([field, clean]) => [field, clean(i[field])])),
+            date_incurred: day(i.date_incurred),
+            due_date: day(i.due_date),
+            created_at: i.created_at,
+            plan: i.plan && {
+                start_date: day(i.plan.start_date), frequency: i.plan.frequency,
+                installment_count: i.plan.installment_count, installment_amount: parseFloat(i.plan.installment_amount) || null
+            }
+        }))
+    };
+}
+
+function buildBackup(data, scope) {
+    const included = (s) => scope === s || scope === 'all';
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        creditors: included('creditors') ? data.creditors.map(backupCounterparty) : [],
+        debtors: included('debtors') ? data.debtors.map(backupCounterparty) : [],
+        payments: included('payments') ? data.payments.map(p => ({
+            id: p.id, type: p.type, related_id: p.related_id, amount: p.amount, currency: p.currency, payment_date: day(p.payment_date),
+            payment_method: p.payment_method, reference: p.reference, notes: p.notes, allocations: p.allocations
+        })) : []
+    };
+}
+
+// data is { creditors, debtors, payments } as listed by the repositories and the payments query;
+// options are { format, scope, from, to, status }. Resolves { filename, contentType, body }.
+async function exportData(data, { format, scope, ...filters }) {
+    const filtered = {
+        creditors: filterCounterparties(data.creditors, filters),
+        debtors: filterCounterparties(data.debtors, filters),
+        payments: filterPayments(data.payments, filters)
+    };
+    let body;
+    if (format === 'json') body = JSON.stringify(buildBackup(filtered, scope), null, 2);
+    else if (format === 'csv') body = toCsv(buildSheets(filtered, scope)[0]);
+    else body = await toXlsx(buildSheets(filtered, scope));
+    return { filename: `export-${scope}-${isoDay(new Date())}.${format}`, contentType: CONTENT_TYPES[format], body };
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_SCOPES, EXPORT_STATUSES, BACKUP_FORMAT, BACKUP_VERSION, exportData };
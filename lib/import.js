@@ -0,0 +1,290 @@
+// Import of creditors or debtors and their line items from a CSV or XLSX sheet, and restore of the
+// JSON backups written by lib/export.js.
+// In a sheet each row is one line item; rows sharing a full_name and contact belong to the same
+// counterparty, and a row with neither reason nor amount only creates the counterparty. Status 'paid' is
+// recorded as a payment of the full amount, since item status is otherwise derived from payments.
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { normalizeCurrency } = require('./currency');
+const { BACKUP_FORMAT, BACKUP_VERSION } = require('./export');
+const { recordAudit, snapshotPayment } = require('./audit');
+
+const IMPORT_FIELDS = ['full_name', 'contact', 'gender', 'language', 'reason', 'amount', 'currency', 'date_incurred', 'due_date', 'status'];
+const MAX_ROWS = 5000;
+
+// Header names recognised when suggesting a column mapping, compared lowercased
+const HEADER_ALIASES = {
+    full_name: ['full_name', 'full name', 'name', 'nom', 'nom complet'],
+    contact: ['contact', 'phone', 'telephone', 'téléphone', 'email'],
+    gender: ['gender', 'sex', 'sexe', 'genre'],
+    language: ['language', 'langue', 'lang'],
+    reason: ['reason', 'motif', 'description', 'label'],
+    amount: ['amount', 'montant'],
+    currency: ['currency', 'devise'],
+    date_incurred: ['date_incurred', 'date incurred', 'date'],
+    due_date: ['due_date', 'due date', 'due', 'échéance', 'echeance'],
+    status: ['status', 'statut']
+};
+
+const GENDERS = { male: 'male', m: 'male', man: 'male', homme: 'male', h: 'male', female: 'female', f: 'female', woman: 'female', femme: 'female' };
+const LANGUAGES = { english: 'english', en: 'english', anglais: 'english', french: 'french', fr: 'french', français: 'french', francais: 'french' };
+const STATUSES = ['pending', 'partial', 'paid'];
+
+function cellText(cell) {
+    const value = cell.value;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (value && typeof value === 'object' && 'result' in value) return String(value.result ?? '');
+    return (cell.text || '').trim();
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        const cells = [];
+        for (let col = 1; col <= sheet.columnCount; col++) cells.push(cellText(row.getCell(col)));
+        rows.push(cells);
+    });
+    return rows;
+}
+
+// Spreadsheets saved in a French locale separate CSV fields with semicolons
+function readCsv(buffer) {
+    const text = buffer.toString('utf8');
+    const firstLine = text.split(/\r?\n/)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    return parse(text, { bom: true, delimiter, skip_empty_lines: true, relax_column_count: true, trim: true });
+}
+
+// Resolves { columns, rows } where columns is the header row and rows are arrays of cell strings
+async function readSheet(buffer, filename = '') {
+    const all = /\.xlsx$/i.test(filename) ? await readXlsx(buffer) : readCsv(buffer);
+    const [header = [], ...rows] = all.filter(r => r.some(cell => cell !== ''));
+    if (!header.length) throw new Error('The file has no header row');
+    if (rows.length > MAX_ROWS) throw new Error(`At most ${MAX_ROWS} rows can be imported at once`);
+    return { columns: header.map((name, idx) => name || `Column ${idx + 1}`), rows };
+}
+
+function suggestMapping(columns) {
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const column = columns.find(c => HEADER_ALIASES[field].includes(c.toLowerCase()));
+        if (column) mapping[field] = column;
+    }
+    return mapping;
+}
+
+// Amounts as spreadsheets write them: "1 500,50", "1.500,50", "1,500.50", "150,000" and "1500.5". A lone
+// separator followed by exactly three digits groups thousands, as amounts in XAF have no decimals; where
+// that cannot be told from decimals, as in "0,500" or "1500.000", the amount is ambiguous and null.
+// Anything else that is not an amount is NaN.
+function parseAmount(text) {
+    const match = text.replace(/[\s\u00a0\u202f]/g, '').match(/^(-?)(\d[\d.,]*)$/);
+    if (!match) return NaN;
+    const [, sign, digits] = match;
+    const separators = digits.match(/[.,]/g) || [];
+    const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    // With both separators the last one marks the decimals, as does a lone one not followed by three digits
+    const decimal = new Set(separators).size === 2 || (separators.length === 1 && digits.length - last - 1 !== 3);
+    if (separators.length === 1 && !decimal && !/^[1-9]\d{0,2}[.,]\d{3}$/.test(digits)) return null;
+    const integer = decimal ? digits.slice(0, last) : digits;
+    const fraction = decimal ? digits.slice(last + 1) : '';
+    if (/[.,]/.test(integer) && !/^[1-9]\d{0,2}([.,])\d{3}(\1\d{3})*$/.test(integer)) return NaN;
+    if (decimal && !/^\d+$/.test(fraction)) return NaN;
+    return parseFloat(`${sign}${integer.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`);
+}
+
+// Accepts YYYY-MM-DD and day-first DD/MM/YYYY, DD-MM-YYYY or DD.MM.YYYY
+function parseDate(text) {
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+    if (!match) {
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (!match) return null;
+        [day, month, year] = [match[1], match[2], match[3]];
+    }
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+function validateRow(cells, columns, mapping, currencies) {
+    const value = (field) => {
+        const idx = mapping[field] ? columns.indexOf(mapping[field]) : -1;
+        return idx >= 0 ? String(cells[idx] ?? '').trim() : '';
+    };
+    const errors = [];
+    const warnings = [];
+    const data = { full_name: value('full_name'), contact: value('contact') };
+
+    if (!data.full_name) errors.push('full_name is required');
+
+    const gender = value('gender').toLowerCase();
+    data.gender = gender ? GENDERS[gender] : 'male';
+    if (!data.gender) errors.push(`gender "${value('gender')}" is not male or female`);
+
+    const language = value('language').toLowerCase();
+    data.language = language ? LANGUAGES[language] : 'english';
+    if (!data.language) errors.push(`language "${value('language')}" is not english or french`);
+
+    const reason = value('reason');
+    const amount = value('amount');
+    if (reason || amount) {
+        const item = { reason, amount: parseAmount(amount), currency: normalizeCurrency(value('currency') || undefined), status: value('status').toLowerCase() || 'pending' };
+        if (!amount) errors.push('amount is required for a line item');
+        else if (item.amount === null) errors.push(`amount "${amount}" is ambiguous; write thousands without a separator and at most two decimals`);
+        else if (isNaN(item.amount) || item.amount < 0) errors.push(`amount "${amount}" is not a positive number`);
+        if (!currencies.includes(item.currency)) errors.push(`currency ${item.currency} has no exchange rate`);
+        for (const field of ['date_incurred', 'due_date']) {
+            const text = value(field);
+            item[field] = text ? parseDate(text) : null;
+            if (text && !item[field]) errors.push(`${field} "${text}" is not a date`);
+        }
+        if (!STATUSES.includes(item.status)) errors.push(`status "${value('status')}" is not one of ${STATUSES.join(', ')}`);
+        if (item.status === 'partial') warnings.push('partial is imported as pending; record the part already paid as a payment');
+        data.item = item;
+    }
+
+    return { data, errors, warnings };
+}
+
+function groupKey(data) {
+    return `${data.full_name.toLowerCase()}|${data.contact.toLowerCase()}`;
+}
+
+function normalizeContact(contact) {
+    return (contact || '').toLowerCase().replace(/[^a-z0-9@.]/g, '');
+}
+
+// Validates every row, groups them into counterparties and flags groups that look like an existing
+// counterparty of the user, by the same name or the same contact
+async function previewImport(db, target, userId, { columns, rows, mapping }, currencies) {
+    const checked = rows.map((cells, idx) => ({ row: idx + 2, ...validateRow(cells, columns, mapping, currencies) }));
+
+    const groups = new Map();
+    for (const r of checked.filter(r => !r.errors.length)) {
+        const key = groupKey(r.data);
+        if (!groups.has(key)) groups.set(key, { full_name: r.data.full_name, contact: r.data.contact, gender: r.data.gender, language: r.data.language, rows: [], items: [], duplicate: null });
+        const group = groups.get(key);
+        group.rows.push(r.row);
+        if (r.data.item) group.items.push({ ...r.data.item, row: r.row });
+    }
+
+    const existing = await db.query(`SELECT id, full_name, contact FROM ${target.parentTable} WHERE user_id = $1 AND deleted_at IS NULL`, [userId]);
+    for (const group of groups.values()) {
+        const byName = existing.rows.find(e => e.full_name.trim().toLowerCase() === group.full_name.toLowerCase());
+        const byContact = normalizeContact(group.contact) && existing.rows.find(e => normalizeContact(e.contact) === normalizeContact(group.contact));
+        const match = byName || byContact;
+        if (match) group.duplicate = { id: match.id, full_name: match.full_name, match: byName ? 'name' : 'contact' };
+    }
+
+    return { valid: checked.every(r => !r.errors.length), rows: checked, counterparties: [...groups.values()] };
+}
+
+// kind is the counterparty type the payment belongs to, and action the audit action it is logged under
+// along with actorId, who made the import
+async function insertPayment(db, userId, actorId, kind, action, payment, allocations = []) {
+    const result = await db.query(
+        `INSERT INTO payments (user_id, type, related_id, amount, currency, payment_date, payment_method, reference, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+        [userId, payment.type, payment.related_id, payment.amount, normalizeCurrency(payment.currency), payment.payment_date || new Date(),
+            payment.payment_method || '', payment.reference || '', payment.notes || '']
+    );
+    const id = result.rows[0].id;
+    for (const a of allocations) await db.query('INSERT INTO payment_allocations (payment_id, item_id, amount) VALUES ($1, $2, $3)', [id, a.item_id, a.amount]);
+    await recordAudit(db, { userId: actorId, entityType: 'payment', entityId: id, parentType: kind, parentId: payment.related_id, action, after: await snapshotPayment(db, id) });
+}
+
+// Runs inside the caller's transaction. onDuplicate is 'skip', 'merge' (add the items to the existing
+// counterparty) or 'create'. A failing row is rethrown with err.row set so the caller can report it.
+// actorId is who imported into the user's books.
+async function commitImport(db, repo, userId, counterparties, onDuplicate = 'skip', actorId = userId) {
+    const summary = { created: 0, merged: 0, skipped: 0, items: 0, payments: 0 };
+    for (const group of counterparties) {
+        let row = group.rows[0];
+        try {
+            let id;
+            let before = null;
+            if (group.duplicate && onDuplicate === 'skip') {
+                summary.skipped++;
+                continue;
+            } else if (group.duplicate && onDuplicate === 'merge') {
+                id = group.duplicate.id;
+                before = await repo.snapshot(db, id);
+                summary.merged++;
+            } else {
+                id = await repo.insertCounterparty(db, userId, group);
+                summary.created++;
+            }
+
+            for (const item of group.items) {
+                row = item.row;
+                const itemId = await repo.insertItem(db, id, item);
+                summary.items++;
+                if (item.status !== 'paid' || !item.amount) continue;
+                await insertPayment(db, userId, actorId, repo.kind, 'import', {
+                    type: repo.target.paymentType, related_id: id, amount: item.amount, currency: item.currency,
+                    payment_date: item.date_incurred, payment_method: 'import', notes: 'Imported as paid'
+                }, [{ item_id: itemId, amount: item.amount }]);
+                summary.payments++;
+            }
+            await repo.audit(db, actorId, 'import', { id, before, after: await repo.snapshot(db, id) });
+        } catch (err) {
+            err.row = row;
+            throw err;
+        }
+    }
+    return summary;
+}
+
+function backupError(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT) return 'The file is not a backup exported from this application';
+    if (!(backup.version <= BACKUP_VERSION)) return `Backup version ${backup.version} is not supported`;
+    const list = ['creditors', 'debtors', 'payments'].find(key => !Array.isArray(backup[key]));
+    return list ? `${list} must be a list` : null;
+}
+
+// Runs inside the caller's transaction. Everything in the backup is added as new records next to what
+// the user already has, with the backup's ids mapped to the new ones; payments whose counterparty is
+// not in the backup are skipped, as are allocations to items that are not. actorId is who restored it.
+async function restoreBackup(db, repositories, userId, backup, actorId = userId) {
+    const summary = { creditors: 0, debtors: 0, items: 0, payments: 0, skipped_payments: 0 };
+    const kinds = {};
+    const parentIds = {};
+    const itemIds = {};
+    for (const repo of repositories) {
+        const { parentTable, paymentType } = repo.target;
+        kinds[paymentType] = repo.kind;
+        parentIds[paymentType] = new Map();
+        itemIds[paymentType] = new Map();
+        for (const c of backup[parentTable]) {
+            const id = await repo.insertCounterparty(db, userId, c);
+            parentIds[paymentType].set(c.id, id);
+            summary[parentTable]++;
+            for (const item of c.items || []) {
+                itemIds[paymentType].set(item.id, await repo.insertItem(db, id, item));
+                summary.items++;
+            }
+            await repo.audit(db, actorId, 'restore', { id, after: await repo.snapshot(db, id) });
+        }
+    }
+
+    for (const p of backup.payments) {
+        const relatedId = parentIds[p.type] && parentIds[p.type].get(p.related_id);
+        if (!relatedId) {
+            summary.skipped_payments++;
+            continue;
+        }
+        const allocations = (p.allocations || [])
+            .filter(a => itemIds[p.type].has(a.item_id))
+            .map(a => ({ item_id: itemIds[p.type].get(a.item_id), amount: a.amount }));
+        await insertPayment(db, userId, actorId, kinds[p.type], 'restore', { ...p, related_id: relatedId }, allocations);
+        summary.payments++;
+    }
+    return summary;
+}
+
+module.exports = { IMPORT_FIELDS, readSheet, suggestMapping, parseAmount, previewImport, commitImport, backupError, restoreBackup };
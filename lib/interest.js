@@ -0,0 +1,104 @@
+// Interest and late-fee accrual for a single line item.
+// Interest runs from date_incurred (or created_at) on the principal still outstanding. Simple interest
+// is charged on that principal alone; compound interest also earns on unpaid interest. Late fees are
+// charged on the day after the due date, and again every month while overdue when late_fee_period is
+// 'month'. Payments allocated to the item settle penalties first, then interest, then principal.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTEREST_TYPES = ['none', 'simple', 'compound'];
+const INTEREST_PERIODS = { day: 1, month: 365 / 12, year: 365 };
+const LATE_FEE_TYPES = ['none', 'flat', 'percent'];
+const LATE_FEE_PERIODS = ['once', 'month'];
+
+function oneOf(values, fallback) {
+    return v => (values.includes(v) ? v : fallback);
+}
+
+// Cleaners for the item columns, merged into ITEM_FIELDS
+const ACCRUAL_FIELDS = {
+    interest_type: oneOf(INTEREST_TYPES, 'none'),
+    interest_rate: v => parseFloat(v) || 0,
+    interest_period: oneOf(Object.keys(INTEREST_PERIODS), 'year'),
+    late_fee_type: oneOf(LATE_FEE_TYPES, 'none'),
+    late_fee_value: v => parseFloat(v) || 0,
+    late_fee_period: oneOf(LATE_FEE_PERIODS, 'once')
+};
+
+// Dates become UTC midnights so day counts ignore time zones; 'YYYY-MM-DD' strings are read as calendar dates
+function toDay(value) {
+    const d = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function addMonths(day, months) {
+    const d = new Date(day);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, d.getUTCDate());
+}
+
+function lateFeeDays(item, asOf) {
+    if (item.late_fee_type === 'none' || !(parseFloat(item.late_fee_value) > 0) || !item.due_date) return [];
+    const days = [];
+    const due = toDay(item.due_date);
+    for (let month = 0; ; month++) {
+        const day = addMonths(due, month) + DAY_MS;
+        if (day > asOf || (month > 0 && item.late_fee_period !== 'month')) break;
+        days.push(day);
+    }
+    return days;
+}
+
+// allocations are [{ amount, payment_date }] for this item; asOf defaults to today.
+// Returns what is still due by asOf, split into principal, interest and penalties, and the totals charged.
+function accrueItem(item, allocations = [], asOf = new Date()) {
+    const until = toDay(asOf);
+    const rate = (parseFloat(item.interest_rate) || 0) / 100;
+    const fee = parseFloat(item.late_fee_value) || 0;
+    const periodDays = INTEREST_PERIODS[item.interest_period] || INTEREST_PERIODS.year;
+    const due = { principal: parseFloat(item.amount) || 0, interest: 0, penalties: 0 };
+    const charged = { interest: 0, penalties: 0 };
+    let cursor = toDay(item.date_incurred || item.created_at || asOf);
+
+    const charge = (kind, amount) => {
+        due[kind] += amount;
+        charged[kind] += amount;
+    };
+    const advance = (day) => {
+        if (day <= cursor) return;
+        const periods = (day - cursor) / DAY_MS / periodDays;
+        if (item.interest_type === 'simple') charge('interest', due.principal * rate * periods);
+        if (item.interest_type === 'compound') charge('interest', (due.principal + due.interest) * (Math.pow(1 + rate, periods) - 1));
+        cursor = day;
+    };
+    const pay = (amount) => {
+        for (const kind of ['penalties', 'interest', 'principal']) {
+            const settled = Math.min(amount, due[kind]);
+            due[kind] -= settled;
+            amount -= settled;
+        }
+    };
+
+    const events = [
+        ...allocations.map(a => ({ day: toDay(a.payment_date), payment: parseFloat(a.amount) || 0 }))
+            .filter(e => e.day <= until),
+        ...lateFeeDays(item, until).map(day => ({ day, fee: true }))
+    ].sort((a, b) => a.day - b.day || (a.fee ? 1 : -1));
+
+    for (const event of events) {
+        advance(event.day);
+        if (!event.fee) pay(event.payment);
+        else if (due.principal > 0) charge('penalties', item.late_fee_type === 'flat' ? fee : due.principal * fee / 100);
+    }
+    advance(until);
+
+    const round = n => Math.round(n * 100) / 100;
+    return {
+        principal_due: round(due.principal),
+        interest_due: round(due.interest),
+        penalties_due: round(due.penalties),
+        balance_due: round(due.principal + due.interest + due.penalties),
+        interest_charged: round(charged.interest),
+        penalties_charged: round(charged.penalties)
+    };
+}
+
+module.exports = { INTEREST_TYPES, INTEREST_PERIODS, LATE_FEE_TYPES, LATE_FEE_PERIODS, ACCRUAL_FIELDS, accrueItem };
@@ -0,0 +1,75 @@
+// Ledger of a creditor or debtor: its items as charges and its payments as credits in date order, with a
+// running balance kept per currency. An item is charged on date_incurred (or the day it was entered); the
+// interest and penalties it accrued over the range are charged on the last day, after that day's payments.
+// With a start date everything before it, accrual included, is summed into the opening balance.
+const { isoDay } = require('./plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENTRY_ORDER = { charge: 0, payment: 1, interest: 2, penalty: 3 };
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function dayBefore(day) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) - DAY_MS).toISOString().split('T')[0];
+}
+
+// atEnd and atStart are the counterparty as loaded by the repository's get() as of to and as of the day
+// before from; payments are all of its payments. Days are YYYY-MM-DD.
+function buildLedger({ atEnd, atStart = null, payments, from = null, to }) {
+    const ledgers = new Map();
+    const ledgerFor = (currency) => {
+        if (!ledgers.has(currency)) ledgers.set(currency, { currency, opening_balance: 0, entries: [] });
+        return ledgers.get(currency);
+    };
+    const before = (day) => from && day < from;
+    const accruedAtStart = new Map((atStart ? atStart.items : []).map(i => [i.id, i]));
+
+    for (const item of atEnd.items) {
+        const date = isoDay(item.date_incurred || item.created_at);
+        if (date > to) continue;
+        const ledger = ledgerFor(item.currency);
+        if (before(date)) ledger.opening_balance += item.amount;
+        else ledger.entries.push({ date, type: 'charge', item_id: item.id, reason: item.reason, charge: item.amount, payment: 0 });
+
+        const start = accruedAtStart.get(item.id) || { interest_charged: 0, penalties_charged: 0 };
+        ledger.opening_balance += start.interest_charged + start.penalties_charged;
+        for (const [type, field] of [['interest', 'interest_charged'], ['penalty', 'penalties_charged']]) {
+            const accrued = round(item[field] - start[field]);
+            if (accrued > 0) ledger.entries.push({ date: to, type, item_id: item.id, reason: item.reason, charge: accrued, payment: 0 });
+        }
+    }
+
+    for (const payment of payments) {
+        const date = isoDay(payment.payment_date);
+        if (date > to) continue;
+        const ledger = ledgerFor(payment.currency);
+        if (before(date)) ledger.opening_balance -= payment.amount;
+        else ledger.entries.push({ date, type: 'payment', payment_id: payment.id, payment_method: payment.payment_method, reference: payment.reference, charge: 0, payment: payment.amount });
+    }
+
+    return {
+        from,
+        to,
+        ledgers: [...ledgers.values()].sort((a, b) => a.currency.localeCompare(b.currency)).map(ledger => {
+            let balance = round(ledger.opening_balance);
+            const entries = ledger.entries
+                .sort((a, b) => a.date.localeCompare(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type])
+                .map(e => ({ ...e, balance: balance = round(balance + e.charge - e.payment) }));
+            return { currency: ledger.currency, opening_balance: round(ledger.opening_balance), entries, closing_balance: balance };
+        })
+    };
+}
+
+// repo is a repository from lib/counterparties.js and toBase a converter from lib/currency.js at the rates of
+// to, which defaults to today. Resolves null when the counterparty is not the user's.
+async function loadLedger(repo, userId, id, toBase, { from = null, to = null } = {}) {
+    to = to || isoDay(new Date());
+    const atEnd = await repo.get(userId, id, toBase, to);
+    if (!atEnd) return null;
+    const atStart = from ? await repo.get(userId, id, toBase, dayBefore(from)) : null;
+    return buildLedger({ atEnd, atStart, payments: await repo.payments(id), from, to });
+}
+
+module.exports = { buildLedger, loadLedger };
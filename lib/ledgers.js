@@ -0,0 +1,88 @@
+// Shared books. Records belong to the user who owns them, and a user's records are their ledger, named by
+// the owner's user id. An owner can share their ledger with another user as a viewer or editor
+// (SHARE_ROLES in lib/roles.js); that user switches to it in the dashboard and then works on the owner's
+// records, with the audit log naming them as the one who made each change. Granting, changing and revoking
+// a share are audited too, as ledger_share entries in the owner's ledger.
+const { withTransaction } = require('./db');
+const { recordAudit } = require('./audit');
+
+function auditShare(db, userId, action, { before = null, after = null }) {
+    const share = after || before;
+    return recordAudit(db, { userId, ledgerId: share.owner_id, entityType: 'ledger_share', entityId: share.id, action, before, after });
+}
+
+// The ledgers the user can open: their own first, then those shared with them, by owner name
+async function accessibleLedgers(db, userId) {
+    const result = await db.query(
+        `SELECT * FROM (
+            SELECT u.id, u.full_name, u.username, 'owner' AS role FROM users u WHERE u.id = $1
+            UNION ALL
+            SELECT u.id, u.full_name, u.username, s.role FROM ledger_shares s JOIN users u ON u.id = s.owner_id WHERE s.user_id = $1
+         ) ledgers ORDER BY role = 'owner' DESC, full_name`,
+        [userId]
+    );
+    return result.rows;
+}
+
+// 'owner' on the user's own ledger, the share's role on one shared with them, otherwise null
+async function ledgerRole(db, userId, ownerId) {
+    if (ownerId === userId) return 'owner';
+    const result = await db.query('SELECT role FROM ledger_shares WHERE owner_id = $1 AND user_id = $2', [ownerId, userId]);
+    return result.rows.length ? result.rows[0].role : null;
+}
+
+// Who the owner's ledger is shared with
+async function listShares(db, ownerId) {
+    const result = await db.query(
+        `SELECT s.id, s.role, s.created_at, u.id AS user_id, u.username, u.full_name, u.email
+         FROM ledger_shares s JOIN users u ON u.id = s.user_id WHERE s.owner_id = $1 ORDER BY u.full_name`,
+        [ownerId]
+    );
+    return result.rows;
+}
+
+// Sharing again with the same user changes their role. Resolves the share's id.
+function shareLedger(pool, ownerId, userId, role, createdBy) {
+    return withTransaction(pool, async (client) => {
+        const before = await client.query('SELECT * FROM ledger_shares WHERE owner_id = $1 AND user_id = $2 FOR UPDATE', [ownerId, userId]);
+        const result = await client.query(
+            `INSERT INTO ledger_shares (owner_id, user_id, role, created_by) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (owner_id, user_id) DO UPDATE SET role = EXCLUDED.role RETURNING *`,
+            [ownerId, userId, role, createdBy]
+        );
+        await auditShare(client, createdBy, before.rows.length ? 'update' : 'create', { before: before.rows[0] || null, after: result.rows[0] });
+        return result.rows[0].id;
+    });
+}
+
+// updateShare and removeShare resolve false when the share is not one of the owner's
+function updateShare(pool, ownerId, id, role) {
+    return withTransaction(pool, async (client) => {
+        const before = await client.query('SELECT * FROM ledger_shares WHERE id = $1 AND owner_id = $2 FOR UPDATE', [id, ownerId]);
+        if (!before.rows.length) return false;
+        const result = await client.query('UPDATE ledger_shares SET role = $1 WHERE id = $2 RETURNING *', [role, id]);
+        await auditShare(client, ownerId, 'update', { before: before.rows[0], after: result.rows[0] });
+        return true;
+    });
+}
+
+function removeShare(pool, ownerId, id) {
+    return withTransaction(pool, async (client) => {
+        const result = await client.query('DELETE FROM ledger_shares WHERE id = $1 AND owner_id = $2 RETURNING *', [id, ownerId]);
+        if (!result.rows.length) return false;
+        await auditShare(client, ownerId, 'delete', { before: result.rows[0] });
+        return true;
+    });
+}
+
+// The user gives up their access to the owner's ledger
+function leaveLedger(pool, userId, ownerId) {
+    return withTransaction(pool, async (client) => {
+        const result = await client.query('DELETE FROM ledger_shares WHERE owner_id = $1 AND user_id = $2 RETURNING *', [ownerId, userId]);
+        if (!result.rows.length) return false;
+        await auditShare(client, userId, 'delete', { before: result.rows[0] });
+        return true;
+    });
+}
+
+module.exports = { accessibleLedgers, ledgerRole, listShares, shareLedger, updateShare, removeShare, leaveLedger };
@@ -0,0 +1,151 @@
+// Letters for creditors and debtors, built from the admin-editable statement_templates table.
+// A template body is plain text with {{placeholders}}; blank lines separate paragraphs and a
+// paragraph holding only {{items_table}} is replaced by the table of line items, followed by a summary
+// with principal, interest, penalties, payments and the balance due on separate lines, and by the
+// installments of any repayment plan. A letter given a ledger from lib/ledger.js shows it there instead,
+// one table per currency running from the opening to the closing balance.
+const { REFERENCE_CURRENCY } = require('./currency');
+
+const PLACEHOLDERS = ['title', 'full_name', 'owner_name', 'salutation', 'date', 'total', 'interest', 'penalties', 'paid', 'balance', 'items_table'];
+
+const LABELS = {
+    english: {
+        to: 'To', date: 'Date', reason: 'Reason', dueDate: 'Due Date', amount: 'Amount', status: 'Status',
+        principal: 'Principal', interest: 'Interest', penalties: 'Late penalties', paid: 'Payments received', balance: 'Balance due',
+        statuses: { pending: 'Pending', partial: 'Partial', paid: 'Paid', upcoming: 'Upcoming', missed: 'Missed' },
+        planProgress: (reason, plan) => `Repayment plan for "${reason}": ${plan.installments_paid} of ${plan.installments.length} installments paid, ${plan.installments_missed} missed.`,
+        description: 'Description', charges: 'Charges', payments: 'Payments', runningBalance: 'Balance',
+        openingBalance: 'Opening balance', closingBalance: 'Closing balance',
+        ledgerPeriod: (currency, from, to) => `Account in ${currency}${from ? ` from ${from}` : ''} up to ${to}:`,
+        entries: { interest: (reason) => `Interest on "${reason}"`, penalty: (reason) => `Late penalties on "${reason}"`, payment: 'Payment' }
+    },
+    french: {
+        to: 'À', date: 'Date', reason: 'Motif', dueDate: 'Échéance', amount: 'Montant', status: 'Statut',
+        principal: 'Principal', interest: 'Intérêts', penalties: 'Pénalités de retard', paid: 'Paiements reçus', balance: 'Solde dû',
+        statuses: { pending: 'En attente', partial: 'Partiel', paid: 'Payé', upcoming: 'À venir', missed: 'Impayé' },
+        planProgress: (reason, plan) => `Échéancier pour « ${reason} » : ${plan.installments_paid} échéance(s) payée(s) sur ${plan.installments.length}, ${plan.installments_missed} impayée(s).`,
+        description: 'Libellé', charges: 'Débit', payments: 'Crédit', runningBalance: 'Solde',
+        openingBalance: 'Solde d\'ouverture', closingBalance: 'Solde de clôture',
+        ledgerPeriod: (currency, from, to) => `Compte en ${currency}${from ? ` du ${from}` : ''} au ${to} :`,
+        entries: { interest: (reason) => `Intérêts sur « ${reason} »`, penalty: (reason) => `Pénalités de retard sur « ${reason} »`, payment: 'Paiement' }
+    }
+};
+
+// fr-FR groups digits with a narrow no-break space, which the standard PDF fonts cannot draw
+function formatAmount(amount, locale, currency) {
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(amount || 0).replace(/[\u202f\u00a0]/g, ' ') + ' ' + currency;
+}
+
+// Letters keep amounts in their original currencies, e.g. "1 500 EUR + 250 000 XAF"
+function formatBalances(balances, field, locale) {
+    if (!balances.length) return formatAmount(0, locale, REFERENCE_CURRENCY);
+    return balances.map(b => formatAmount(b[field], locale, b.currency)).join(' + ');
+}
+
+function fillPlaceholders(text, values) {
+    return (text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Turns a statement_templates row into a layout that lib/pdf.js and the dashboard preview both render
+function buildLetter(template, counterparty, ownerName, date = new Date(), { ledger = null } = {}) {
+    const french = template.language === 'french';
+    const female = counterparty.gender === 'female';
+    const locale = french ? 'fr-FR' : 'en-GB';
+    const labels = LABELS[french ? 'french' : 'english'];
+    const title = female ? (french ? 'Mme' : 'Mrs.') : (french ? 'M.' : 'Mr.');
+    const formatDate = (d) => new Date(d).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+    const values = {
+        title,
+        full_name: counterparty.full_name,
+        owner_name: ownerName || '',
+        salutation: french ? (female ? 'Chère' : 'Cher') : 'Dear',
+        date: formatDate(date),
+        total: formatBalances(counterparty.balances, 'total_amount', locale),
+        interest: formatBalances(counterparty.balances, 'interest_amount', locale),
+        penalties: formatBalances(counterparty.balances, 'penalty_amount', locale),
+        paid: formatBalances(counterparty.balances, 'paid_amount', locale),
+        balance: formatBalances(counterparty.balances, 'pending_amount', locale)
+    };
+
+    const table = {
+        columns: ['#', labels.reason, labels.dueDate, labels.amount, labels.status],
+        widths: [0.06, 0.37, 0.19, 0.19, 0.19],
+        align: ['left', 'left', 'left', 'right', 'left'],
+        rows: (counterparty.items || []).map((item, idx) => [
+            String(idx + 1),
+            item.reason || '-',
+            item.due_date ? formatDate(item.due_date) : '-',
+            formatAmount(item.amount, locale, item.currency),
+            labels.statuses[item.status] || item.status
+        ])
+    };
+
+    const summary = {
+        widths: [0.6, 0.4],
+        align: ['left', 'right'],
+        rows: [['principal', 'total'], ['interest', 'interest'], ['penalties', 'penalties'], ['paid', 'paid'], ['balance', 'balance']]
+            .map(([label, key]) => [labels[label], values[key]])
+    };
+
+    const plans = (counterparty.items || []).filter(item => item.plan).flatMap(item => [
+        { text: labels.planProgress(item.reason || '-', item.plan) },
+        {
+            table: {
+                columns: ['#', labels.dueDate, labels.amount, labels.statuses.paid, labels.status],
+                widths: [0.06, 0.31, 0.22, 0.22, 0.19],
+                align: ['left', 'left', 'right', 'right', 'left'],
+                rows: item.plan.installments.map(i => [
+                    String(i.seq),
+                    formatDate(i.due_date),
+                    formatAmount(i.amount, locale, item.currency),
+                    formatAmount(i.paid_amount, locale, item.currency),
+                    labels.statuses[i.status] || i.status
+                ])
+            }
+        }
+    ]);
+
+    // Ledger days are YYYY-MM-DD strings, read here as local dates
+    const formatDay = (day) => formatDate(`${day}T00:00:00`);
+    const describe = (entry) => {
+        if (entry.type === 'payment') return [labels.entries.payment, entry.payment_method, entry.reference].filter(Boolean).join(' - ');
+        return entry.type === 'charge' ? entry.reason || '-' : labels.entries[entry.type](entry.reason || '-');
+    };
+    const ledgerBlocks = (ledger ? ledger.ledgers : []).flatMap(l => [
+        { text: labels.ledgerPeriod(l.currency, ledger.from && formatDay(ledger.from), formatDay(ledger.to)) },
+        {
+            table: {
+                columns: [labels.date, labels.description, labels.charges, labels.payments, labels.runningBalance],
+                widths: [0.17, 0.35, 0.16, 0.16, 0.16],
+                align: ['left', 'left', 'right', 'right', 'right'],
+                rows: [
+                    ...(ledger.from ? [[formatDay(ledger.from), labels.openingBalance, '', '', formatAmount(l.opening_balance, locale, l.currency)]] : []),
+                    ...l.entries.map(e => [
+                        formatDay(e.date),
+                        describe(e),
+                        e.charge ? formatAmount(e.charge, locale, l.currency) : '',
+                        e.payment ? formatAmount(e.payment, locale, l.currency) : '',
+                        formatAmount(e.balance, locale, l.currency)
+                    ]),
+                    [formatDay(ledger.to), labels.closingBalance, '', '', formatAmount(l.closing_balance, locale, l.currency)]
+                ]
+            }
+        }
+    ]);
+    const itemsBlocks = ledger ? ledgerBlocks : [{ table }, { table: summary }, ...plans];
+
+    const blocks = (template.body || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).flatMap(paragraph =>
+        /^{{\s*items_table\s*}}$/.test(paragraph) ? itemsBlocks : [{ text: fillPlaceholders(paragraph, values) }]
+    );
+
+    return {
+        heading: fillPlaceholders(template.heading, values),
+        dateLine: `${labels.date}: ${date.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
+        recipient: `${labels.to}: ${title} ${counterparty.full_name}`,
+        blocks,
+        signatures: (template.signatures || '').split('\n').map(s => fillPlaceholders(s.trim(), values)).filter(Boolean)
+    };
+}
+
+module.exports = { PLACEHOLDERS, buildLetter };
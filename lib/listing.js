@@ -0,0 +1,47 @@
+// Query parameters shared by the list endpoints: ?page, ?limit, ?q, ?status, ?sort, ?from and ?to.
+// A list is returned whole unless ?page or ?limit is given. The number of matching rows before paging is
+// sent in the X-Total-Count header, so the body stays the plain array it has always been.
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Whether value is a date as YYYY-MM-DD that is on the calendar: 2024-02-30 is not, though Date rolls it over
+function isDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+// sorts are the accepted ?sort keys, each of which may be prefixed with '-' for descending order.
+// Returns { error } for a malformed query, otherwise { options }.
+function parseListQuery(query, { sorts, statuses, defaultSort }) {
+    const sort = query.sort || defaultSort;
+    const options = {
+        q: (query.q || '').trim(),
+        status: query.status || '',
+        from: query.from || null,
+        to: query.to || null,
+        sort: sort.replace(/^-/, ''),
+        desc: sort.startsWith('-')
+    };
+    if (!sorts.includes(options.sort)) return { error: `sort must be one of: ${sorts.join(', ')}` };
+    if (options.status && !statuses.includes(options.status)) return { error: `status must be one of: ${statuses.join(', ')}` };
+    if ([options.from, options.to].some(d => d && !isDate(d))) return { error: 'from and to must be dates as YYYY-MM-DD' };
+    if (query.page !== undefined || query.limit !== undefined) {
+        options.limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+        if (!(options.limit >= 1 && options.limit <= MAX_LIMIT)) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        options.page = Math.max(parseInt(query.page) || 1, 1);
+    }
+    return { options };
+}
+
+// Pattern for ILIKE that matches q anywhere, with its own wildcards taken literally; null when q is empty
+function searchPattern(q) {
+    return q ? `%${q.replace(/[\\%_]/g, '\\$&')}%` : null;
+}
+
+function paginate(rows, { page, limit }) {
+    return limit ? rows.slice((page - 1) * limit, page * limit) : rows;
+}
+
+module.exports = { isDate, parseListQuery, searchPattern, paginate };
@@ -0,0 +1,43 @@
+// Outgoing email. MAIL_TRANSPORT picks 'smtp' (the default when SMTP_URL is set), 'console' for local use,
+// or 'file', which writes each message to MAIL_DIR (default mail/, relative to the project root) for tests
+// that need to read what was sent. Both of those would leave password reset links readable by whoever
+// sees the logs or the disk, so with NODE_ENV=production anything but smtp gives a disabled mailer: its
+// disabled property says why and send() refuses, and the features that send mail check it and stay off.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+function createMailer(env = process.env) {
+    const transport = env.MAIL_TRANSPORT || (env.SMTP_URL ? 'smtp' : 'console');
+    const from = env.MAIL_FROM || 'ZEZEN <no-reply@ghouenzen.com>';
+    if (env.NODE_ENV === 'production' && transport !== 'smtp') {
+        const disabled = `MAIL_TRANSPORT ${transport} is for local use only; set SMTP_URL to send mail in production`;
+        return { name: transport, disabled, async send() { throw new Error(disabled); } };
+    }
+
+    if (transport === 'smtp') {
+        const smtp = nodemailer.createTransport(env.SMTP_URL);
+        return { name: 'smtp', send: (message) => smtp.sendMail({ from, ...message }) };
+    }
+
+    if (transport === 'file') {
+        const dir = path.resolve(__dirname, '..', env.MAIL_DIR || 'mail');
+        return {
+            name: 'file',
+            async send(message) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`);
+                await fs.promises.writeFile(file, `From: ${from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+            }
+        };
+    }
+
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`[mail] To: ${message.to} | ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,92 @@
+// Versioned schema migrations. Each file in migrations/ is named NNN_description.js and exports up(db) and
+// down(db). A migration runs in its own transaction together with its row in schema_migrations, so one
+// that fails leaves neither changes nor a record behind. `npm run migrate` applies the pending ones,
+// `npm run migrate:down` reverts the latest, and the server refuses to start while any are pending.
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Advisory lock held while migrating, so two deploys starting at once take turns
+const LOCK_KEY = 4839201;
+
+// [{ version, name, up, down }] in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+_\w+\.js$/.test(file))
+        .map(file => ({ version: parseInt(file), name: path.basename(file, '.js'), ...require(path.join(dir, file)) }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(db) {
+    const table = await db.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+    if (!table.rows[0].present) return [];
+    const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(r => r.version);
+}
+
+// version is the latest applied migration, 0 for an empty database; unknown lists applied versions with
+// no file here, as after running older code against a newer database
+async function schemaStatus(db, migrations = loadMigrations()) {
+    const applied = await appliedVersions(db);
+    return {
+        version: applied.length ? applied[applied.length - 1] : 0,
+        pending: migrations.filter(m => !applied.includes(m.version)),
+        unknown: applied.filter(v => !migrations.some(m => m.version === v))
+    };
+}
+
+// Applies every pending migration in version order; resolves the names of those applied
+async function migrateUp(pool, { migrations = loadMigrations(), log = console.log } = {}) {
+    await ensureMigrationsTable(pool);
+    const applied = [];
+    for (const migration of migrations) {
+        const ran = await withTransaction(pool, async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            const done = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+            if (done.rows.length) return false;
+            await migration.up(client);
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            return true;
+        });
+        if (ran) {
+            log(`Applied ${migration.name}`);
+            applied.push(migration.name);
+        }
+    }
+    return applied;
+}
+
+// Reverts the latest `steps` applied migrations, newest first; resolves the names of those reverted
+async function migrateDown(pool, { steps = 1, migrations = loadMigrations(), log = console.log } = {}) {
+    await ensureMigrationsTable(pool);
+    const reverted = [];
+    while (reverted.length < steps) {
+        const name = await withTransaction(pool, async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            const latest = await client.query('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT 1');
+            if (!latest.rows.length) return null;
+            const migration = migrations.find(m => m.version === latest.rows[0].version);
+            if (!migration) throw new Error(`Cannot revert ${latest.rows[0].name}: no such file in migrations/`);
+            await migration.down(client);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            return migration.name;
+        });
+        if (!name) break;
+        log(`Reverted ${name}`);
+        reverted.push(name);
+    }
+    return reverted;
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, schemaStatus, migrateUp, migrateDown };
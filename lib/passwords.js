@@ -0,0 +1,70 @@
+// Password policy and generated one-time passwords. The policy comes from the environment:
+// PASSWORD_MIN_LENGTH (default 10), PASSWORD_MIN_CLASSES, how many of lowercase letters, uppercase letters,
+// digits and symbols a password must mix (default 3), and PASSWORD_BREACHED_LIST, a file of leaked
+// passwords one per line (default data/breached-passwords.txt, empty to skip that check). The list is read
+// once at startup so a missing file stops the server instead of silently weakening the policy.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHARACTER_CLASSES = [
+    { name: 'lowercase letters', pattern: /[a-z]/, alphabet: 'abcdefghijkmnopqrstuvwxyz' },
+    { name: 'uppercase letters', pattern: /[A-Z]/, alphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ' },
+    { name: 'digits', pattern: /[0-9]/, alphabet: '23456789' },
+    { name: 'symbols', pattern: /[^a-zA-Z0-9]/, alphabet: '!#$%&*+-=?@_' }
+];
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+// bcrypt ignores anything past 72 bytes
+const MAX_LENGTH = 72;
+const GENERATED_LENGTH = 16;
+
+// Relative paths are from the project root
+function readBreachedList(file) {
+    if (!file) return new Set();
+    return new Set(fs.readFileSync(path.resolve(__dirname, '..', file), 'utf8').split(/\r?\n/).map(line => line.trim().toLowerCase()).filter(Boolean));
+}
+
+function createPasswordPolicy(env = process.env) {
+    const minLength = Math.min(parseInt(env.PASSWORD_MIN_LENGTH) || 10, MAX_LENGTH);
+    const minClasses = Math.min(Math.max(parseInt(env.PASSWORD_MIN_CLASSES) || 3, 1), CHARACTER_CLASSES.length);
+    const breached = readBreachedList(env.PASSWORD_BREACHED_LIST === undefined ? DEFAULT_BREACHED_LIST : env.PASSWORD_BREACHED_LIST);
+
+    // For the password forms
+    const rules = [
+        `At least ${minLength} characters`,
+        minClasses > 1 ? `At least ${minClasses} of: ${CHARACTER_CLASSES.map(c => c.name).join(', ')}` : null,
+        'Not your username or email',
+        breached.size ? 'Not a known breached password' : null
+    ].filter(Boolean);
+
+    // The reason a password is refused, or null. user is { username, email }, which it may not contain.
+    function check(password, user = {}) {
+        if (typeof password !== 'string' || password.length < minLength) return `Password must be at least ${minLength} characters`;
+        if (Buffer.byteLength(password) > MAX_LENGTH) return `Password must be at most ${MAX_LENGTH} bytes`;
+        if (CHARACTER_CLASSES.filter(c => c.pattern.test(password)).length < minClasses) {
+            return `Password must mix at least ${minClasses} of: ${CHARACTER_CLASSES.map(c => c.name).join(', ')}`;
+        }
+        const lower = password.toLowerCase();
+        const names = [user.username, (user.email || '').split('@')[0]].filter(n => n && n.length >= 3);
+        if (names.some(n => lower.includes(n.toLowerCase()))) return 'Password must not contain your username or email';
+        if (breached.has(lower)) return 'This password appears in a list of breached passwords; choose another';
+        return null;
+    }
+
+    // A random password that passes check(): one character of each class, the rest from all of them
+    function generate() {
+        const all = CHARACTER_CLASSES.map(c => c.alphabet).join('');
+        const pick = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+        const chars = CHARACTER_CLASSES.map(c => pick(c.alphabet));
+        while (chars.length < Math.max(GENERATED_LENGTH, minLength)) chars.push(pick(all));
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
+        }
+        return chars.join('');
+    }
+
+    return { minLength, minClasses, rules, check, generate };
+}
+
+module.exports = { createPasswordPolicy };
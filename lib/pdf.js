@@ -0,0 +1,60 @@
+// Renders a letter layout from lib/letters.js into a PDF buffer
+const PDFDocument = require('pdfkit');
+
+function renderLetterPdf(letter) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+
+        doc.font('Helvetica-Bold').fontSize(16).text(letter.heading, { align: 'center' });
+        doc.moveTo(left, doc.y + 6).lineTo(left + width, doc.y + 6).stroke();
+        doc.moveDown(1.5);
+
+        doc.font('Helvetica').fontSize(10).text(letter.dateLine, { align: 'right' });
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text(letter.recipient);
+        doc.moveDown();
+        // Table widths are fractions of the text width; see buildLetter in lib/letters.js
+        const drawRow = (table, cells, bold) => {
+            const widths = table.widths.map(w => w * width);
+            const y = doc.y;
+            let x = left;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            const heights = cells.map((cell, idx) => doc.heightOfString(cell, { width: widths[idx] - 8 }));
+            cells.forEach((cell, idx) => {
+                doc.text(cell, x + 4, y + 4, { width: widths[idx] - 8, align: table.align[idx] });
+                x += widths[idx];
+            });
+            const rowHeight = Math.max(...heights) + 8;
+            doc.rect(left, y, width, rowHeight).stroke();
+            doc.x = left;
+            doc.y = y + rowHeight;
+        };
+
+        for (const block of letter.blocks) {
+            if (block.table) {
+                if (!block.table.rows.length) continue;
+                if (block.table.columns) drawRow(block.table, block.table.columns, true);
+                block.table.rows.forEach(row => drawRow(block.table, row, false));
+            } else {
+                doc.font('Helvetica').fontSize(11).text(block.text, left, doc.y, { width, align: 'justify' });
+            }
+            doc.moveDown(0.75);
+        }
+        doc.moveDown(3);
+        for (const label of letter.signatures) {
+            doc.font('Helvetica-Bold').fontSize(10).text(`${label}: ______________________________`, left);
+            doc.moveDown(1.5);
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = { renderLetterPdf };
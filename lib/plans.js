@@ -0,0 +1,78 @@
+// Repayment plans: a line item paid back in scheduled installments.
+// The schedule is generated once when the plan is saved. Payments allocated to the item are matched
+// against the installments in due-date order; an installment still not fully covered after its due
+// date is missed.
+const FREQUENCIES = { weekly: { days: 7 }, biweekly: { days: 14 }, monthly: { months: 1 }, quarterly: { months: 3 } };
+const MAX_INSTALLMENTS = 360;
+
+function planError(plan) {
+    if (!FREQUENCIES[plan.frequency]) return `frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`;
+    if (!plan.start_date || isNaN(new Date(plan.start_date))) return 'start_date is required';
+    const count = parseInt(plan.installment_count);
+    if (!(count >= 1 && count <= MAX_INSTALLMENTS)) return `installment_count must be between 1 and ${MAX_INSTALLMENTS}`;
+    if (plan.installment_amount && !(parseFloat(plan.installment_amount) > 0)) return 'installment_amount must be greater than zero';
+    return null;
+}
+
+// 'YYYY-MM-DD' for a date string or a DATE column, which pg reads as local midnight
+function isoDay(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+    const d = new Date(value);
+    return [d.getFullYear(), String(d.getMonth() + 1).padStart(2, '0'), String(d.getDate()).padStart(2, '0')].join('-');
+}
+
+// Month steps keep the start day, clamped to the end of shorter months
+function stepDate(start, frequency, n) {
+    const [year, month, day] = isoDay(start).split('-').map(Number);
+    const { days, months } = FREQUENCIES[frequency];
+    if (days) return isoDay(new Date(Date.UTC(year, month - 1, day + days * n)).toISOString());
+    const target = month - 1 + months * n;
+    const lastDay = new Date(Date.UTC(year, target + 1, 0)).getUTCDate();
+    return isoDay(new Date(Date.UTC(year, target, Math.min(day, lastDay))).toISOString());
+}
+
+// Without an installment_amount the item amount is split evenly and the last installment takes the rounding
+function scheduleInstallments(plan, itemAmount) {
+    const count = parseInt(plan.installment_count);
+    const fixed = parseFloat(plan.installment_amount) || 0;
+    const even = Math.floor((itemAmount / count) * 100) / 100;
+    return Array.from({ length: count }, (_, idx) => ({
+        seq: idx + 1,
+        due_date: stepDate(plan.start_date, plan.frequency, idx),
+        amount: fixed || (idx === count - 1 ? Math.round((itemAmount - even * (count - 1)) * 100) / 100 : even)
+    }));
+}
+
+// allocations are [{ amount, payment_date }] for the item; returns the plan with per-installment status and progress
+function matchInstallments(plan, installments, allocations, asOf = new Date()) {
+    const today = isoDay(asOf);
+    let available = allocations
+        .filter(a => isoDay(a.payment_date) <= today)
+        .reduce((s, a) => s + (parseFloat(a.amount) || 0), 0);
+
+    const matched = installments.map(i => {
+        const amount = parseFloat(i.amount) || 0;
+        const dueDate = isoDay(i.due_date);
+        const paid = Math.min(available, amount);
+        available -= paid;
+        let status = 'upcoming';
+        if (paid >= amount) status = 'paid';
+        else if (dueDate < today) status = 'missed';
+        else if (paid > 0) status = 'partial';
+        return { seq: i.seq, due_date: dueDate, amount, paid_amount: Math.round(paid * 100) / 100, status };
+    });
+
+    const next = matched.find(i => i.status !== 'paid');
+    return {
+        ...plan,
+        installments: matched,
+        total_amount: matched.reduce((s, i) => s + i.amount, 0),
+        paid_amount: matched.reduce((s, i) => s + i.paid_amount, 0),
+        installments_paid: matched.filter(i => i.status === 'paid').length,
+        installments_missed: matched.filter(i => i.status === 'missed').length,
+        next_due_date: next ? next.due_date : null,
+        next_amount: next ? next.amount - next.paid_amount : 0
+    };
+}
+
+module.exports = { FREQUENCIES, planError, isoDay, scheduleInstallments, matchInstallments };
@@ -0,0 +1,148 @@
+// Reminder engine: once a day, records a reminder for every outstanding item that is due within
+// REMINDER_DAYS_AHEAD days or already overdue, then hands each new reminder to the configured transports.
+// The amount is the item's balance due in its own currency, interest and penalties included (lib/interest.js).
+const { COUNTERPARTIES } = require('./counterparties');
+const { createMailer } = require('./mailer');
+const { accrueItem } = require('./interest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(amount) + ' ' + currency;
+}
+
+function reminderMessage(row) {
+    const amount = formatAmount(row.outstanding, row.currency);
+    const what = row.item_type === 'creditor'
+        ? `You owe ${row.full_name} ${amount}`
+        : `${row.full_name} owes you ${amount}`;
+    const reason = row.reason ? ` for "${row.reason}"` : '';
+    if (row.days_past_due > 0) return `${what}${reason}, overdue by ${row.days_past_due} day${row.days_past_due > 1 ? 's' : ''}`;
+    if (row.days_past_due === 0) return `${what}${reason}, due today`;
+    return `${what}${reason}, due in ${-row.days_past_due} day${row.days_past_due < -1 ? 's' : ''}`;
+}
+
+// TRANSPORTS
+// A transport is { name, send(reminder, user) }. In-app delivery is the reminder row itself.
+function createInAppTransport() {
+    return { name: 'inapp', async send() { } };
+}
+
+function createEmailTransport(mailer = createMailer()) {
+    return {
+        name: 'email',
+        async send(reminder, user) {
+            if (!user.email) return;
+            await mailer.send({ to: user.email, subject: 'Payment reminder', text: reminder.message });
+        }
+    };
+}
+
+function createSmsWebhookTransport(url) {
+    return {
+        name: 'sms',
+        async send(reminder, user) {
+            if (!user.phone) return;
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ to: user.phone, message: reminder.message })
+            });
+            if (!res.ok) throw new Error(`SMS webhook responded ${res.status}`);
+        }
+    };
+}
+
+// Keeps everything it is asked to send, for local runs and tests
+function createStubTransport() {
+    const sent = [];
+    return { name: 'stub', sent, async send(reminder, user) { sent.push({ reminder, user }); } };
+}
+
+// REMINDER_TRANSPORTS is a comma-separated list such as "inapp,email,sms"; email is left out while the mailer
+// is disabled (lib/mailer.js)
+function transportsFromEnv(env = process.env) {
+    return (env.REMINDER_TRANSPORTS || 'inapp').split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        if (name === 'inapp') return createInAppTransport();
+        if (name === 'email') {
+            const mailer = createMailer(env);
+            if (!mailer.disabled) return createEmailTransport(mailer);
+            console.warn(`Email reminders are off: ${mailer.disabled}`);
+            return null;
+        }
+        if (name === 'sms') {
+            if (!env.SMS_WEBHOOK_URL) throw new Error('SMS_WEBHOOK_URL is required for the sms reminder transport');
+            return createSmsWebhookTransport(env.SMS_WEBHOOK_URL);
+        }
+        if (name === 'stub') return createStubTransport();
+        throw new Error(`Unknown reminder transport: ${name}`);
+    }).filter(Boolean);
+}
+
+// Items due within daysAhead ($1) or overdue, with their allocations for accrueItem
+function dueItemsQuery(kind, { parentTable, itemsTable, foreignKey, paymentType }) {
+    return `
+        SELECT i.*, '${kind}' AS item_type, i.id AS item_id, c.user_id, c.full_name, CURRENT_DATE - i.due_date AS days_past_due,
+            COALESCE((
+                SELECT json_agg(json_build_object('amount', pa.amount, 'payment_date', p.payment_date) ORDER BY p.payment_date, pa.id)
+                FROM payment_allocations pa JOIN payments p ON pa.payment_id = p.id
+                WHERE p.type = '${paymentType}' AND p.deleted_at IS NULL AND pa.item_id = i.id
+            ), '[]') AS allocations
+        FROM ${itemsTable} i JOIN ${parentTable} c ON c.id = i.${foreignKey}
+        WHERE i.deleted_at IS NULL AND c.deleted_at IS NULL AND i.due_date IS NOT NULL AND i.due_date <= CURRENT_DATE + $1::int`;
+}
+
+function createReminderEngine(pool, { daysAhead = 7, transports = [createInAppTransport()] } = {}) {
+    async function deliver(reminder) {
+        const user = await pool.query('SELECT id, email, phone, full_name FROM users WHERE id = $1', [reminder.user_id]);
+        for (const transport of transports) {
+            try {
+                await transport.send(reminder, user.rows[0] || {});
+            } catch (err) {
+                console.error(`Reminder ${reminder.id} via ${transport.name} failed:`, err.message);
+            }
+        }
+        await pool.query('UPDATE reminders SET delivered_at = NOW() WHERE id = $1', [reminder.id]);
+    }
+
+    // Creates at most one reminder per item, kind and due date, so running twice a day is harmless
+    async function run() {
+        const created = [];
+        for (const [kind, target] of Object.entries(COUNTERPARTIES)) {
+            const items = await pool.query(dueItemsQuery(kind, target), [daysAhead]);
+            for (const item of items.rows) {
+                // What is due with interest and penalties accrued to today, as balances show it
+                const row = { ...item, outstanding: accrueItem(item, item.allocations).balance_due };
+                if (row.outstanding <= 0) continue;
+                const result = await pool.query(
+                    `INSERT INTO reminders (user_id, item_type, item_id, kind, due_date, amount, currency, message)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                     ON CONFLICT (item_type, item_id, kind, due_date) DO NOTHING RETURNING *`,
+                    [row.user_id, row.item_type, row.item_id, row.days_past_due > 0 ? 'overdue' : 'upcoming', row.due_date, row.outstanding, row.currency, reminderMessage(row)]
+                );
+                if (result.rows.length) created.push(result.rows[0]);
+            }
+        }
+        for (const reminder of created) await deliver(reminder);
+        return created;
+    }
+
+    function start(intervalMs = DAY_MS) {
+        const tick = () => run()
+            .then(created => created.length && console.log(`Reminders: ${created.length} created`))
+            .catch(err => console.error('Reminder job error:', err.message));
+        tick();
+        return setInterval(tick, intervalMs);
+    }
+
+    return { run, start };
+}
+
+module.exports = {
+    createReminderEngine,
+    transportsFromEnv,
+    createInAppTransport,
+    createEmailTransport,
+    createSmsWebhookTransport,
+    createStubTransport
+};
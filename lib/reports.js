@@ -0,0 +1,53 @@
+// Reporting over the balances produced by the counterparty repository
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days_1_30', label: '1–30 days', maxDays: 30 },
+    { key: 'days_31_60', label: '31–60 days', maxDays: 60 },
+    { key: 'days_61_90', label: '61–90 days', maxDays: 90 },
+    { key: 'days_90_plus', label: '90+ days', maxDays: Infinity }
+];
+
+// Items without a due date, or not yet due, count as current
+function bucketFor(daysPastDue) {
+    return AGING_BUCKETS.find(b => (daysPastDue || 0) <= b.maxDays).key;
+}
+
+function emptyBuckets() {
+    return Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+}
+
+// Buckets each counterparty's outstanding items, interest and penalties included, by days past due. Payments that were not
+// allocated to a specific item settle the earliest-due items of their currency first, so the
+// per-counterparty total always matches pending_amount. Amounts are converted with toBase.
+function agingReport(counterparties, toBase) {
+    const totals = { ...emptyBuckets(), total: 0 };
+    const rows = [];
+
+    for (const c of counterparties) {
+        const row = { id: c.id, full_name: c.full_name, ...emptyBuckets(), total: 0 };
+        const unallocated = Object.fromEntries(c.balances.map(b => [b.currency, b.paid_amount]));
+        c.items.forEach(i => { unallocated[i.currency] -= i.paid_amount; });
+        const byDueDate = [...c.items].sort((a, b) => (b.days_past_due ?? -Infinity) - (a.days_past_due ?? -Infinity));
+
+        for (const item of byDueDate) {
+            let outstanding = item.balance_due;
+            const settled = Math.min(Math.max(unallocated[item.currency], 0), outstanding);
+            outstanding -= settled;
+            unallocated[item.currency] -= settled;
+            if (outstanding <= 0) continue;
+
+            const amount = toBase(outstanding, item.currency);
+            const key = bucketFor(item.days_past_due);
+            row[key] += amount;
+            row.total += amount;
+            totals[key] += amount;
+            totals.total += amount;
+        }
+
+        if (row.total > 0) rows.push(row);
+    }
+
+    return { currency: toBase.base, totals, counterparties: rows };
+}
+
+module.exports = { AGING_BUCKETS, agingReport };
@@ -0,0 +1,54 @@
+// Self-service password resets. A request mails the user a link holding a random token; the token is
+// stored hashed, expires after PASSWORD_RESET_MINUTES (default 60) and can be used once. Asking again
+// replaces any link not yet used, and a user is mailed at most once every RESEND_SECONDS.
+const crypto = require('crypto');
+
+const RESEND_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function createPasswordResets(pool, env = process.env) {
+    const expiryMinutes = parseInt(env.PASSWORD_RESET_MINUTES) || 60;
+
+    return {
+        expiryMinutes,
+
+        // Resolves the token to mail, or null when the user was sent one moments ago
+        async issue(userId, ip) {
+            const recent = await pool.query(
+                `SELECT 1 FROM password_resets WHERE user_id = $1 AND used_at IS NULL AND created_at > NOW() - $2 * INTERVAL '1 second'`,
+                [userId, RESEND_SECONDS]
+            );
+            if (recent.rows.length) return null;
+            const token = crypto.randomBytes(32).toString('base64url');
+            await pool.query('DELETE FROM password_resets WHERE user_id = $1 AND used_at IS NULL', [userId]);
+            await pool.query(
+                `INSERT INTO password_resets (user_id, token_hash, requested_ip, expires_at) VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+                [userId, hashToken(token), ip, expiryMinutes]
+            );
+            return token;
+        },
+
+        // The user a usable token belongs to, or null
+        async find(token) {
+            const result = await pool.query(
+                `SELECT u.id, u.username, u.email FROM password_resets pr JOIN users u ON u.id = pr.user_id
+                 WHERE pr.token_hash = $1 AND pr.used_at IS NULL AND pr.expires_at > NOW()`,
+                [hashToken(token)]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Marks the token used. Resolves false if it was used or expired in the meantime, so two requests
+        // cannot both reset with it.
+        async consume(token, db = pool) {
+            const result = await db.query(
+                'UPDATE password_resets SET used_at = NOW() WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()',
+                [hashToken(token)]
+            );
+            return result.rowCount > 0;
+        }
+    };
+}
+
+module.exports = { createPasswordResets };
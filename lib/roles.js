@@ -0,0 +1,54 @@
+// Roles and what each may do. Every route names the permission it needs (requirePermission in
+// server.js) and the dashboard hides what the user's role does not include. On books shared with them
+// (lib/ledgers.js), a user may do what both their role and the share's role allow.
+const PERMISSIONS = {
+    read: 'See records, balances, reports, statements and exports',
+    write: 'Add and edit creditors, debtors, items and repayment plans, and import',
+    record_payments: 'Record payments',
+    delete: 'Delete records, and restore or purge them from the trash',
+    admin: 'Manage users, templates, exchange rates and settings'
+};
+
+const ROLES = {
+    owner: { label: 'Owner', permissions: ['read', 'write', 'record_payments', 'delete'] },
+    bookkeeper: { label: 'Bookkeeper', permissions: ['read', 'write', 'record_payments'] },
+    viewer: { label: 'Viewer', permissions: ['read'] },
+    admin: { label: 'Admin', permissions: Object.keys(PERMISSIONS) }
+};
+
+const DEFAULT_ROLE = 'owner';
+
+// Roles a ledger is shared with; admin is never granted through a share
+const SHARE_ROLES = {
+    viewer: { label: 'Viewer', permissions: ['read'] },
+    editor: { label: 'Editor', permissions: ['read', 'write', 'record_payments', 'delete'] }
+};
+
+function permissionsOf(role) {
+    return ROLES[role] ? ROLES[role].permissions : [];
+}
+
+function hasPermission(role, permission) {
+    return permissionsOf(role).includes(permission);
+}
+
+function roleError(role) {
+    return role in ROLES ? null : `role must be one of: ${Object.keys(ROLES).join(', ')}`;
+}
+
+// What a user with role may do on books shared with them as shareRole
+function sharedPermissions(role, shareRole) {
+    const granted = SHARE_ROLES[shareRole] ? SHARE_ROLES[shareRole].permissions : [];
+    return permissionsOf(role).filter(p => granted.includes(p));
+}
+
+function shareRoleError(shareRole) {
+    return shareRole in SHARE_ROLES ? null : `role must be one of: ${Object.keys(SHARE_ROLES).join(', ')}`;
+}
+
+// Whether a user with role may share their books as shareRole, which must grant nothing their role does not
+function mayShareAs(role, shareRole) {
+    return SHARE_ROLES[shareRole].permissions.every(p => hasPermission(role, p));
+}
+
+module.exports = { PERMISSIONS, ROLES, DEFAULT_ROLE, SHARE_ROLES, permissionsOf, hasPermission, roleError, sharedPermissions, shareRoleError, mayShareAs };
@@ -0,0 +1,58 @@
+// A user's logins, read from the connect-pg-simple store (user_sessions). Each session records the
+// browser and address it was started from and when it was last used. Session ids are never sent to
+// the browser: a session is named by a hash of its id instead, which cannot be used as a cookie.
+const crypto = require('crypto');
+
+const publicId = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+
+// Sessions of userId, also those still waiting for a 2FA code
+const USER_SESSIONS_SQL = `((sess->>'userId')::int = $1 OR (sess->'pendingTwoFactor'->>'userId')::int = $1)`;
+
+const BROWSERS = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+const SYSTEMS = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+// 'Chrome on Windows' and the like, enough to tell devices apart
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !system) return userAgent.slice(0, 60);
+    return [browser ? browser[0] : 'Browser', system ? `on ${system[0]}` : null].filter(Boolean).join(' ');
+}
+
+// The fields startSession stores alongside the login
+function sessionDetails(req) {
+    return { userAgent: req.get('user-agent') || '', ip: req.ip, createdAt: Date.now(), lastSeen: Date.now() };
+}
+
+async function listSessions(db, userId, currentSid) {
+    const result = await db.query(`SELECT sid, sess, expire FROM user_sessions WHERE ${USER_SESSIONS_SQL} AND expire > NOW()`, [userId]);
+    return result.rows.map(({ sid, sess, expire }) => ({
+        id: publicId(sid),
+        current: sid === currentSid,
+        device: describeUserAgent(sess.userAgent),
+        user_agent: sess.userAgent || null,
+        ip: sess.ip || null,
+        created_at: sess.createdAt ? new Date(sess.createdAt) : null,
+        last_seen: sess.lastSeen ? new Date(sess.lastSeen) : null,
+        expires_at: expire,
+        two_factor_pending: !!sess.pendingTwoFactor
+    })).sort((a, b) => b.current - a.current || (b.last_seen || 0) - (a.last_seen || 0));
+}
+
+// Resolves whether the session named id belonged to the user and was ended
+async function endSession(db, userId, id) {
+    const result = await db.query(`SELECT sid FROM user_sessions WHERE ${USER_SESSIONS_SQL}`, [userId]);
+    const row = result.rows.find(r => publicId(r.sid) === id);
+    if (!row) return false;
+    await db.query('DELETE FROM user_sessions WHERE sid = $1', [row.sid]);
+    return true;
+}
+
+// Logs the user out everywhere except the session keepSid. Resolves how many sessions were ended.
+async function endSessions(db, userId, keepSid = null) {
+    const result = await db.query(`DELETE FROM user_sessions WHERE sid IS DISTINCT FROM $2 AND ${USER_SESSIONS_SQL}`, [userId, keepSid]);
+    return result.rowCount;
+}
+
+module.exports = { describeUserAgent, sessionDetails, listSessions, endSession, endSessions };
@@ -0,0 +1,25 @@
+// Application-wide settings that admins change at runtime, stored as JSON in app_settings.
+// DEFAULTS lists every setting and the value it has until an admin sets it.
+const DEFAULTS = {
+    require_admin_2fa: false
+};
+
+async function getSettings(db) {
+    const result = await db.query('SELECT key, value FROM app_settings');
+    return { ...DEFAULTS, ...Object.fromEntries(result.rows.filter(r => r.key in DEFAULTS).map(r => [r.key, r.value])) };
+}
+
+async function getSetting(db, key) {
+    return (await getSettings(db))[key];
+}
+
+async function setSetting(db, key, value, userId) {
+    if (!(key in DEFAULTS)) throw new Error(`Unknown setting ${key}`);
+    await db.query(
+        `INSERT INTO app_settings (key, value, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [key, JSON.stringify(value), userId]
+    );
+}
+
+module.exports = { DEFAULTS, getSettings, getSetting, setSetting };
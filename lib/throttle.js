@@ -0,0 +1,58 @@
+// Login throttling, configured from the environment. An account is locked for LOGIN_LOCKOUT_MINUTES
+// (default 15) after LOGIN_MAX_FAILURES (default 5) failed logins in a row. Every failure is also recorded
+// in login_failures by IP address, and an address with LOGIN_IP_MAX_FAILURES (default 20) failures inside
+// the lockout window is refused until the oldest of them ages out, whichever accounts it tried.
+
+// Seconds left until a timestamp, computed by the database so the clocks cannot disagree
+const secondsUntil = (column) => `GREATEST(CEIL(EXTRACT(EPOCH FROM ${column} - NOW())), 0)::int`;
+
+function createLoginThrottle(pool, env = process.env) {
+    const maxFailures = parseInt(env.LOGIN_MAX_FAILURES) || 5;
+    const lockoutMinutes = parseInt(env.LOGIN_LOCKOUT_MINUTES) || 15;
+    const ipMaxFailures = parseInt(env.LOGIN_IP_MAX_FAILURES) || 20;
+
+    return {
+        maxFailures,
+        lockoutMinutes,
+        ipMaxFailures,
+
+        // Seconds before the address may try again, 0 when it may now
+        async ipRetryAfter(ip) {
+            const result = await pool.query(
+                `SELECT ${secondsUntil("created_at + $2 * INTERVAL '1 minute'")} AS seconds FROM login_failures
+                 WHERE ip = $1 AND created_at > NOW() - $2 * INTERVAL '1 minute' ORDER BY created_at DESC OFFSET $3 LIMIT 1`,
+                [ip, lockoutMinutes, ipMaxFailures - 1]
+            );
+            return result.rows.length ? result.rows[0].seconds : 0;
+        },
+
+        // Seconds before the account may log in again, 0 when it is not locked
+        async accountRetryAfter(userId) {
+            const result = await pool.query(`SELECT ${secondsUntil('locked_until')} AS seconds FROM users WHERE id = $1`, [userId]);
+            return result.rows.length ? result.rows[0].seconds || 0 : 0;
+        },
+
+        // userId is null for an unknown username. Resolves the seconds the account is now locked for, if this
+        // failure locked it.
+        async recordFailure(ip, username, userId = null) {
+            await pool.query('INSERT INTO login_failures (ip, username) VALUES ($1, $2)', [ip, username]);
+            await pool.query("DELETE FROM login_failures WHERE created_at < NOW() - INTERVAL '1 day'");
+            if (!userId) return 0;
+            const result = await pool.query(
+                `UPDATE users SET
+                    failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0 ELSE failed_logins + 1 END,
+                    locked_until = CASE WHEN failed_logins + 1 >= $2 THEN NOW() + $3 * INTERVAL '1 minute' ELSE locked_until END
+                 WHERE id = $1 RETURNING ${secondsUntil('locked_until')} AS seconds`,
+                [userId, maxFailures, lockoutMinutes]
+            );
+            return result.rows[0].seconds || 0;
+        },
+
+        // After a successful login, or when an admin unlocks the account
+        async clear(userId) {
+            await pool.query('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1', [userId]);
+        }
+    };
+}
+
+module.exports = { createLoginThrottle };
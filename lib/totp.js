@@ -0,0 +1,78 @@
+// Time-based one-time passwords (RFC 6238) as authenticator apps generate them: HMAC-SHA1 over 30-second
+// steps, 6 digits, with secrets exchanged in base32. Recovery codes are single-use stand-ins for a code,
+// stored as SHA-256 hashes; they are random enough that a slow hash adds nothing.
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of now, for clock drift between the server and the phone
+const DRIFT_STEPS = 1;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(text) {
+    const bits = text.toUpperCase().replace(/[\s=]/g, '').split('').map(c => {
+        const value = BASE32.indexOf(c);
+        if (value < 0) throw new Error('Invalid base32 secret');
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+}
+
+// The step a code was generated for, or null. Steps up to lastStep were already used and are refused, so
+// a code cannot be replayed.
+function verifyCode(secret, code, { lastStep = null, now = Date.now() } = {}) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+    const step = currentStep(now);
+    for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+        if (lastStep !== null && s <= lastStep) continue;
+        const expected = codeAt(secret, s);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return s;
+    }
+    return null;
+}
+
+// URL for the QR code that authenticator apps scan
+function otpauthUrl(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// Codes such as 'k3x9q-7mfwa', shown to the user once
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+// Case, spaces and dashes do not matter when a recovery code is typed back in
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+}
+
+module.exports = { generateSecret, verifyCode, otpauthUrl, generateRecoveryCodes, hashRecoveryCode };
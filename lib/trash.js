@@ -0,0 +1,91 @@
+// Recycle bin. Creditors, debtors, their items and payments are deleted by setting deleted_at, which every
+// query skips; a deleted counterparty takes its items and payments out of view with it. Until the retention
+// period runs out the user can restore a record or purge it for good, after which the purger deletes it.
+// Counterparties and items are handled by their repositories in lib/counterparties.js, payments here.
+const { withTransaction } = require('./db');
+const { COUNTERPARTIES } = require('./counterparties');
+const { recordAudit, snapshotPayment } = require('./audit');
+
+const TRASH_ENTITIES = ['creditor', 'debtor', 'creditor_item', 'debtor_item', 'payment'];
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function kindOf(paymentType) {
+    return Object.keys(COUNTERPARTIES).find(k => COUNTERPARTIES[k].paymentType === paymentType);
+}
+
+// SQL for the counterparty a payment p belongs to, as full_name and deleted_at
+const PAYMENT_COUNTERPARTY_SQL = Object.values(COUNTERPARTIES).map(t =>
+    `LEFT JOIN ${t.parentTable} ${t.parentTable} ON p.type = '${t.paymentType}' AND ${t.parentTable}.id = p.related_id`
+).join(' ');
+const counterpartyColumn = (column) => `COALESCE(${Object.values(COUNTERPARTIES).map(t => `${t.parentTable}.${column}`).join(', ')})`;
+
+// Deleted payments of the user whose counterparty is not deleted too
+async function deletedPayments(db, userId) {
+    const result = await db.query(
+        `SELECT p.id, p.type, p.related_id, ${counterpartyColumn('full_name')} AS counterparty_name, p.amount, p.currency, p.payment_date, p.deleted_at
+         FROM payments p ${PAYMENT_COUNTERPARTY_SQL}
+         WHERE p.user_id = $1 AND p.deleted_at IS NOT NULL AND ${counterpartyColumn('deleted_at')} IS NULL
+         ORDER BY p.deleted_at DESC`,
+        [userId]
+    );
+    return result.rows.map(p => ({ ...p, amount: parseFloat(p.amount) || 0 }));
+}
+
+// A deleted payment of the user, locked; null when there is none
+async function findDeletedPayment(db, userId, id) {
+    const result = await db.query(
+        `SELECT p.*, ${counterpartyColumn('deleted_at')} AS counterparty_deleted_at FROM payments p ${PAYMENT_COUNTERPARTY_SQL}
+         WHERE p.id = $1 AND p.user_id = $2 AND p.deleted_at IS NOT NULL FOR UPDATE OF p`,
+        [id, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Runs inside the caller's transaction; resolves false when the payment is not in the user's trash or its
+// counterparty is deleted. actorId is who restored it, when someone the books are shared with.
+async function restorePayment(db, userId, id, actorId = userId) {
+    const payment = await findDeletedPayment(db, userId, id);
+    if (!payment || payment.counterparty_deleted_at) return false;
+    await db.query('UPDATE payments SET deleted_at = NULL WHERE id = $1', [payment.id]);
+    await recordAudit(db, { userId: actorId, entityType: 'payment', entityId: payment.id, parentType: kindOf(payment.type), parentId: payment.related_id, action: 'restore', after: await snapshotPayment(db, payment.id) });
+    return true;
+}
+
+// userId is who purged it, or null for the retention purge
+async function purgePayment(db, userId, id) {
+    const before = await snapshotPayment(db, id);
+    await db.query('DELETE FROM payments WHERE id = $1', [id]);
+    await recordAudit(db, { userId, entityType: 'payment', entityId: id, parentType: kindOf(before.type), parentId: before.related_id, action: 'purge', before });
+}
+
+// Purges everything deleted more than retentionDays ago; 0 keeps the trash until the user empties it
+function createTrashPurger(pool, repositories, { retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    async function run(now = new Date()) {
+        if (!retentionDays) return 0;
+        const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+        let purged = 0;
+        for (const repo of Object.values(repositories)) purged += await repo.purgeDeletedBefore(cutoff);
+        const payments = await pool.query('SELECT id FROM payments WHERE deleted_at < $1', [cutoff]);
+        for (const { id } of payments.rows) {
+            purged += await withTransaction(pool, async (client) => {
+                const row = await client.query('SELECT id FROM payments WHERE id = $1 AND deleted_at < $2 FOR UPDATE', [id, cutoff]);
+                if (row.rows.length) await purgePayment(client, null, id);
+                return row.rows.length;
+            });
+        }
+        return purged;
+    }
+
+    function start(intervalMs = DAY_MS) {
+        const tick = () => run()
+            .then(purged => purged && console.log(`Trash: ${purged} records purged`))
+            .catch(err => console.error('Trash purge error:', err.message));
+        tick();
+        return setInterval(tick, intervalMs);
+    }
+
+    return { retentionDays, run, start };
+}
+
+module.exports = { TRASH_ENTITIES, DEFAULT_RETENTION_DAYS, deletedPayments, findDeletedPayment, restorePayment, purgePayment, createTrashPurger };
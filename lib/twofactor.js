@@ -0,0 +1,85 @@
+// Two-factor login state per user. A user enrolls by scanning a secret into an authenticator app and
+// confirming one code from it; from then on login asks for a code, or one of the recovery codes issued at
+// enrollment. Admins may be required to enroll through the require_admin_2fa setting.
+const { withTransaction } = require('./db');
+const { verifyCode, generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+const { getSetting } = require('./settings');
+const { hasPermission } = require('./roles');
+
+async function insertRecoveryCodes(db, userId) {
+    const codes = generateRecoveryCodes();
+    await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await db.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, hashRecoveryCode(code)]);
+    }
+    return codes;
+}
+
+function createTwoFactor(pool) {
+    return {
+        async status(userId) {
+            const result = await pool.query(
+                `SELECT u.role, u.totp_enabled_at,
+                    (SELECT COUNT(*) FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int AS recovery_codes_left
+                 FROM users u WHERE u.id = $1`,
+                [userId]
+            );
+            const user = result.rows[0];
+            return {
+                enabled: !!user.totp_enabled_at,
+                enabled_at: user.totp_enabled_at,
+                recovery_codes_left: user.recovery_codes_left,
+                required: hasPermission(user.role, 'admin') && !!(await getSetting(pool, 'require_admin_2fa'))
+            };
+        },
+
+        // Whether the user may not use admin routes until enrolling
+        async setupRequired(userId) {
+            const status = await this.status(userId);
+            return status.required && !status.enabled;
+        },
+
+        // step is the one the confirming code was generated for. Resolves the new recovery codes.
+        enable(userId, secret, step) {
+            return withTransaction(pool, async (client) => {
+                await client.query('UPDATE users SET totp_secret = $1, totp_enabled_at = NOW(), totp_last_step = $2 WHERE id = $3', [secret, step, userId]);
+                return insertRecoveryCodes(client, userId);
+            });
+        },
+
+        disable(userId) {
+            return withTransaction(pool, async (client) => {
+                await client.query('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1', [userId]);
+                await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+            });
+        },
+
+        // Replaces every recovery code, used or not
+        regenerateRecoveryCodes(userId) {
+            return withTransaction(pool, client => insertRecoveryCodes(client, userId));
+        },
+
+        // Checks an authenticator code, then a recovery code, using it up. Resolves 'totp', 'recovery' or
+        // null. Both updates are conditional so two requests cannot spend the same code.
+        async verify(userId, code) {
+            const result = await pool.query('SELECT totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL', [userId]);
+            if (!result.rows.length) return null;
+            const { totp_secret: secret, totp_last_step: lastStep } = result.rows[0];
+            const step = verifyCode(secret, code, { lastStep: lastStep === null ? null : Number(lastStep) });
+            if (step !== null) {
+                const used = await pool.query(
+                    'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+                    [userId, step]
+                );
+                return used.rowCount ? 'totp' : null;
+            }
+            const recovery = await pool.query(
+                'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+                [userId, hashRecoveryCode(code || '')]
+            );
+            return recovery.rowCount ? 'recovery' : null;
+        }
+    };
+}
+
+module.exports = { createTwoFactor };
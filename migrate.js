@@ -0,0 +1,41 @@
+// Schema migrations from the command line; see lib/migrations.js
+//   npm run migrate               applies every pending migration
+//   npm run migrate:down [steps]  reverts the latest migration, or the latest `steps`
+//   npm run migrate:status        lists applied and pending migrations
+require('dotenv').config();
+const { Pool } = require('pg');
+const { loadMigrations, schemaStatus, migrateUp, migrateDown } = require('./lib/migrations');
+
+if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL not set!');
+    process.exit(1);
+}
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+async function main([command = 'up', arg]) {
+    if (command === 'up') {
+        const applied = await migrateUp(pool);
+        console.log(applied.length ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+    } else if (command === 'down') {
+        const steps = arg === undefined ? 1 : parseInt(arg);
+        if (!(steps >= 1)) throw new Error('steps must be a positive number');
+        const reverted = await migrateDown(pool, { steps });
+        console.log(reverted.length ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+    } else if (command === 'status') {
+        const migrations = loadMigrations();
+        const { version, pending, unknown } = await schemaStatus(pool, migrations);
+        console.log(`Schema version: ${version}`);
+        for (const m of migrations) console.log(`  ${pending.includes(m) ? 'pending' : 'applied'}  ${m.name}`);
+        for (const v of unknown) console.log(`  unknown  ${v} (applied, but not in migrations/)`);
+    } else {
+        throw new Error(`Unknown command ${command}; use up, down [steps] or status`);
+    }
+}
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
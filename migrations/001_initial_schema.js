@@ -0,0 +1,70 @@
+// Users, creditors, debtors, their items and payments. Tables are created only if missing so that a
+// database set up before migrations existed is taken over as it is.
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(100) UNIQUE NOT NULL,
+            email VARCHAR(255) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            full_name VARCHAR(255) NOT NULL,
+            phone VARCHAR(50),
+            address TEXT,
+            is_admin BOOLEAN DEFAULT FALSE,
+            must_change_password BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_login TIMESTAMP
+        )
+    `);
+    // Added to users after the first release
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE');
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT TRUE');
+
+    for (const [parentTable, itemsTable, foreignKey] of [['creditors', 'creditor_items', 'creditor_id'], ['debtors', 'debtor_items', 'debtor_id']]) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${parentTable} (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                full_name VARCHAR(255) NOT NULL,
+                contact VARCHAR(255),
+                gender VARCHAR(10) DEFAULT 'male',
+                language VARCHAR(10) DEFAULT 'english',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${itemsTable} (
+                id SERIAL PRIMARY KEY,
+                ${foreignKey} INTEGER REFERENCES ${parentTable}(id) ON DELETE CASCADE,
+                reason TEXT,
+                amount DECIMAL(15,2) DEFAULT 0,
+                date_incurred DATE,
+                due_date DATE,
+                status VARCHAR(20) DEFAULT 'pending',
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            type VARCHAR(20) NOT NULL,
+            related_id INTEGER,
+            amount DECIMAL(15,2) NOT NULL,
+            payment_date DATE DEFAULT CURRENT_DATE,
+            payment_method VARCHAR(50),
+            reference VARCHAR(100),
+            notes TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE payments, debtor_items, debtors, creditor_items, creditors, users');
+}
+
+module.exports = { up, down };
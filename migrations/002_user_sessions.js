@@ -0,0 +1,18 @@
+// Session store of connect-pg-simple, in the layout of its table.sql
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            sid VARCHAR NOT NULL COLLATE "default",
+            sess JSON NOT NULL,
+            expire TIMESTAMP(6) NOT NULL,
+            CONSTRAINT session_pkey PRIMARY KEY (sid)
+        )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON user_sessions (expire)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE user_sessions');
+}
+
+module.exports = { up, down };
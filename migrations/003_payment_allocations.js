@@ -0,0 +1,18 @@
+// Splits a payment across the creditor_items (type 'paid') or debtor_items (type 'received') it settles
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS payment_allocations (
+            id SERIAL PRIMARY KEY,
+            payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+            item_id INTEGER NOT NULL,
+            amount DECIMAL(15,2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE payment_allocations');
+}
+
+module.exports = { up, down };
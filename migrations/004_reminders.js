@@ -0,0 +1,26 @@
+// Due-date reminders generated by lib/reminders.js, one per item, kind and due date
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS reminders (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            item_type VARCHAR(20) NOT NULL,
+            item_id INTEGER NOT NULL,
+            kind VARCHAR(20) NOT NULL,
+            due_date DATE,
+            amount DECIMAL(15,2),
+            message TEXT,
+            snoozed_until TIMESTAMP,
+            dismissed_at TIMESTAMP,
+            delivered_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (item_type, item_id, kind, due_date)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE reminders');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Every generated PDF letter is archived so it can be re-downloaded exactly as it was sent
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS letters (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            counterparty_type VARCHAR(20) NOT NULL,
+            counterparty_id INTEGER NOT NULL,
+            template VARCHAR(50) NOT NULL,
+            language VARCHAR(10),
+            filename VARCHAR(255),
+            pdf BYTEA NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE letters');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,98 @@
+// Letter wording is edited by admins; one row per counterparty type, template and language, seeded with
+// the defaults below, which admins edit or add to from the admin panel. Templates admins already edited
+// are left alone.
+
+// Written out here, not required from lib/letters.js, so the seed does not change with the code
+const DEFAULT_TEMPLATES = [
+    {
+        counterparty_type: 'creditor', template_type: 'statement', language: 'english', name: 'Debt Confirmation',
+        heading: 'DEBT CONFIRMATION STATEMENT',
+        body: 'Dear {{title}} {{full_name}},\n\nThis letter serves as a formal acknowledgment of the debt that I, {{owner_name}}, owe to you.\n\n{{items_table}}',
+        signatures: 'Signature\nDate'
+    },
+    {
+        counterparty_type: 'creditor', template_type: 'statement', language: 'french', name: 'Confirmation de dette',
+        heading: 'RELEVÉ DE CONFIRMATION DE DETTE',
+        body: '{{salutation}} {{title}} {{full_name}},\n\nCette lettre constitue une reconnaissance formelle de la dette que je, {{owner_name}}, vous dois.\n\n{{items_table}}',
+        signatures: 'Signature\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'statement', language: 'english', name: 'Outstanding Debt Statement',
+        heading: 'OUTSTANDING DEBT STATEMENT',
+        body: 'Dear {{title}} {{full_name}},\n\nThis letter serves as a formal statement of the debt that you owe to {{owner_name}}.\n\n{{items_table}}',
+        signatures: "Debtor's Signature\nDate"
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'statement', language: 'french', name: 'Relevé de créance',
+        heading: 'RELEVÉ DE CRÉANCE',
+        body: '{{salutation}} {{title}} {{full_name}},\n\nCette lettre constitue un relevé formel de la créance que vous devez à {{owner_name}}.\n\n{{items_table}}',
+        signatures: 'Signature du débiteur\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'reminder', language: 'english', name: 'Payment Reminder',
+        heading: 'PAYMENT REMINDER',
+        body: 'Dear {{title}} {{full_name}},\n\nThis is a friendly reminder that the amount set out below, owed to {{owner_name}}, remains outstanding.\n\n{{items_table}}\n\nBalance Due: {{balance}}\n\nWe kindly ask you to settle it at your earliest convenience. If you have already paid, please disregard this letter.',
+        signatures: 'For {{owner_name}}\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'reminder', language: 'french', name: 'Rappel de paiement',
+        heading: 'RAPPEL DE PAIEMENT',
+        body: '{{salutation}} {{title}} {{full_name}},\n\nNous vous rappelons que le montant indiqué ci-dessous, dû à {{owner_name}}, reste impayé.\n\n{{items_table}}\n\nSolde dû : {{balance}}\n\nNous vous prions de bien vouloir le régler dans les meilleurs délais. Si vous avez déjà effectué ce paiement, veuillez ne pas tenir compte de cette lettre.',
+        signatures: 'Pour {{owner_name}}\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'final_demand', language: 'english', name: 'Final Demand',
+        heading: 'FINAL DEMAND FOR PAYMENT',
+        body: 'Dear {{title}} {{full_name}},\n\nDespite previous reminders, the amount set out below, owed to {{owner_name}}, remains unpaid.\n\n{{items_table}}\n\nBalance Due: {{balance}}\n\nUnless full payment is received within 8 days of the date of this letter, steps may be taken to recover the debt without further notice.',
+        signatures: 'For {{owner_name}}\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'final_demand', language: 'french', name: 'Mise en demeure',
+        heading: 'MISE EN DEMEURE DE PAYER',
+        body: '{{salutation}} {{title}} {{full_name}},\n\nMalgré nos précédents rappels, le montant indiqué ci-dessous, dû à {{owner_name}}, demeure impayé.\n\n{{items_table}}\n\nSolde dû : {{balance}}\n\nÀ défaut de paiement intégral dans un délai de 8 jours à compter de la date de la présente, des mesures pourront être prises pour recouvrer cette créance sans autre préavis.',
+        signatures: 'Pour {{owner_name}}\nDate'
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'acknowledgment', language: 'english', name: 'Acknowledgment of Debt',
+        heading: 'ACKNOWLEDGMENT OF DEBT',
+        body: 'I, the undersigned {{title}} {{full_name}}, acknowledge that I owe {{owner_name}} the amount set out below.\n\n{{items_table}}\n\nBalance Due: {{balance}}',
+        signatures: "Debtor's Signature\nDate"
+    },
+    {
+        counterparty_type: 'debtor', template_type: 'acknowledgment', language: 'french', name: 'Reconnaissance de dette',
+        heading: 'RECONNAISSANCE DE DETTE',
+        body: 'Je soussigné(e) {{title}} {{full_name}}, reconnais devoir à {{owner_name}} le montant indiqué ci-dessous.\n\n{{items_table}}\n\nSolde dû : {{balance}}',
+        signatures: 'Signature du débiteur\nDate'
+    }
+];
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS statement_templates (
+            id SERIAL PRIMARY KEY,
+            counterparty_type VARCHAR(20) NOT NULL,
+            template_type VARCHAR(50) NOT NULL,
+            language VARCHAR(10) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            heading TEXT,
+            body TEXT NOT NULL,
+            signatures TEXT,
+            updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (counterparty_type, template_type, language)
+        )
+    `);
+    for (const t of DEFAULT_TEMPLATES) {
+        await db.query(
+            `INSERT INTO statement_templates (counterparty_type, template_type, language, name, heading, body, signatures)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (counterparty_type, template_type, language) DO NOTHING`,
+            [t.counterparty_type, t.template_type, t.language, t.name, t.heading, t.body, t.signatures]
+        );
+    }
+}
+
+async function down(db) {
+    await db.query('DROP TABLE statement_templates');
+}
+
+module.exports = { up, down };
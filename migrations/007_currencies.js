@@ -0,0 +1,31 @@
+// Amounts in their own currency, and XAF per one unit of a currency from effective_date onwards; see
+// lib/currency.js
+const TABLES = ['creditor_items', 'debtor_items', 'payments'];
+
+async function up(db) {
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'XAF'`);
+    }
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+            id SERIAL PRIMARY KEY,
+            currency VARCHAR(3) NOT NULL,
+            rate DECIMAL(18,6) NOT NULL CHECK (rate > 0),
+            effective_date DATE NOT NULL,
+            updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (currency, effective_date)
+        )
+    `);
+    // The CFA franc is pegged to the euro
+    await db.query(`INSERT INTO exchange_rates (currency, rate, effective_date) VALUES ('EUR', 655.957, '1999-01-01') ON CONFLICT (currency, effective_date) DO NOTHING`);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE exchange_rates');
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} DROP COLUMN currency`);
+    }
+}
+
+module.exports = { up, down };
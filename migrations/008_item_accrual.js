@@ -0,0 +1,28 @@
+// Optional interest model and late-fee rule per item; see lib/interest.js
+const TABLES = ['creditor_items', 'debtor_items'];
+
+async function up(db) {
+    for (const table of TABLES) {
+        await db.query(`
+            ALTER TABLE ${table}
+                ADD COLUMN IF NOT EXISTS interest_type VARCHAR(10) DEFAULT 'none',
+                ADD COLUMN IF NOT EXISTS interest_rate DECIMAL(9,4) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS interest_period VARCHAR(10) DEFAULT 'year',
+                ADD COLUMN IF NOT EXISTS late_fee_type VARCHAR(10) DEFAULT 'none',
+                ADD COLUMN IF NOT EXISTS late_fee_value DECIMAL(15,2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS late_fee_period VARCHAR(10) DEFAULT 'once'
+        `);
+    }
+}
+
+async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`
+            ALTER TABLE ${table}
+                DROP COLUMN interest_type, DROP COLUMN interest_rate, DROP COLUMN interest_period,
+                DROP COLUMN late_fee_type, DROP COLUMN late_fee_value, DROP COLUMN late_fee_period
+        `);
+    }
+}
+
+module.exports = { up, down };
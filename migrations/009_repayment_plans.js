@@ -0,0 +1,31 @@
+// At most one repayment plan per item; item_type is 'creditor' or 'debtor' as for reminders
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS repayment_plans (
+            id SERIAL PRIMARY KEY,
+            item_type VARCHAR(20) NOT NULL,
+            item_id INTEGER NOT NULL,
+            start_date DATE NOT NULL,
+            frequency VARCHAR(10) NOT NULL,
+            installment_count INTEGER NOT NULL,
+            installment_amount DECIMAL(15,2),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (item_type, item_id)
+        )
+    `);
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS plan_installments (
+            id SERIAL PRIMARY KEY,
+            plan_id INTEGER REFERENCES repayment_plans(id) ON DELETE CASCADE,
+            seq INTEGER NOT NULL,
+            due_date DATE NOT NULL,
+            amount DECIMAL(15,2) NOT NULL
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE plan_installments, repayment_plans');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Who changed which financial record and how; see lib/audit.js
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            entity_type VARCHAR(30) NOT NULL,
+            entity_id INTEGER,
+            parent_type VARCHAR(30),
+            parent_id INTEGER,
+            action VARCHAR(20) NOT NULL,
+            before JSONB,
+            after JSONB,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS audit_log_parent_idx ON audit_log (parent_type, parent_id)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Set when a record is moved to the trash; see lib/trash.js. Reverting drops whatever is in the trash.
+const TABLES = ['creditors', 'debtors', 'creditor_items', 'debtor_items', 'payments'];
+
+async function up(db) {
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    }
+}
+
+async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+        await db.query(`ALTER TABLE ${table} DROP COLUMN deleted_at`);
+    }
+}
+
+module.exports = { up, down };
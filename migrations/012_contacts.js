@@ -0,0 +1,60 @@
+// The person behind a creditor and/or a debtor; see lib/contacts.js. A creditor and a debtor from before
+// contacts share one when they are the only creditor and the only debtor of the user with that name and
+// their contact details do not differ; every other one gets a contact of its own, as a name shared by
+// several does not tell who is who. Either way the contact takes the details from its counterparties.
+
+const TABLES = ['creditors', 'debtors'];
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS contacts (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            full_name VARCHAR(255) NOT NULL,
+            contact VARCHAR(255),
+            gender VARCHAR(10) DEFAULT 'male',
+            language VARCHAR(10) DEFAULT 'english',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL`);
+        await db.query(`CREATE INDEX IF NOT EXISTS ${table}_contact_idx ON ${table} (contact_id)`);
+    }
+    const pairs = await db.query(`
+        SELECT c.id AS creditor_id, d.id AS debtor_id, c.user_id, c.full_name, COALESCE(NULLIF(c.contact, ''), d.contact) AS contact, c.gender, c.language
+        FROM creditors c JOIN debtors d ON d.user_id = c.user_id AND LOWER(TRIM(d.full_name)) = LOWER(TRIM(c.full_name))
+        WHERE (COALESCE(c.contact, '') = '' OR COALESCE(d.contact, '') = '' OR c.contact = d.contact)
+            AND NOT EXISTS (SELECT 1 FROM creditors o WHERE o.user_id = c.user_id AND o.id <> c.id AND LOWER(TRIM(o.full_name)) = LOWER(TRIM(c.full_name)))
+            AND NOT EXISTS (SELECT 1 FROM debtors o WHERE o.user_id = d.user_id AND o.id <> d.id AND LOWER(TRIM(o.full_name)) = LOWER(TRIM(d.full_name)))
+            AND c.contact_id IS NULL AND d.contact_id IS NULL
+        ORDER BY c.id
+    `);
+    for (const row of pairs.rows) {
+        const contact = await db.query(
+            'INSERT INTO contacts (user_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+            [row.user_id, row.full_name, row.contact || '', row.gender || 'male', row.language || 'english']
+        );
+        await db.query('UPDATE creditors SET contact_id = $1 WHERE id = $2', [contact.rows[0].id, row.creditor_id]);
+        await db.query('UPDATE debtors SET contact_id = $1 WHERE id = $2', [contact.rows[0].id, row.debtor_id]);
+    }
+    for (const table of TABLES) {
+        const orphans = await db.query(`SELECT id, user_id, full_name, contact, gender, language FROM ${table} WHERE contact_id IS NULL ORDER BY id`);
+        for (const row of orphans.rows) {
+            const contact = await db.query(
+                'INSERT INTO contacts (user_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+                [row.user_id, row.full_name, row.contact || '', row.gender || 'male', row.language || 'english']
+            );
+            await db.query(`UPDATE ${table} SET contact_id = $1 WHERE id = $2`, [contact.rows[0].id, row.id]);
+        }
+    }
+}
+
+async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} DROP COLUMN contact_id`);
+    }
+    await db.query('DROP TABLE contacts');
+}
+
+module.exports = { up, down };
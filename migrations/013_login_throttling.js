@@ -0,0 +1,24 @@
+// Failed logins per account and per IP address, for the lockout in lib/throttle.js
+async function up(db) {
+    await db.query(`
+        ALTER TABLE users
+            ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN locked_until TIMESTAMP
+    `);
+    await db.query(`
+        CREATE TABLE login_failures (
+            id SERIAL PRIMARY KEY,
+            ip VARCHAR(64),
+            username VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.query('CREATE INDEX login_failures_ip_idx ON login_failures (ip, created_at)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE login_failures');
+    await db.query('ALTER TABLE users DROP COLUMN failed_logins, DROP COLUMN locked_until');
+}
+
+module.exports = { up, down };
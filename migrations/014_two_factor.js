@@ -0,0 +1,34 @@
+// TOTP secrets and recovery codes for two-factor login (lib/totp.js), and admin settings (lib/settings.js)
+async function up(db) {
+    await db.query(`
+        ALTER TABLE users
+            ADD COLUMN totp_secret VARCHAR(64),
+            ADD COLUMN totp_enabled_at TIMESTAMP,
+            ADD COLUMN totp_last_step BIGINT
+    `);
+    await db.query(`
+        CREATE TABLE recovery_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            code_hash VARCHAR(64) NOT NULL,
+            used_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.query('CREATE INDEX recovery_codes_user_idx ON recovery_codes (user_id)');
+    await db.query(`
+        CREATE TABLE app_settings (
+            key VARCHAR(100) PRIMARY KEY,
+            value JSONB NOT NULL,
+            updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE app_settings, recovery_codes');
+    await db.query('ALTER TABLE users DROP COLUMN totp_secret, DROP COLUMN totp_enabled_at, DROP COLUMN totp_last_step');
+}
+
+module.exports = { up, down };
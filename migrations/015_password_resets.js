@@ -0,0 +1,21 @@
+// Emailed password reset links (lib/resets.js). Only a hash of each token is kept.
+async function up(db) {
+    await db.query(`
+        CREATE TABLE password_resets (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(64) NOT NULL UNIQUE,
+            requested_ip VARCHAR(64),
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.query('CREATE INDEX password_resets_user_idx ON password_resets (user_id)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE password_resets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// users.role (lib/roles.js) replaces the is_admin flag; admins become the admin role, everyone else owner
+async function up(db) {
+    await db.query(`
+        ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'owner'
+            CHECK (role IN ('owner', 'bookkeeper', 'viewer', 'admin'))
+    `);
+    await db.query("UPDATE users SET role = 'admin' WHERE is_admin");
+    await db.query('ALTER TABLE users DROP COLUMN is_admin');
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT FALSE');
+    await db.query("UPDATE users SET is_admin = (role = 'admin')");
+    await db.query('ALTER TABLE users DROP COLUMN role');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Access to another user's books (lib/ledgers.js): the owner shares them with a user as a viewer or editor
+async function up(db) {
+    await db.query(`
+        CREATE TABLE ledger_shares (
+            id SERIAL PRIMARY KEY,
+            owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'editor')),
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (owner_id, user_id),
+            CHECK (owner_id <> user_id)
+        )
+    `);
+    await db.query('CREATE INDEX ledger_shares_user_idx ON ledger_shares (user_id)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE ledger_shares');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// audit_log.ledger_id is the owner of the books a change was made in (lib/ledgers.js), which differs from
+// user_id when someone the books are shared with made it. Existing entries take it from the snapshots of
+// counterparties and payments, and from the counterparty of items; exchange rates belong to no ledger.
+async function up(db) {
+    await db.query('ALTER TABLE audit_log ADD COLUMN ledger_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await db.query('CREATE INDEX audit_log_ledger_idx ON audit_log (ledger_id)');
+    await db.query(`
+        UPDATE audit_log a SET ledger_id = u.id FROM users u
+        WHERE a.entity_type IN ('creditor', 'debtor', 'payment') AND u.id = COALESCE((a.after->>'user_id')::int, (a.before->>'user_id')::int)
+    `);
+    for (const [kind, table] of [['creditor', 'creditors'], ['debtor', 'debtors']]) {
+        await db.query(
+            `UPDATE audit_log a SET ledger_id = c.user_id FROM ${table} c WHERE a.entity_type = $1 AND a.parent_type = $2 AND c.id = a.parent_id`,
+            [`${kind}_item`, kind]
+        );
+        // Items of counterparties purged since, from the counterparty's own entries
+        await db.query(
+            `UPDATE audit_log a SET ledger_id = c.ledger_id FROM audit_log c
+             WHERE a.ledger_id IS NULL AND a.entity_type = $1 AND a.parent_type = $2 AND c.entity_type = $2 AND c.entity_id = a.parent_id AND c.ledger_id IS NOT NULL`,
+            [`${kind}_item`, kind]
+        );
+    }
+}
+
+async function down(db) {
+    await db.query("DELETE FROM audit_log WHERE entity_type = 'ledger_share'");
+    await db.query('ALTER TABLE audit_log DROP COLUMN ledger_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+// Items marked paid before payments were allocated to items (their status column, no longer written) stay
+// paid: each takes what is left unallocated of the counterparty's payments in its currency, oldest first,
+// and a payment dated the day the item was incurred is recorded for the rest. Items in the trash are left
+// as they are. Reverting removes the recorded payments but keeps allocations made from existing ones.
+const NOTES = 'Marked paid before payments were linked to items';
+
+const TARGETS = [
+    { parentTable: 'creditors', itemsTable: 'creditor_items', foreignKey: 'creditor_id', paymentType: 'paid' },
+    { parentTable: 'debtors', itemsTable: 'debtor_items', foreignKey: 'debtor_id', paymentType: 'received' }
+];
+
+async function up(db) {
+    for (const { parentTable, itemsTable, foreignKey, paymentType } of TARGETS) {
+        const items = await db.query(`
+            SELECT * FROM (
+                SELECT i.id, i.${foreignKey} AS parent_id, c.user_id, i.currency, i.due_date, i.date_incurred, i.created_at,
+                    COALESCE(i.date_incurred, i.created_at::date) AS payment_date,
+                    i.amount - COALESCE((
+                        SELECT SUM(pa.amount) FROM payment_allocations pa JOIN payments p ON p.id = pa.payment_id
+                        WHERE pa.item_id = i.id AND p.type = $1 AND p.deleted_at IS NULL
+                    ), 0) AS outstanding
+                FROM ${itemsTable} i JOIN ${parentTable} c ON c.id = i.${foreignKey}
+                WHERE i.status = 'paid' AND i.deleted_at IS NULL AND c.deleted_at IS NULL
+            ) i
+            WHERE i.outstanding > 0
+            ORDER BY COALESCE(i.due_date, i.date_incurred, i.created_at::date), i.id
+        `, [paymentType]);
+        for (const item of items.rows) {
+            let rest = parseFloat(item.outstanding);
+            const payments = await db.query(`
+                SELECT p.id, p.amount - COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.payment_id = p.id), 0) AS unallocated
+                FROM payments p
+                WHERE p.user_id = $1 AND p.type = $2 AND p.related_id = $3 AND p.currency = $4 AND p.deleted_at IS NULL
+                ORDER BY p.payment_date, p.id
+            `, [item.user_id, paymentType, item.parent_id, item.currency]);
+            for (const payment of payments.rows) {
+                const amount = Math.min(rest, parseFloat(payment.unallocated));
+                if (amount <= 0) continue;
+                await db.query('INSERT INTO payment_allocations (payment_id, item_id, amount) VALUES ($1, $2, $3)', [payment.id, item.id, amount]);
+                rest = Math.round((rest - amount) * 100) / 100;
+                if (rest <= 0) break;
+            }
+            if (rest <= 0) continue;
+            const payment = await db.query(
+                'INSERT INTO payments (user_id, type, related_id, amount, currency, payment_date, notes) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+                [item.user_id, paymentType, item.parent_id, rest, item.currency, item.payment_date, NOTES]
+            );
+            await db.query('INSERT INTO payment_allocations (payment_id, item_id, amount) VALUES ($1, $2, $3)', [payment.rows[0].id, item.id, rest]);
+        }
+    }
+}
+
+async function down(db) {
+    await db.query('DELETE FROM payments WHERE notes = $1', [NOTES]);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// The currency of a reminder's amount, which is its item's; existing reminders take it from their item
+const ITEMS = { creditor: 'creditor_items', debtor: 'debtor_items' };
+
+async function up(db) {
+    await db.query(`ALTER TABLE reminders ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'XAF'`);
+    for (const [itemType, table] of Object.entries(ITEMS)) {
+        await db.query(`UPDATE reminders r SET currency = i.currency FROM ${table} i WHERE r.item_type = $1 AND i.id = r.item_id AND i.currency IS NOT NULL`, [itemType]);
+    }
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE reminders DROP COLUMN currency');
+}
+
+module.exports = { up, down };
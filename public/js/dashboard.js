@@ -3,7 +3,14 @@
 let creditors = [];
 let debtors = [];
 let payments = [];
+let contacts = [];
+let agingBuckets = [];
+let reminders = [];
+let trash = { retention_days: 0, counterparties: [], items: [], payments: [] };
 let currentUser = null;
+let paymentCounterparties = { paid: [], received: [] };
+let currencies = ['XAF'];
+let baseCurrency = 'XAF';
 
 // Helper function for fetch with credentials
 async function apiFetch(url, options = {}) {
@@ -45,6 +52,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load user profile
     await loadProfile();
+    applyPermissions();
     
     // Set current date
     document.getElementById('current-date').textContent = new Date().toLocaleDateString('en-GB', {
@@ -55,6 +63,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupNavigation();
     
     // Load data
+    await loadCurrencies();
     await loadDashboardData();
     
     // Setup logout
@@ -63,6 +72,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup forms
     document.getElementById('profile-form').addEventListener('submit', updateProfile);
     document.getElementById('password-form').addEventListener('submit', changePassword);
+    loadPasswordPolicy();
+    loadTwoFactor();
+    loadSessions();
+    loadLedgers();
+    loadShares();
+    document.getElementById('export-form').addEventListener('submit', exportData);
 });
 
 // ============================================
@@ -104,9 +119,12 @@ function switchSection(sectionName) {
     // Update header
     const titles = {
         overview: 'Overview',
+        contacts: 'Contacts',
+        contact: 'Contact',
         creditors: 'Creditors (People I Owe)',
         debtors: 'Debtors (People Who Owe Me)',
         payments: 'Payment History',
+        trash: 'Trash',
         profile: 'Profile Settings'
     };
     document.getElementById('page-title').textContent = titles[sectionName] || sectionName;
@@ -119,19 +137,48 @@ function switchSection(sectionName) {
 async function loadDashboardData() {
     try {
         await Promise.all([
+            loadContacts(),
+            loadContactDetail(),
             loadCreditors(),
             loadDebtors(),
+            loadRecentCounterparties(),
             loadPayments(),
-            loadStats()
+            loadStats(),
+            loadAging(),
+            loadReminders(),
+            loadTrash()
         ]);
     } catch (err) {
         console.error('Error loading data:', err);
     }
 }
 
+// Totals are shown in the base currency picked on the overview, remembered per browser
+async function loadCurrencies() {
+    try {
+        const res = await apiFetch('/api/currencies');
+        if (!res.ok) return;
+        const data = await res.json();
+        currencies = data.currencies;
+        const saved = localStorage.getItem('baseCurrency');
+        baseCurrency = currencies.includes(saved) ? saved : data.base;
+        const select = document.getElementById('base-currency');
+        select.innerHTML = currencies.map(c => `<option value="${c}">${c}</option>`).join('');
+        select.value = baseCurrency;
+    } catch (err) {
+        console.error('Error loading currencies:', err);
+    }
+}
+
+async function changeBaseCurrency(currency) {
+    baseCurrency = currency;
+    localStorage.setItem('baseCurrency', currency);
+    await loadDashboardData();
+}
+
 async function loadStats() {
     try {
-        const res = await apiFetch('/api/dashboard/stats');
+        const res = await apiFetch(`/api/dashboard/stats?base=${baseCurrency}`);
         if (!res.ok) {
             console.error('Stats API error:', res.status);
             return;
@@ -147,18 +194,75 @@ async function loadStats() {
     }
 }
 
+async function loadAging() {
+    try {
+        const res = await apiFetch(`/api/reports/aging?base=${baseCurrency}`);
+        if (!res.ok) {
+            console.error('Aging API error:', res.status);
+            return;
+        }
+        const aging = await res.json();
+        agingBuckets = aging.buckets;
+        
+        document.querySelectorAll('.aging-head').forEach(head => {
+            head.innerHTML = `<tr><th>Name</th>${agingBuckets.map(b => `<th>${b.label}</th>`).join('')}<th>Total</th></tr>`;
+        });
+        renderAgingTable('aging-payable', aging.payable);
+        renderAgingTable('aging-receivable', aging.receivable);
+    } catch (err) {
+        console.error('Error loading aging report:', err);
+    }
+}
+
+async function loadReminders() {
+    try {
+        const res = await apiFetch('/api/reminders');
+        if (!res.ok) {
+            console.error('Reminders API error:', res.status);
+            return;
+        }
+        const data = await res.json();
+        reminders = Array.isArray(data) ? data : [];
+        renderReminders();
+    } catch (err) {
+        console.error('Error loading reminders:', err);
+    }
+}
+
+async function loadContacts() {
+    try {
+        const res = await apiFetch(`/api/contacts?base=${baseCurrency}&${listParams('contacts')}`);
+        if (!res.ok) {
+            console.error('Contacts API error:', res.status);
+            contacts = [];
+        } else {
+            contacts = await res.json();
+            listTotals.contacts = parseInt(res.headers.get('X-Total-Count')) || 0;
+        }
+        if (pastLastPage('contacts', contacts)) return loadContacts();
+        renderContactsTable();
+        renderPagination('contacts');
+    } catch (err) {
+        console.error('Error loading contacts:', err);
+        contacts = [];
+        renderContactsTable();
+    }
+}
+
 async function loadCreditors() {
     try {
-        const res = await apiFetch('/api/creditors');
+        const res = await apiFetch(`/api/creditors?base=${baseCurrency}&${listParams('creditors')}`);
         if (!res.ok) {
             console.error('Creditors API error:', res.status);
             creditors = [];
         } else {
             const data = await res.json();
             creditors = Array.isArray(data) ? data : [];
+            listTotals.creditors = parseInt(res.headers.get('X-Total-Count')) || 0;
         }
+        if (pastLastPage('creditors', creditors)) return loadCreditors();
         renderCreditorsTable();
-        renderRecentCreditors();
+        renderPagination('creditors');
     } catch (err) {
         console.error('Error loading creditors:', err);
         creditors = [];
@@ -168,16 +272,18 @@ async function loadCreditors() {
 
 async function loadDebtors() {
     try {
-        const res = await apiFetch('/api/debtors');
+        const res = await apiFetch(`/api/debtors?base=${baseCurrency}&${listParams('debtors')}`);
         if (!res.ok) {
             console.error('Debtors API error:', res.status);
             debtors = [];
         } else {
             const data = await res.json();
             debtors = Array.isArray(data) ? data : [];
+            listTotals.debtors = parseInt(res.headers.get('X-Total-Count')) || 0;
         }
+        if (pastLastPage('debtors', debtors)) return loadDebtors();
         renderDebtorsTable();
-        renderRecentDebtors();
+        renderPagination('debtors');
     } catch (err) {
         console.error('Error loading debtors:', err);
         debtors = [];
@@ -185,17 +291,34 @@ async function loadDebtors() {
     }
 }
 
+// The overview lists the newest counterparties, whatever the tables are filtered to
+async function loadRecentCounterparties() {
+    try {
+        const [recentCreditors, recentDebtors] = await Promise.all(['creditors', 'debtors'].map(async (type) => {
+            const res = await apiFetch(`/api/${type}?base=${baseCurrency}&limit=5&sort=-created`);
+            return res.ok ? res.json() : [];
+        }));
+        renderRecentCreditors(recentCreditors);
+        renderRecentDebtors(recentDebtors);
+    } catch (err) {
+        console.error('Error loading recent counterparties:', err);
+    }
+}
+
 async function loadPayments() {
     try {
-        const res = await apiFetch('/api/payments');
+        const res = await apiFetch(`/api/payments?${listParams('payments')}`);
         if (!res.ok) {
             console.error('Payments API error:', res.status);
             payments = [];
         } else {
             const data = await res.json();
             payments = Array.isArray(data) ? data : [];
+            listTotals.payments = parseInt(res.headers.get('X-Total-Count')) || 0;
         }
+        if (pastLastPage('payments', payments)) return loadPayments();
         renderPaymentsTable();
+        renderPagination('payments');
     } catch (err) {
         console.error('Error loading payments:', err);
         payments = [];
@@ -220,10 +343,365 @@ async function loadProfile() {
     }
 }
 
+// Whether the user's role, and on shared books the share's role, allows an action (lib/roles.js); the
+// server refuses it either way
+function can(permission) {
+    return !!currentUser?.permissions?.includes(permission);
+}
+
+// Hides the buttons marked with a data-permission the role does not include
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.style.display = can(el.dataset.permission) ? '' : 'none';
+    });
+}
+
+// Shown under the new password field; the server enforces the same rules
+async function loadPasswordPolicy() {
+    try {
+        const res = await apiFetch('/api/auth/password-policy');
+        const policy = await res.json();
+        document.getElementById('new-password').minLength = policy.min_length;
+        document.getElementById('password-rules').textContent = policy.rules.join(' · ');
+    } catch (err) {
+        console.error('Error loading password policy:', err);
+    }
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+async function loadTwoFactor() {
+    try {
+        const res = await apiFetch('/api/auth/2fa');
+        if (!res.ok) return;
+        renderTwoFactor(await res.json());
+    } catch (err) {
+        console.error('Error loading two-factor status:', err);
+    }
+}
+
+function renderTwoFactor(status) {
+    const panel = document.getElementById('two-factor-panel');
+    if (!status.enabled) {
+        panel.innerHTML = `
+            ${status.required ? '<p class="two-factor-warning">Admin accounts must use two-factor authentication. Set it up to use the admin panel.</p>' : ''}
+            <p class="form-hint">Sign in with a code from an authenticator app on your phone as well as your password.</p>
+            <button class="btn btn-primary" onclick="startTwoFactorSetup()">Set Up Two-Factor Authentication</button>
+        `;
+        return;
+    }
+    panel.innerHTML = `
+        <p>Enabled on ${formatDate(status.enabled_at)} · ${status.recovery_codes_left} recovery code${status.recovery_codes_left === 1 ? '' : 's'} left</p>
+        <form class="form" onsubmit="regenerateRecoveryCodes(event)">
+            <div class="form-group">
+                <label>Authenticator Code</label>
+                <input type="text" id="two-factor-regenerate-code" inputmode="numeric" autocomplete="one-time-code" required>
+            </div>
+            <button type="submit" class="btn btn-outline">New Recovery Codes</button>
+        </form>
+        ${status.required ? '' : `
+            <form class="form" onsubmit="disableTwoFactor(event)">
+                <div class="form-group">
+                    <label>Password</label>
+                    <input type="password" id="two-factor-disable-password" autocomplete="current-password" required>
+                </div>
+                <button type="submit" class="btn btn-outline">Turn Off</button>
+            </form>
+        `}
+    `;
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const res = await apiFetch('/api/auth/2fa/setup', { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        document.getElementById('two-factor-panel').innerHTML = `
+            <p>Scan this code with your authenticator app, or enter the key by hand, then type the 6-digit code it shows.</p>
+            <img class="two-factor-qr" src="${data.qr}" alt="QR code">
+            <p class="two-factor-secret">${data.secret.match(/.{1,4}/g).join(' ')}</p>
+            <form class="form" onsubmit="enableTwoFactor(event)">
+                <div class="form-group">
+                    <label>Code</label>
+                    <input type="text" id="two-factor-code" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <button type="submit" class="btn btn-primary">Turn On</button>
+            </form>
+        `;
+    } catch (err) {
+        showToast(err.message || 'Error starting setup', 'error');
+    }
+}
+
+async function enableTwoFactor(e) {
+    e.preventDefault();
+    try {
+        const res = await apiFetch('/api/auth/2fa/enable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: document.getElementById('two-factor-code').value })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showToast('Two-factor authentication is on');
+        showRecoveryCodes(data.recovery_codes);
+    } catch (err) {
+        showToast(err.message || 'Error enabling two-factor authentication', 'error');
+    }
+}
+
+async function regenerateRecoveryCodes(e) {
+    e.preventDefault();
+    try {
+        const res = await apiFetch('/api/auth/2fa/recovery-codes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: document.getElementById('two-factor-regenerate-code').value })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showRecoveryCodes(data.recovery_codes);
+    } catch (err) {
+        showToast(err.message || 'Error creating recovery codes', 'error');
+    }
+}
+
+async function disableTwoFactor(e) {
+    e.preventDefault();
+    if (!confirm('Turn off two-factor authentication?')) return;
+    try {
+        const res = await apiFetch('/api/auth/2fa/disable', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: document.getElementById('two-factor-disable-password').value })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showToast('Two-factor authentication is off');
+        loadTwoFactor();
+    } catch (err) {
+        showToast(err.message || 'Error turning off two-factor authentication', 'error');
+    }
+}
+
+// Recovery codes are only in the response that created them
+function showRecoveryCodes(codes) {
+    document.getElementById('modal-title').textContent = 'Recovery Codes';
+    document.getElementById('modal-body').innerHTML = `
+        <p>Each code signs you in once if you lose your phone. Keep them somewhere safe; they are not shown again.</p>
+        <ul class="recovery-codes">${codes.map(c => `<li>${c}</li>`).join('')}</ul>
+        <button class="btn btn-primary" onclick="closeModal()">I Have Saved Them</button>
+    `;
+    document.getElementById('modal').classList.add('active');
+    loadTwoFactor();
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+async function loadSessions() {
+    try {
+        const res = await apiFetch('/api/auth/sessions');
+        if (!res.ok) return;
+        renderSessions(await res.json());
+    } catch (err) {
+        console.error('Error loading sessions:', err);
+    }
+}
+
+function renderSessions(sessions) {
+    document.getElementById('session-list').innerHTML = sessions.map(s => `
+        <li class="session-item">
+            <div>
+                <strong>${escapeHtml(s.device)}</strong>${s.current ? ' <span class="session-current">This device</span>' : ''}
+                <p class="form-hint">${s.ip ? escapeHtml(s.ip) : 'Unknown address'} · ${s.two_factor_pending ? 'Waiting for a 2FA code' : `Last active ${s.last_seen ? new Date(s.last_seen).toLocaleString() : 'unknown'}`}</p>
+            </div>
+            ${s.current ? '' : `<button class="action-btn delete" onclick="endSession('${s.id}')">Log Out</button>`}
+        </li>
+    `).join('') || '<li class="empty-state">No active sessions</li>';
+}
+
+async function endSession(id) {
+    try {
+        const res = await apiFetch(`/api/auth/sessions/${id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error);
+        showToast('Session ended');
+        loadSessions();
+    } catch (err) {
+        showToast(err.message || 'Error ending session', 'error');
+    }
+}
+
+async function endOtherSessions() {
+    if (!confirm('Log out of every other device?')) return;
+    try {
+        const res = await apiFetch('/api/auth/sessions', { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showToast(`Logged out of ${data.ended} other session${data.ended === 1 ? '' : 's'}`);
+        loadSessions();
+    } catch (err) {
+        showToast(err.message || 'Error ending sessions', 'error');
+    }
+}
+
+// ============================================
+// SHARED LEDGERS
+// ============================================
+
+// The books the user can switch between; the switcher only shows when some are shared with them
+async function loadLedgers() {
+    try {
+        const res = await apiFetch('/api/ledgers');
+        if (!res.ok) return;
+        const { current, ledgers, roles } = await res.json();
+        const select = document.getElementById('ledger-select');
+        select.innerHTML = ledgers.map(l => `
+            <option value="${l.id}" ${l.id === current ? 'selected' : ''}>${l.role === 'owner' ? 'My books' : `${escapeHtml(l.full_name)} (${roles[l.role].label})`}</option>
+        `).join('');
+        select.style.display = ledgers.length > 1 ? '' : 'none';
+        const shared = ledgers.filter(l => l.role !== 'owner');
+        document.getElementById('shared-ledger-list').innerHTML = shared.map(l => `
+            <li class="session-item">
+                <div>
+                    <strong>${escapeHtml(l.full_name)}</strong>${l.id === current ? ' <span class="session-current">Open</span>' : ''}
+                    <p class="form-hint">${escapeHtml(l.username)} · ${roles[l.role].label}</p>
+                </div>
+                <button class="action-btn delete" onclick="leaveLedger(${l.id})">Leave</button>
+            </li>
+        `).join('') || '<li class="empty-state">No books are shared with you</li>';
+    } catch (err) {
+        console.error('Error loading ledgers:', err);
+    }
+}
+
+// Everything on the page belongs to the open books, so it is all loaded again
+async function switchLedger(id) {
+    try {
+        const res = await apiFetch('/api/ledgers/current', { method: 'PUT', body: JSON.stringify({ id: parseInt(id) }) });
+        if (!res.ok) throw new Error((await res.json()).error);
+        window.location.reload();
+    } catch (err) {
+        showToast(err.message || 'Error switching books', 'error');
+        loadLedgers();
+    }
+}
+
+async function leaveLedger(id) {
+    if (!confirm('Give up your access to these books?')) return;
+    try {
+        const res = await apiFetch(`/api/ledgers/${id}/access`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error);
+        if (currentUser?.ledger?.id === id) return window.location.reload();
+        showToast('You no longer have access to those books');
+        loadLedgers();
+    } catch (err) {
+        showToast(err.message || 'Error leaving books', 'error');
+    }
+}
+
+async function loadShares() {
+    try {
+        const res = await apiFetch('/api/ledgers/shares');
+        if (!res.ok) return;
+        renderShares(await res.json());
+    } catch (err) {
+        console.error('Error loading shares:', err);
+    }
+}
+
+function renderShares(shares) {
+    document.getElementById('share-list').innerHTML = shares.map(s => `
+        <li class="session-item">
+            <div>
+                <strong>${escapeHtml(s.full_name)}</strong>
+                <p class="form-hint">${escapeHtml(s.username)} · shared ${formatDate(s.created_at)}</p>
+            </div>
+            <div class="table-actions">
+                <select onchange="updateShare(${s.id}, this.value)">
+                    <option value="viewer" ${s.role === 'viewer' ? 'selected' : ''}>Viewer</option>
+                    <option value="editor" ${s.role === 'editor' ? 'selected' : ''}>Editor</option>
+                </select>
+                <button class="action-btn delete" onclick="removeShare(${s.id})">Remove</button>
+            </div>
+        </li>
+    `).join('') || '<li class="empty-state">Your books are not shared with anyone</li>';
+}
+
+async function shareLedger(e) {
+    e.preventDefault();
+    try {
+        const res = await apiFetch('/api/ledgers/shares', {
+            method: 'POST',
+            body: JSON.stringify({ username: document.getElementById('share-username').value, role: document.getElementById('share-role').value })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+        showToast('Books shared');
+        e.target.reset();
+        loadShares();
+    } catch (err) {
+        showToast(err.message || 'Error sharing books', 'error');
+    }
+}
+
+async function updateShare(id, role) {
+    try {
+        const res = await apiFetch(`/api/ledgers/shares/${id}`, { method: 'PUT', body: JSON.stringify({ role }) });
+        if (!res.ok) throw new Error((await res.json()).error);
+        showToast('Role updated');
+    } catch (err) {
+        showToast(err.message || 'Error updating role', 'error');
+        loadShares();
+    }
+}
+
+async function removeShare(id) {
+    if (!confirm('Stop sharing your books with this user?')) return;
+    try {
+        const res = await apiFetch(`/api/ledgers/shares/${id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error);
+        showToast('Sharing removed');
+        loadShares();
+    } catch (err) {
+        showToast(err.message || 'Error removing sharing', 'error');
+    }
+}
+
 // ============================================
 // RENDERING
 // ============================================
 
+function getNetHtml(net) {
+    return `<span style="color: ${net < 0 ? 'var(--red)' : 'var(--green)'}">${formatCurrency(net)}</span>`;
+}
+
+function renderContactsTable() {
+    const tbody = document.getElementById('contacts-table');
+    
+    if (contacts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No contacts found. Adding a creditor or debtor adds its contact.</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = contacts.map(c => `
+        <tr>
+            <td><strong>${escapeHtml(c.full_name)}</strong></td>
+            <td>${escapeHtml(c.contact || '-')}</td>
+            <td>${c.creditor ? formatCurrency(c.payable) : '-'}</td>
+            <td>${c.debtor ? formatCurrency(c.receivable) : '-'}</td>
+            <td>${getNetHtml(c.net)}</td>
+            <td>
+                <div class="table-actions">
+                    <button class="action-btn view" onclick="openContact(${c.id})">View</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
 function renderCreditorsTable() {
     const tbody = document.getElementById('creditors-table');
     
@@ -234,15 +712,17 @@ function renderCreditorsTable() {
     
     tbody.innerHTML = creditors.map(c => `
         <tr>
-            <td><strong>${c.full_name}</strong></td>
-            <td>${c.contact || '-'}</td>
+            <td><strong>${escapeHtml(c.full_name)}</strong></td>
+            <td>${escapeHtml(c.contact || '-')}</td>
             <td>${formatCurrency(c.total_amount)}</td>
-            <td><span style="color: var(--red)">${formatCurrency(c.pending_amount)}</span></td>
+            <td><span style="color: var(--red)">${formatCurrency(c.pending_amount)}</span>${getOverdueTag(c)}${getPlanTag(c)}</td>
             <td>
                 <div class="table-actions">
                     <button class="action-btn view" onclick="viewCreditorStatement(${c.id})">Statement</button>
-                    <button class="action-btn edit" onclick="editCreditor(${c.id})">Edit</button>
-                    <button class="action-btn delete" onclick="deleteCreditor(${c.id})">Delete</button>
+                    ${can('write') ? `<button class="action-btn edit" onclick="editCreditor(${c.id})">Edit</button>` : ''}
+                    <button class="action-btn view" onclick="viewLedger('creditor', ${c.id})">Ledger</button>
+                    <button class="action-btn view" onclick="viewHistory('creditor', ${c.id})">History</button>
+                    ${can('delete') ? `<button class="action-btn delete" onclick="deleteCreditor(${c.id})">Delete</button>` : ''}
                 </div>
             </td>
         </tr>
@@ -259,15 +739,17 @@ function renderDebtorsTable() {
     
     tbody.innerHTML = debtors.map(d => `
         <tr>
-            <td><strong>${d.full_name}</strong></td>
-            <td>${d.contact || '-'}</td>
+            <td><strong>${escapeHtml(d.full_name)}</strong></td>
+            <td>${escapeHtml(d.contact || '-')}</td>
             <td>${formatCurrency(d.total_amount)}</td>
-            <td><span style="color: var(--green)">${formatCurrency(d.pending_amount)}</span></td>
+            <td><span style="color: var(--green)">${formatCurrency(d.pending_amount)}</span>${getOverdueTag(d)}${getPlanTag(d)}</td>
             <td>
                 <div class="table-actions">
                     <button class="action-btn view" onclick="viewDebtorStatement(${d.id})">Statement</button>
-                    <button class="action-btn edit" onclick="editDebtor(${d.id})">Edit</button>
-                    <button class="action-btn delete" onclick="deleteDebtor(${d.id})">Delete</button>
+                    ${can('write') ? `<button class="action-btn edit" onclick="editDebtor(${d.id})">Edit</button>` : ''}
+                    <button class="action-btn view" onclick="viewLedger('debtor', ${d.id})">Ledger</button>
+                    <button class="action-btn view" onclick="viewHistory('debtor', ${d.id})">History</button>
+                    ${can('delete') ? `<button class="action-btn delete" onclick="deleteDebtor(${d.id})">Delete</button>` : ''}
                 </div>
             </td>
         </tr>
@@ -278,7 +760,7 @@ function renderPaymentsTable() {
     const tbody = document.getElementById('payments-table');
     
     if (payments.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No payments recorded. Click "Record Payment" to add one.</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No payments recorded. Click "Record Payment" to add one.</td></tr>';
         return;
     }
     
@@ -286,21 +768,90 @@ function renderPaymentsTable() {
         <tr>
             <td>${new Date(p.payment_date).toLocaleDateString()}</td>
             <td>${p.type === 'paid' ? 'Paid Out' : 'Received'}</td>
-            <td style="color: ${p.type === 'paid' ? 'var(--red)' : 'var(--green)'}">${formatCurrency(p.amount)}</td>
-            <td>${p.payment_method || '-'}</td>
-            <td>${p.reference || '-'}</td>
+            <td>${escapeHtml(p.counterparty_name || '-')}${p.allocations?.length ? ` <small>(${p.allocations.length} item${p.allocations.length > 1 ? 's' : ''})</small>` : ''}</td>
+            <td style="color: ${p.type === 'paid' ? 'var(--red)' : 'var(--green)'}">${formatCurrency(p.amount, p.currency)}</td>
+            <td>${escapeHtml(p.payment_method || '-')}</td>
+            <td>${escapeHtml(p.reference || '-')}</td>
             <td>
                 <div class="table-actions">
-                    <button class="action-btn delete" onclick="deletePayment(${p.id})">Delete</button>
+                    <button class="action-btn view" onclick="viewHistory('payment', ${p.id})">History</button>
+                    ${can('delete') ? `<button class="action-btn delete" onclick="deletePayment(${p.id})">Delete</button>` : ''}
                 </div>
             </td>
         </tr>
     `).join('');
 }
 
-function renderRecentCreditors() {
+function getOverdueTag(counterparty) {
+    const count = counterparty.items?.filter(i => i.overdue).length || 0;
+    return count ? ` <span class="overdue-tag">${count} overdue</span>` : '';
+}
+
+// Repayment plan progress, with missed installments called out
+function getPlanTag(counterparty) {
+    const plans = counterparty.items?.filter(i => i.plan).map(i => i.plan) || [];
+    if (!plans.length) return '';
+    const paid = plans.reduce((s, p) => s + p.installments_paid, 0);
+    const total = plans.reduce((s, p) => s + p.installments.length, 0);
+    const missed = plans.reduce((s, p) => s + p.installments_missed, 0);
+    return ` <span class="plan-tag">Plan ${paid}/${total}</span>${missed ? ` <span class="overdue-tag">${missed} missed</span>` : ''}`;
+}
+
+function getPlanProgressHtml(plan, currency) {
+    const missed = plan.installments.filter(i => i.status === 'missed');
+    return `
+        <p class="plan-progress">
+            ${plan.installments_paid} of ${plan.installments.length} installments paid (${formatCurrency(plan.paid_amount, currency)} of ${formatCurrency(plan.total_amount, currency)})
+            ${plan.next_due_date ? ` · next ${formatCurrency(plan.next_amount, currency)} on ${formatDate(plan.next_due_date)}` : ''}
+        </p>
+        ${missed.length ? `<p class="plan-missed">Missed: ${missed.map(i => `#${i.seq} ${formatDate(i.due_date)} (${formatCurrency(i.amount - i.paid_amount, currency)})`).join(', ')}</p>` : ''}
+    `;
+}
+
+function renderAgingTable(tbodyId, report) {
+    const tbody = document.getElementById(tbodyId);
+    
+    if (report.counterparties.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${agingBuckets.length + 2}" class="empty-state">Nothing outstanding</td></tr>`;
+        return;
+    }
+    
+    const row = (name, amounts, tag = 'td') => `
+        <tr>
+            <${tag}>${name}</${tag}>
+            ${agingBuckets.map(b => `<${tag}>${amounts[b.key] ? formatCurrency(amounts[b.key]) : '-'}</${tag}>`).join('')}
+            <${tag}>${formatCurrency(amounts.total)}</${tag}>
+        </tr>
+    `;
+    tbody.innerHTML = report.counterparties.map(c => row(escapeHtml(c.full_name), c)).join('') + row('Total', report.totals, 'th');
+}
+
+function renderReminders() {
+    const count = document.getElementById('notification-count');
+    const list = document.getElementById('notification-list');
+    
+    count.textContent = reminders.length;
+    count.style.display = reminders.length ? 'block' : 'none';
+    
+    if (reminders.length === 0) {
+        list.innerHTML = '<p class="empty-state">No reminders</p>';
+        return;
+    }
+    
+    list.innerHTML = reminders.map(r => `
+        <div class="notification-item ${r.kind}">
+            <p>${escapeHtml(r.message)}</p>
+            ${can('write') ? `<div class="table-actions">
+                <button class="action-btn view" onclick="snoozeReminder(${r.id}, 1)">Snooze 1 day</button>
+                <button class="action-btn view" onclick="snoozeReminder(${r.id}, 7)">1 week</button>
+                <button class="action-btn delete" onclick="dismissReminder(${r.id})">Dismiss</button>
+            </div>` : ''}
+        </div>
+    `).join('');
+}
+
+function renderRecentCreditors(recent) {
     const container = document.getElementById('recent-creditors');
-    const recent = creditors.slice(0, 5);
     
     if (recent.length === 0) {
         container.innerHTML = '<p class="empty-state">No creditors yet</p>';
@@ -310,7 +861,7 @@ function renderRecentCreditors() {
     container.innerHTML = recent.map(c => `
         <div class="recent-item">
             <div class="recent-item-info">
-                <span class="recent-item-name">${c.full_name}</span>
+                <span class="recent-item-name">${escapeHtml(c.full_name)}</span>
                 <span class="recent-item-detail">${c.items?.length || 0} items</span>
             </div>
             <span class="recent-item-amount owed">${formatCurrency(c.pending_amount)}</span>
@@ -318,9 +869,8 @@ function renderRecentCreditors() {
     `).join('');
 }
 
-function renderRecentDebtors() {
+function renderRecentDebtors(recent) {
     const container = document.getElementById('recent-debtors');
-    const recent = debtors.slice(0, 5);
     
     if (recent.length === 0) {
         container.innerHTML = '<p class="empty-state">No debtors yet</p>';
@@ -330,7 +880,7 @@ function renderRecentDebtors() {
     container.innerHTML = recent.map(d => `
         <div class="recent-item">
             <div class="recent-item-info">
-                <span class="recent-item-name">${d.full_name}</span>
+                <span class="recent-item-name">${escapeHtml(d.full_name)}</span>
                 <span class="recent-item-detail">${d.items?.length || 0} items</span>
             </div>
             <span class="recent-item-amount receivable">${formatCurrency(d.pending_amount)}</span>
@@ -338,6 +888,68 @@ function renderRecentDebtors() {
     `).join('');
 }
 
+// ============================================
+// LISTS
+// ============================================
+
+const PAGE_SIZE = 20;
+const listQueries = {
+    creditors: { page: 1, q: '', status: '', from: '', to: '', sort: 'name' },
+    debtors: { page: 1, q: '', status: '', from: '', to: '', sort: 'name' },
+    contacts: { page: 1, q: '', sort: 'name' },
+    payments: { page: 1, q: '', type: '', status: '', from: '', to: '', sort: '-date' }
+};
+const listTotals = { creditors: 0, debtors: 0, contacts: 0, payments: 0 };
+let searchTimer = null;
+
+// Search, filters, sort and page of a table as query parameters for its list endpoint
+function listParams(name) {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    for (const [key, value] of Object.entries(listQueries[name])) {
+        if (value) params.set(key, value);
+    }
+    return params;
+}
+
+function reloadList(name) {
+    ({ creditors: loadCreditors, debtors: loadDebtors, contacts: loadContacts, payments: loadPayments })[name]();
+}
+
+function updateListQuery(name, key, value) {
+    listQueries[name][key] = value;
+    listQueries[name].page = 1;
+    reloadList(name);
+}
+
+function searchList(name, value) {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateListQuery(name, 'q', value.trim()), 300);
+}
+
+function changePage(name, delta) {
+    listQueries[name].page += delta;
+    reloadList(name);
+}
+
+// After deleting the last row of the last page, step back to the page before it
+function pastLastPage(name, rows) {
+    const query = listQueries[name];
+    if (rows.length || query.page <= 1 || !listTotals[name]) return false;
+    query.page = Math.ceil(listTotals[name] / PAGE_SIZE);
+    return true;
+}
+
+function renderPagination(name) {
+    const { page } = listQueries[name];
+    const total = listTotals[name];
+    const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+    document.getElementById(`${name}-pagination`).innerHTML = `
+        <span>${total} result${total === 1 ? '' : 's'} · Page ${page} of ${pages}</span>
+        <button class="btn btn-sm btn-outline" onclick="changePage('${name}', -1)" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+        <button class="btn btn-sm btn-outline" onclick="changePage('${name}', 1)" ${page >= pages ? 'disabled' : ''}>Next</button>
+    `;
+}
+
 // ============================================
 // MODAL HANDLING
 // ============================================
@@ -358,6 +970,7 @@ function openModal(type, data = null) {
     } else if (type === 'payment') {
         title.textContent = 'Record Payment';
         body.innerHTML = getPaymentForm();
+        loadPaymentCounterparties().then(updatePaymentCounterparties);
     }
     
     modal.classList.add('active');
@@ -388,10 +1001,12 @@ function getCreditorDebtorForm(type, isEdit, data) {
     
     return `
         <form id="modal-form" class="form" onsubmit="handleFormSubmit(event, '${type}', ${data?.id || 'null'})">
+            <input type="hidden" id="f-contact-id">
             <div class="form-row">
                 <div class="form-group">
                     <label>Full Name *</label>
-                    <input type="text" id="f-name" required>
+                    <input type="text" id="f-name" required onchange="suggestContacts('${type}')">
+                    <div id="f-contact-matches"></div>
                 </div>
                 <div class="form-group">
                     <label>Contact</label>
@@ -424,7 +1039,7 @@ function getCreditorDebtorForm(type, isEdit, data) {
                     ${itemsHtml}
                 </div>
                 <div class="line-items-total">
-                    Total: <span id="items-total">0 XAF</span>
+                    Total: <span id="items-total">${formatCurrency(0)}</span>
                 </div>
             </div>
             
@@ -435,16 +1050,19 @@ function getCreditorDebtorForm(type, isEdit, data) {
 
 function getLineItemHtml(index, item = null) {
     return `
-        <div class="line-item" data-index="${index}">
-            ${index > 0 ? `<div class="line-item-header"><span>Item ${index + 1}</span><button type="button" class="btn-remove-item" onclick="removeLineItem(this)">×</button></div>` : ''}
+        <div class="line-item" data-index="${index}" data-item-id="${item?.id || ''}">
+            ${index > 0 ? `<div class="line-item-header"><span>Item ${index + 1}</span>${!item?.id || can('delete') ? '<button type="button" class="btn-remove-item" onclick="removeLineItem(this)">×</button>' : ''}</div>` : ''}
             <div class="form-row">
                 <div class="form-group">
                     <label>Reason</label>
-                    <input type="text" class="item-reason" value="${item?.reason || ''}">
+                    <input type="text" class="item-reason" value="${escapeHtml(item?.reason || '')}">
                 </div>
                 <div class="form-group">
-                    <label>Amount (XAF) *</label>
-                    <input type="number" class="item-amount" value="${item?.amount || ''}" required>
+                    <label>Amount *</label>
+                    <div class="amount-input">
+                        <input type="number" class="item-amount" value="${item?.amount || ''}" step="0.01" required>
+                        <select class="item-currency" onchange="updateItemsTotal()">${currencyOptions(item?.currency)}</select>
+                    </div>
                 </div>
             </div>
             <div class="form-row">
@@ -453,48 +1071,113 @@ function getLineItemHtml(index, item = null) {
                     <input type="date" class="item-date" value="${item?.date_incurred?.split('T')[0] || ''}">
                 </div>
                 <div class="form-group">
-                    <label>Status</label>
-                    <select class="item-status">
-                        <option value="pending" ${item?.status === 'pending' ? 'selected' : ''}>Pending</option>
-                        <option value="partial" ${item?.status === 'partial' ? 'selected' : ''}>Partial</option>
-                        <option value="paid" ${item?.status === 'paid' ? 'selected' : ''}>Paid</option>
-                    </select>
+                    <label>Due Date</label>
+                    <input type="date" class="item-due-date" value="${item?.due_date?.split('T')[0] || ''}">
                 </div>
             </div>
-            <div class="form-group">
-                <label>Notes</label>
-                <input type="text" class="item-notes" value="${item?.notes || ''}">
-            </div>
-        </div>
-    `;
-}
-
-function getPaymentForm() {
-    return `
-        <form id="modal-form" class="form" onsubmit="handlePaymentSubmit(event)">
             <div class="form-row">
                 <div class="form-group">
-                    <label>Type *</label>
-                    <select id="f-type" required>
-                        <option value="paid">Paid Out (to Creditor)</option>
-                        <option value="received">Received (from Debtor)</option>
-                    </select>
+                    <label>Interest</label>
+                    <div class="amount-input">
+                        <select class="item-interest-type">${selectOptions(INTEREST_TYPES, item?.interest_type)}</select>
+                        <input type="number" class="item-interest-rate" value="${parseFloat(item?.interest_rate) || ''}" step="0.0001" min="0" placeholder="Rate %">
+                        <select class="item-interest-period">${selectOptions(INTEREST_PERIODS, item?.interest_period || 'year')}</select>
+                    </div>
                 </div>
                 <div class="form-group">
-                    <label>Amount (XAF) *</label>
-                    <input type="number" id="f-amount" required>
+                    <label>Late Fee (after due date)</label>
+                    <div class="amount-input">
+                        <select class="item-late-fee-type">${selectOptions(LATE_FEE_TYPES, item?.late_fee_type)}</select>
+                        <input type="number" class="item-late-fee-value" value="${parseFloat(item?.late_fee_value) || ''}" step="0.01" min="0" placeholder="Value">
+                        <select class="item-late-fee-period">${selectOptions(LATE_FEE_PERIODS, item?.late_fee_period)}</select>
+                    </div>
                 </div>
             </div>
             <div class="form-row">
                 <div class="form-group">
-                    <label>Date *</label>
-                    <input type="date" id="f-date" value="${new Date().toISOString().split('T')[0]}" required>
+                    <label>Repayment Plan</label>
+                    <div class="amount-input">
+                        <select class="item-plan-frequency"><option value="">No plan</option>${selectOptions(PLAN_FREQUENCIES, item?.plan?.frequency)}</select>
+                        <input type="number" class="item-plan-count" value="${item?.plan?.installment_count || ''}" min="1" placeholder="Installments">
+                    </div>
                 </div>
                 <div class="form-group">
-                    <label>Method</label>
-                    <select id="f-method">
-                        <option value="">Select...</option>
-                        <option value="cash">Cash</option>
+                    <label>First Installment / Amount</label>
+                    <div class="amount-input">
+                        <input type="date" class="item-plan-start" value="${item?.plan?.start_date?.split('T')[0] || ''}">
+                        <input type="number" class="item-plan-amount" value="${parseFloat(item?.plan?.installment_amount) || ''}" step="0.01" min="0" placeholder="Even split">
+                    </div>
+                </div>
+            </div>
+            ${item?.plan ? getPlanProgressHtml(item.plan, item.currency) : ''}
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Status</label>
+                    <input type="text" value="${item ? `${item.status}${item.overdue ? ', overdue' : ''} (${formatCurrency(item.paid_amount, item.currency)} paid, ${formatCurrency(item.balance_due, item.currency)} due)` : 'pending'}" disabled>
+                </div>
+                <div class="form-group">
+                    <label>Notes</label>
+                    <input type="text" class="item-notes" value="${escapeHtml(item?.notes || '')}">
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Interest and late-fee choices, matching lib/interest.js
+const INTEREST_TYPES = { none: 'No interest', simple: 'Simple', compound: 'Compound' };
+const INTEREST_PERIODS = { day: 'per day', month: 'per month', year: 'per year' };
+const LATE_FEE_TYPES = { none: 'No late fee', flat: 'Flat amount', percent: '% of principal' };
+const LATE_FEE_PERIODS = { once: 'once', month: 'every month' };
+const PLAN_FREQUENCIES = { weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly', quarterly: 'Quarterly' };
+
+function selectOptions(options, selected) {
+    return Object.entries(options).map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+}
+
+function currencyOptions(selected = baseCurrency) {
+    return currencies.map(c => `<option value="${c}"${c === selected ? ' selected' : ''}>${c}</option>`).join('');
+}
+
+function getPaymentForm() {
+    return `
+        <form id="modal-form" class="form" onsubmit="handlePaymentSubmit(event)">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Type *</label>
+                    <select id="f-type" required onchange="updatePaymentCounterparties()">
+                        <option value="paid">Paid Out (to Creditor)</option>
+                        <option value="received">Received (from Debtor)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Amount *</label>
+                    <div class="amount-input">
+                        <input type="number" id="f-amount" step="0.01" required>
+                        <select id="f-currency" onchange="updatePaymentItems()">${currencyOptions()}</select>
+                    </div>
+                </div>
+            </div>
+            <div class="form-group">
+                <label id="f-related-label">Creditor *</label>
+                <select id="f-related" required onchange="updatePaymentItems()"></select>
+            </div>
+            <div class="line-items-section" id="allocation-section" style="display: none">
+                <div class="line-items-header">
+                    <h4>Allocate to Items</h4>
+                </div>
+                <div id="allocation-container"></div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Date *</label>
+                    <input type="date" id="f-date" value="${new Date().toISOString().split('T')[0]}" required>
+                </div>
+                <div class="form-group">
+                    <label>Method</label>
+                    <select id="f-method">
+                        <option value="">Select...</option>
+                        <option value="cash">Cash</option>
                         <option value="bank">Bank Transfer</option>
                         <option value="mobile">Mobile Money</option>
                         <option value="check">Check</option>
@@ -514,6 +1197,56 @@ function getPaymentForm() {
     `;
 }
 
+// The payment form offers every counterparty, not only the page shown in the tables
+async function loadPaymentCounterparties() {
+    try {
+        const [paid, received] = await Promise.all(['creditors', 'debtors'].map(async (type) => {
+            const res = await apiFetch(`/api/${type}?base=${baseCurrency}`);
+            return res.ok ? res.json() : [];
+        }));
+        paymentCounterparties = { paid, received };
+    } catch (err) {
+        console.error('Error loading counterparties:', err);
+    }
+}
+
+function updatePaymentCounterparties() {
+    const type = document.getElementById('f-type').value;
+    const list = paymentCounterparties[type];
+    document.getElementById('f-related-label').textContent = type === 'paid' ? 'Creditor *' : 'Debtor *';
+    document.getElementById('f-related').innerHTML = '<option value="">Select...</option>' +
+        list.map(c => `<option value="${c.id}">${escapeHtml(c.full_name)} (${formatCurrency(c.pending_amount)} pending)</option>`).join('');
+    updatePaymentItems();
+}
+
+function updatePaymentItems() {
+    const type = document.getElementById('f-type').value;
+    const id = parseInt(document.getElementById('f-related').value);
+    const currency = document.getElementById('f-currency').value;
+    const counterparty = paymentCounterparties[type].find(c => c.id === id);
+    // A payment can only be allocated to items in its own currency
+    const openItems = counterparty?.items?.filter(i => i.status !== 'paid' && i.currency === currency) || [];
+    
+    document.getElementById('allocation-section').style.display = openItems.length ? 'block' : 'none';
+    document.getElementById('allocation-container').innerHTML = openItems.map(i => `
+        <div class="form-row">
+            <div class="form-group">
+                <label>${escapeHtml(i.reason || 'Item')} (${formatCurrency(i.balance_due, i.currency)} outstanding)</label>
+                <input type="number" class="allocation-amount" data-item-id="${i.id}" min="0" max="${i.balance_due}" step="0.01" placeholder="0">
+            </div>
+        </div>
+    `).join('');
+}
+
+function getAllocations() {
+    const allocations = [];
+    document.querySelectorAll('.allocation-amount').forEach(input => {
+        const amount = parseFloat(input.value) || 0;
+        if (amount > 0) allocations.push({ item_id: parseInt(input.dataset.itemId), amount });
+    });
+    return allocations;
+}
+
 function addLineItem() {
     const container = document.getElementById('line-items-container');
     const index = container.children.length;
@@ -534,11 +1267,42 @@ function removeLineItem(btn) {
 }
 
 function updateItemsTotal() {
-    let total = 0;
-    document.querySelectorAll('.item-amount').forEach(input => {
-        total += parseFloat(input.value) || 0;
+    const totals = {};
+    document.querySelectorAll('.line-item').forEach(item => {
+        const currency = item.querySelector('.item-currency').value;
+        totals[currency] = (totals[currency] || 0) + (parseFloat(item.querySelector('.item-amount').value) || 0);
     });
-    document.getElementById('items-total').textContent = formatCurrency(total);
+    const entries = Object.entries(totals);
+    document.getElementById('items-total').textContent = entries.length
+        ? entries.map(([currency, total]) => formatCurrency(total, currency)).join(' + ')
+        : formatCurrency(0);
+}
+
+// Offers the contacts named like the creditor or debtor being added or edited; whether one is the same
+// person is for the user to say, so nothing is linked until they pick it
+async function suggestContacts(type) {
+    const box = document.getElementById('f-contact-matches');
+    const name = document.getElementById('f-name').value.trim();
+    box.innerHTML = '';
+    if (!name || document.getElementById('f-contact-id').value) return;
+    try {
+        const res = await apiFetch(`/api/contacts/matches?kind=${type}&name=${encodeURIComponent(name)}`);
+        if (!res.ok) return;
+        const matches = await res.json();
+        box.innerHTML = matches.map(c => `
+            <p class="form-hint">
+                ${escapeHtml(c.full_name)}${c.contact ? ` (${escapeHtml(c.contact)})` : ''} is already a ${c.creditor ? 'creditor' : 'debtor'}.
+                <button type="button" class="btn btn-sm btn-outline" onclick="linkContact(${c.id})">Same person</button>
+            </p>
+        `).join('');
+    } catch (err) {
+        console.error('Contact matches failed:', err);
+    }
+}
+
+function linkContact(id) {
+    document.getElementById('f-contact-id').value = id;
+    document.getElementById('f-contact-matches').innerHTML = '<p class="form-hint">Will be added to that contact.</p>';
 }
 
 function fillForm(type, data) {
@@ -547,16 +1311,37 @@ function fillForm(type, data) {
     document.getElementById('f-gender').value = data.gender || 'male';
     document.getElementById('f-language').value = data.language || 'english';
     updateItemsTotal();
+    suggestContacts(type);
+}
+
+function getPlan(lineItem) {
+    const frequency = lineItem.querySelector('.item-plan-frequency').value;
+    if (!frequency) return null;
+    return {
+        frequency,
+        installment_count: parseInt(lineItem.querySelector('.item-plan-count').value) || 0,
+        start_date: lineItem.querySelector('.item-plan-start').value || null,
+        installment_amount: parseFloat(lineItem.querySelector('.item-plan-amount').value) || null
+    };
 }
 
 function getLineItems() {
     const items = [];
     document.querySelectorAll('.line-item').forEach(item => {
         items.push({
+            id: parseInt(item.dataset.itemId) || null,
             reason: item.querySelector('.item-reason').value,
             amount: parseFloat(item.querySelector('.item-amount').value) || 0,
+            currency: item.querySelector('.item-currency').value,
+            interest_type: item.querySelector('.item-interest-type').value,
+            interest_rate: parseFloat(item.querySelector('.item-interest-rate').value) || 0,
+            interest_period: item.querySelector('.item-interest-period').value,
+            late_fee_type: item.querySelector('.item-late-fee-type').value,
+            late_fee_value: parseFloat(item.querySelector('.item-late-fee-value').value) || 0,
+            late_fee_period: item.querySelector('.item-late-fee-period').value,
+            plan: getPlan(item),
             date_incurred: item.querySelector('.item-date').value || null,
-            status: item.querySelector('.item-status').value,
+            due_date: item.querySelector('.item-due-date').value || null,
             notes: item.querySelector('.item-notes').value
         });
     });
@@ -577,6 +1362,8 @@ async function handleFormSubmit(e, type, id) {
         language: document.getElementById('f-language').value,
         items: getLineItems()
     };
+    const contactId = document.getElementById('f-contact-id').value;
+    if (contactId) data.contact_id = contactId;
     
     try {
         const endpoint = `/api/${type}s${id ? '/' + id : ''}`;
@@ -606,7 +1393,10 @@ async function handlePaymentSubmit(e) {
     
     const data = {
         type: document.getElementById('f-type').value,
+        related_id: parseInt(document.getElementById('f-related').value),
         amount: parseFloat(document.getElementById('f-amount').value),
+        currency: document.getElementById('f-currency').value,
+        allocations: getAllocations(),
         payment_date: document.getElementById('f-date').value,
         payment_method: document.getElementById('f-method').value,
         reference: document.getElementById('f-reference').value,
@@ -648,12 +1438,12 @@ function editDebtor(id) {
 }
 
 async function deleteCreditor(id) {
-    if (!confirm('Are you sure you want to delete this creditor?')) return;
+    if (!confirm('Move this creditor to the trash?')) return;
     
     try {
         const res = await fetch(`/api/creditors/${id}`, { method: 'DELETE' });
         if (res.ok) {
-            showToast('Creditor deleted');
+            showToast('Creditor moved to the trash');
             await loadDashboardData();
         }
     } catch (err) {
@@ -662,12 +1452,12 @@ async function deleteCreditor(id) {
 }
 
 async function deleteDebtor(id) {
-    if (!confirm('Are you sure you want to delete this debtor?')) return;
+    if (!confirm('Move this debtor to the trash?')) return;
     
     try {
         const res = await fetch(`/api/debtors/${id}`, { method: 'DELETE' });
         if (res.ok) {
-            showToast('Debtor deleted');
+            showToast('Debtor moved to the trash');
             await loadDashboardData();
         }
     } catch (err) {
@@ -676,12 +1466,12 @@ async function deleteDebtor(id) {
 }
 
 async function deletePayment(id) {
-    if (!confirm('Are you sure you want to delete this payment?')) return;
+    if (!confirm('Move this payment to the trash?')) return;
     
     try {
         const res = await fetch(`/api/payments/${id}`, { method: 'DELETE' });
         if (res.ok) {
-            showToast('Payment deleted');
+            showToast('Payment moved to the trash');
             await loadDashboardData();
         }
     } catch (err) {
@@ -689,28 +1479,178 @@ async function deletePayment(id) {
     }
 }
 
+function toggleNotifications() {
+    document.getElementById('notification-panel').classList.toggle('active');
+}
+
+async function snoozeReminder(id, days) {
+    try {
+        const res = await apiFetch(`/api/reminders/${id}/snooze`, { method: 'POST', body: JSON.stringify({ days }) });
+        if (res.ok) {
+            showToast(`Reminder snoozed for ${days} day${days > 1 ? 's' : ''}`);
+            await loadReminders();
+        }
+    } catch (err) {
+        showToast('Error snoozing reminder', 'error');
+    }
+}
+
+async function dismissReminder(id) {
+    try {
+        const res = await apiFetch(`/api/reminders/${id}/dismiss`, { method: 'POST' });
+        if (res.ok) {
+            showToast('Reminder dismissed');
+            await loadReminders();
+        }
+    } catch (err) {
+        showToast('Error dismissing reminder', 'error');
+    }
+}
+
 // ============================================
 // STATEMENTS
 // ============================================
 
+// Template choices per counterparty type, loaded from /api/statement-templates
+const statementTemplates = {};
+
+let currentStatement = null;
+
 function viewCreditorStatement(id) {
     const creditor = creditors.find(c => c.id === id);
     if (!creditor) return;
-    
-    const modal = document.getElementById('statement-modal');
-    const content = document.getElementById('statement-content');
-    content.innerHTML = generateCreditorStatement(creditor);
-    modal.classList.add('active');
+    openStatementModal('creditor', creditor);
 }
 
 function viewDebtorStatement(id) {
     const debtor = debtors.find(d => d.id === id);
     if (!debtor) return;
+    openStatementModal('debtor', debtor);
+}
+
+async function openStatementModal(type, counterparty) {
+    currentStatement = { type, counterparty };
     
-    const modal = document.getElementById('statement-modal');
-    const content = document.getElementById('statement-content');
-    content.innerHTML = generateDebtorStatement(debtor);
-    modal.classList.add('active');
+    try {
+        if (!statementTemplates[type]) {
+            const res = await apiFetch(`/api/statement-templates?type=${type}`);
+            statementTemplates[type] = res.ok ? await res.json() : [];
+        }
+    } catch (err) {
+        console.error('Error loading templates:', err);
+    }
+    const templates = statementTemplates[type] || [];
+    const select = document.getElementById('statement-template');
+    select.innerHTML = templates.map(t => `<option value="${escapeHtml(t.template_type)}">${escapeHtml(t.name)}</option>`).join('');
+    if (templates.some(t => t.template_type === 'statement')) select.value = 'statement';
+    document.getElementById('statement-layout').value = 'items';
+    document.getElementById('statement-from').value = '';
+    document.getElementById('statement-to').value = '';
+    document.getElementById('statement-modal').classList.add('active');
+    refreshStatementPreview();
+    loadStatementLetters();
+}
+
+// Template and layout of the letter; a ledger covers the chosen dates
+function getStatementQuery() {
+    const layout = document.getElementById('statement-layout').value;
+    const params = new URLSearchParams({ template: document.getElementById('statement-template').value, layout });
+    document.querySelectorAll('.statement-range').forEach(input => { input.style.display = layout === 'ledger' ? '' : 'none'; });
+    if (layout === 'ledger') {
+        const from = document.getElementById('statement-from').value;
+        const to = document.getElementById('statement-to').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+    }
+    return params.toString();
+}
+
+// The preview is the same layout the PDF is rendered from
+async function refreshStatementPreview() {
+    const { type, counterparty } = currentStatement;
+    const container = document.getElementById('statement-content');
+    
+    try {
+        const res = await apiFetch(`/api/${type}s/${counterparty.id}/statement?${getStatementQuery()}`);
+        const data = await res.json();
+        container.innerHTML = res.ok ? renderLetterHtml(data) : `<p class="empty-state">${escapeHtml(data.error || 'Error loading preview')}</p>`;
+    } catch (err) {
+        container.innerHTML = '<p class="empty-state">Error loading preview</p>';
+    }
+}
+
+function renderLetterHtml(letter) {
+    const blocks = letter.blocks.map(block => {
+        if (!block.table) return `<div class="body-text"><p>${escapeHtml(block.text).replace(/\n/g, '<br>')}</p></div>`;
+        const { columns, rows, align } = block.table;
+        if (!rows.length) return '';
+        return `
+            <table class="items-table">
+                ${columns ? `<thead><tr>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>` : ''}
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map((cell, idx) => `<td style="text-align: ${align[idx]}">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }).join('');
+    
+    return `
+        <div class="print-statement">
+            <div class="letterhead"><h2>${escapeHtml(letter.heading)}</h2></div>
+            <div class="date-line">${escapeHtml(letter.dateLine)}</div>
+            <div class="recipient"><p><strong>${escapeHtml(letter.recipient)}</strong></p></div>
+            ${blocks}
+            <div class="signature-area">
+                ${letter.signatures.map(label => `<p><strong>${escapeHtml(label)}:</strong> <span class="sig-line"></span></p>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
+async function loadStatementLetters() {
+    const container = document.getElementById('statement-letters');
+    const { type, counterparty } = currentStatement;
+    
+    try {
+        const res = await apiFetch(`/api/${type}s/${counterparty.id}/letters`);
+        const letters = res.ok ? await res.json() : [];
+        container.innerHTML = letters.length
+            ? letters.map(l => `
+                <div class="recent-item">
+                    <div class="recent-item-info">
+                        <span class="recent-item-name">${escapeHtml((statementTemplates[type] || []).find(t => t.template_type === l.template)?.name || l.template)}</span>
+                        <span class="recent-item-detail">${new Date(l.created_at).toLocaleString()} · ${l.language}</span>
+                    </div>
+                    <a class="action-btn view" href="/api/letters/${l.id}.pdf">Download</a>
+                </div>
+            `).join('')
+            : '<p class="empty-state">No letters generated yet</p>';
+    } catch (err) {
+        console.error('Error loading letters:', err);
+    }
+}
+
+async function downloadStatementPdf() {
+    const { type, counterparty } = currentStatement;
+    
+    try {
+        const res = await apiFetch(`/api/${type}s/${counterparty.id}/statement.pdf?${getStatementQuery()}`);
+        if (!res.ok) {
+            const err = await res.json();
+            showToast(err.error || 'Error generating PDF', 'error');
+            return;
+        }
+        const filename = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'statement.pdf';
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        await loadStatementLetters();
+    } catch (err) {
+        showToast('Error generating PDF', 'error');
+    }
 }
 
 function closeStatementModal() {
@@ -721,174 +1661,657 @@ function printStatement() {
     window.print();
 }
 
-function generateCreditorStatement(creditor) {
-    const lang = creditor.language || 'english';
-    const title = creditor.gender === 'female' ? (lang === 'french' ? 'Mme' : 'Mrs.') : (lang === 'french' ? 'M.' : 'Mr.');
-    const today = new Date().toLocaleDateString(lang === 'french' ? 'fr-FR' : 'en-GB', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-    });
-    
-    const itemsHtml = creditor.items?.length > 0 ? `
-        <table class="items-table">
-            <thead>
-                <tr>
-                    <th>#</th>
-                    <th>${lang === 'french' ? 'Motif' : 'Reason'}</th>
-                    <th>${lang === 'french' ? 'Montant' : 'Amount'}</th>
-                    <th>${lang === 'french' ? 'Statut' : 'Status'}</th>
-                </tr>
-            </thead>
+// ============================================
+// LEDGER
+// ============================================
+
+const LEDGER_ENTRIES = { interest: 'Interest on', penalty: 'Late penalties on', payment: 'Payment' };
+
+let currentLedger = null;
+
+function viewLedger(type, id) {
+    currentLedger = { type, id };
+    document.getElementById('modal-title').textContent = 'Ledger';
+    document.getElementById('modal-body').innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label>From</label>
+                <input type="date" id="ledger-from" onchange="loadLedger()">
+            </div>
+            <div class="form-group">
+                <label>To</label>
+                <input type="date" id="ledger-to" onchange="loadLedger()">
+            </div>
+        </div>
+        <div id="ledger-content"><p class="empty-state">Loading ledger...</p></div>
+    `;
+    document.getElementById('modal').classList.add('active');
+    loadLedger();
+}
+
+async function loadLedger() {
+    const { type, id } = currentLedger;
+    const container = document.getElementById('ledger-content');
+    const params = new URLSearchParams();
+    const from = document.getElementById('ledger-from').value;
+    const to = document.getElementById('ledger-to').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    try {
+        const res = await apiFetch(`/api/${type}s/${id}/ledger?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        container.innerHTML = data.ledgers.length ? data.ledgers.map(l => getLedgerHtml(data, l)).join('') : '<p class="empty-state">Nothing recorded in this period</p>';
+    } catch (err) {
+        container.innerHTML = `<p class="empty-state">${escapeHtml(err.message || 'Error loading ledger')}</p>`;
+    }
+}
+
+function getLedgerEntryDescription(entry) {
+    if (entry.type === 'payment') return [LEDGER_ENTRIES.payment, entry.payment_method, entry.reference].filter(Boolean).join(' - ');
+    return entry.type === 'charge' ? entry.reason || '-' : `${LEDGER_ENTRIES[entry.type]} ${entry.reason || '-'}`;
+}
+
+// Ledger days are YYYY-MM-DD, shown as local dates
+function getLedgerHtml(ledger, { currency, opening_balance, entries, closing_balance }) {
+    const balanceRow = (date, label, balance) => `
+        <tr class="ledger-balance"><td>${formatDate(`${date}T00:00:00`)}</td><td>${label}</td><td></td><td></td><td>${formatCurrency(balance, currency)}</td></tr>
+    `;
+    return `
+        <h4 class="ledger-currency">${currency}</h4>
+        <table class="data-table ledger-table">
+            <thead><tr><th>Date</th><th>Description</th><th>Charge</th><th>Payment</th><th>Balance</th></tr></thead>
             <tbody>
-                ${creditor.items.map((item, idx) => `
+                ${ledger.from ? balanceRow(ledger.from, 'Opening balance', opening_balance) : ''}
+                ${entries.map(e => `
                     <tr>
-                        <td>${idx + 1}</td>
-                        <td>${item.reason || '-'}</td>
-                        <td style="text-align: right">${formatCurrency(item.amount)}</td>
-                        <td>${item.status}</td>
+                        <td>${formatDate(`${e.date}T00:00:00`)}</td>
+                        <td>${escapeHtml(getLedgerEntryDescription(e))}</td>
+                        <td>${e.charge ? formatCurrency(e.charge, currency) : ''}</td>
+                        <td>${e.payment ? formatCurrency(e.payment, currency) : ''}</td>
+                        <td>${formatCurrency(e.balance, currency)}</td>
                     </tr>
                 `).join('')}
+                ${balanceRow(ledger.to, 'Closing balance', closing_balance)}
             </tbody>
-            <tfoot>
-                <tr style="font-weight: bold; background: #f0f0f0">
-                    <td colspan="2">TOTAL</td>
-                    <td style="text-align: right">${formatCurrency(creditor.total_amount)}</td>
-                    <td></td>
-                </tr>
-            </tfoot>
         </table>
-    ` : '';
-    
-    if (lang === 'french') {
+    `;
+}
+
+// ============================================
+// CONTACTS
+// ============================================
+
+let currentContact = null;
+
+async function openContact(id) {
+    currentContact = { id };
+    document.getElementById('contact-detail').innerHTML = '<p class="empty-state">Loading contact...</p>';
+    switchSection('contact');
+    await loadContactDetail();
+}
+
+async function loadContactDetail() {
+    if (!currentContact) return;
+    const container = document.getElementById('contact-detail');
+    try {
+        const res = await apiFetch(`/api/contacts/${currentContact.id}?base=${baseCurrency}`);
+        const contact = await res.json();
+        if (!res.ok) throw new Error(contact.error);
+        currentContact = contact;
+        container.innerHTML = getContactDetailHtml(contact);
+    } catch (err) {
+        container.innerHTML = `<p class="empty-state">${escapeHtml(err.message || 'Error loading contact')}</p>`;
+    }
+}
+
+// The contact's creditor or debtor: its items, or a button to add one
+function getContactSideHtml(type, side, title) {
+    const label = type === 'creditor' ? 'Creditor' : 'Debtor';
+    if (!side) {
         return `
-            <div class="print-statement">
-                <div class="letterhead"><h2>RELEVÉ DE CONFIRMATION DE DETTE</h2></div>
-                <div class="date-line"><strong>Date:</strong> ${today}</div>
-                <div class="recipient"><p><strong>À:</strong> ${title} ${creditor.full_name}</p></div>
-                <div class="body-text">
-                    <p>Cher/Chère ${title} ${creditor.full_name},</p>
-                    <p>Cette lettre constitue une reconnaissance formelle de la dette que je, 
-                    <strong>${currentUser?.full_name || ''}</strong>, vous dois.</p>
-                </div>
-                ${itemsHtml}
-                <div class="amount-box">
-                    <p><strong>Montant total dû:</strong></p>
-                    <p class="amount-numeric">${formatCurrency(creditor.total_amount)}</p>
-                </div>
-                <div class="signature-area">
-                    <p><strong>Signature:</strong> <span class="sig-line"></span></p>
-                    <p><strong>Date:</strong> <span class="sig-line"></span></p>
+            <div class="card">
+                <div class="card-header"><h3>${title}</h3></div>
+                <div class="card-body">
+                    <p class="empty-state">Not a ${type}</p>
+                    ${can('write') ? `<button class="btn btn-sm btn-outline" onclick="addContactSide('${type}')">+ Add as ${label}</button>` : ''}
                 </div>
             </div>
         `;
     }
-    
+    const rows = side.items.map(i => `
+        <tr>
+            <td>${escapeHtml(i.reason || '-')}${i.overdue ? ' <span class="overdue-tag">overdue</span>' : ''}</td>
+            <td>${i.due_date ? formatDate(i.due_date) : '-'}</td>
+            <td>${formatCurrency(i.amount, i.currency)}</td>
+            <td>${formatCurrency(i.balance_due, i.currency)}</td>
+            <td>${i.status}</td>
+        </tr>
+    `).join('');
     return `
-        <div class="print-statement">
-            <div class="letterhead"><h2>DEBT CONFIRMATION STATEMENT</h2></div>
-            <div class="date-line"><strong>Date:</strong> ${today}</div>
-            <div class="recipient"><p><strong>To:</strong> ${title} ${creditor.full_name}</p></div>
-            <div class="body-text">
-                <p>Dear ${title} ${creditor.full_name},</p>
-                <p>This letter serves as a formal acknowledgment of the debt that I, 
-                <strong>${currentUser?.full_name || ''}</strong>, owe to you.</p>
-            </div>
-            ${itemsHtml}
-            <div class="amount-box">
-                <p><strong>Total Amount Owed:</strong></p>
-                <p class="amount-numeric">${formatCurrency(creditor.total_amount)}</p>
-            </div>
-            <div class="signature-area">
-                <p><strong>Signature:</strong> <span class="sig-line"></span></p>
-                <p><strong>Date:</strong> <span class="sig-line"></span></p>
+        <div class="card">
+            <div class="card-header">
+                <h3>${title}</h3>
+                <div class="table-actions">
+                    <button class="action-btn view" onclick="viewContactStatement('${type}')">Statement</button>
+                    <button class="action-btn view" onclick="viewLedger('${type}', ${side.id})">Ledger</button>
+                    ${can('write') ? `<button class="action-btn edit" onclick="editContactSide('${type}')">Edit</button>` : ''}
+                </div>
             </div>
+            <table class="data-table">
+                <thead><tr><th>Reason</th><th>Due</th><th>Amount</th><th>Balance</th><th>Status</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="5" class="empty-state">No items</td></tr>'}</tbody>
+            </table>
         </div>
     `;
 }
 
-function generateDebtorStatement(debtor) {
-    const lang = debtor.language || 'english';
-    const title = debtor.gender === 'female' ? (lang === 'french' ? 'Mme' : 'Mrs.') : (lang === 'french' ? 'M.' : 'Mr.');
-    const today = new Date().toLocaleDateString(lang === 'french' ? 'fr-FR' : 'en-GB', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-    });
-    
-    const itemsHtml = debtor.items?.length > 0 ? `
-        <table class="items-table">
-            <thead>
-                <tr>
-                    <th>#</th>
-                    <th>${lang === 'french' ? 'Motif' : 'Reason'}</th>
-                    <th>${lang === 'french' ? 'Montant' : 'Amount'}</th>
-                    <th>${lang === 'french' ? 'Statut' : 'Status'}</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${debtor.items.map((item, idx) => `
-                    <tr>
-                        <td>${idx + 1}</td>
-                        <td>${item.reason || '-'}</td>
-                        <td style="text-align: right">${formatCurrency(item.amount)}</td>
-                        <td>${item.status}</td>
-                    </tr>
-                `).join('')}
-            </tbody>
-            <tfoot>
-                <tr style="font-weight: bold; background: #f0f0f0">
-                    <td colspan="2">TOTAL</td>
-                    <td style="text-align: right">${formatCurrency(debtor.total_amount)}</td>
-                    <td></td>
-                </tr>
-            </tfoot>
-        </table>
-    ` : '';
-    
-    if (lang === 'french') {
-        return `
-            <div class="print-statement">
-                <div class="letterhead"><h2>RELEVÉ DE CRÉANCE</h2></div>
-                <div class="date-line"><strong>Date:</strong> ${today}</div>
-                <div class="recipient"><p><strong>À:</strong> ${title} ${debtor.full_name}</p></div>
-                <div class="body-text">
-                    <p>Cher/Chère ${title} ${debtor.full_name},</p>
-                    <p>Cette lettre constitue un relevé formel de la créance que vous devez à 
-                    <strong>${currentUser?.full_name || ''}</strong>.</p>
+function getContactDetailHtml(contact) {
+    const paymentRows = contact.payments.map(p => `
+        <tr>
+            <td>${formatDate(p.payment_date)}</td>
+            <td>${p.type === 'paid' ? 'Paid Out' : 'Received'}</td>
+            <td style="color: ${p.type === 'paid' ? 'var(--red)' : 'var(--green)'}">${formatCurrency(p.amount, p.currency)}</td>
+            <td>${escapeHtml(p.payment_method || '-')}</td>
+            <td>${escapeHtml(p.reference || '-')}</td>
+        </tr>
+    `).join('');
+    return `
+        <div class="section-header">
+            <div>
+                <h2>${escapeHtml(contact.full_name)}</h2>
+                <p class="contact-meta">${escapeHtml(contact.contact || 'No contact details')}</p>
+            </div>
+            <button class="btn btn-outline" onclick="switchSection('contacts')">← All Contacts</button>
+        </div>
+        <div class="stats-grid contact-stats">
+            <div class="stat-card">
+                <div class="stat-info">
+                    <span class="stat-label">I Owe</span>
+                    <span class="stat-value" style="color: var(--red)">${formatCurrency(contact.payable)}</span>
                 </div>
-                ${itemsHtml}
-                <div class="amount-box">
-                    <p><strong>Montant total dû:</strong></p>
-                    <p class="amount-numeric">${formatCurrency(debtor.total_amount)}</p>
+            </div>
+            <div class="stat-card">
+                <div class="stat-info">
+                    <span class="stat-label">Owed To Me</span>
+                    <span class="stat-value" style="color: var(--green)">${formatCurrency(contact.receivable)}</span>
                 </div>
-                <div class="signature-area">
-                    <p><strong>Signature du débiteur:</strong> <span class="sig-line"></span></p>
-                    <p><strong>Date:</strong> <span class="sig-line"></span></p>
+            </div>
+            <div class="stat-card">
+                <div class="stat-info">
+                    <span class="stat-label">Net</span>
+                    <span class="stat-value">${getNetHtml(contact.net)}</span>
                 </div>
             </div>
-        `;
+        </div>
+        <div class="content-grid">
+            ${getContactSideHtml('creditor', contact.creditor, 'What I Owe')}
+            ${getContactSideHtml('debtor', contact.debtor, 'What They Owe Me')}
+        </div>
+        <div class="card">
+            <div class="card-header"><h3>Payments</h3></div>
+            <table class="data-table">
+                <thead><tr><th>Date</th><th>Type</th><th>Amount</th><th>Method</th><th>Reference</th></tr></thead>
+                <tbody>${paymentRows || '<tr><td colspan="5" class="empty-state">No payments recorded</td></tr>'}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function viewContactStatement(type) {
+    openStatementModal(type, currentContact[type]);
+}
+
+function editContactSide(type) {
+    openModal(type, currentContact[type]);
+}
+
+// Opens the creditor or debtor form for the contact on display, filled in with its details
+function addContactSide(type) {
+    openModal(type);
+    document.getElementById('f-contact-id').value = currentContact.id;
+    document.getElementById('f-name').value = currentContact.full_name;
+    document.getElementById('f-contact').value = currentContact.contact || '';
+    document.getElementById('f-gender').value = currentContact.gender || 'male';
+    document.getElementById('f-language').value = currentContact.language || 'english';
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+async function loadTrash() {
+    try {
+        const res = await apiFetch('/api/trash');
+        if (res.ok) trash = await res.json();
+    } catch (err) {
+        console.error('Error loading trash:', err);
     }
-    
+    renderTrash();
+}
+
+function getTrashActionsHtml(row) {
+    if (!can('delete')) return '';
     return `
-        <div class="print-statement">
-            <div class="letterhead"><h2>OUTSTANDING DEBT STATEMENT</h2></div>
-            <div class="date-line"><strong>Date:</strong> ${today}</div>
-            <div class="recipient"><p><strong>To:</strong> ${title} ${debtor.full_name}</p></div>
-            <div class="body-text">
-                <p>Dear ${title} ${debtor.full_name},</p>
-                <p>This letter serves as a formal statement of the debt that you owe to 
-                <strong>${currentUser?.full_name || ''}</strong>.</p>
-            </div>
-            ${itemsHtml}
-            <div class="amount-box">
-                <p><strong>Total Amount Owed:</strong></p>
-                <p class="amount-numeric">${formatCurrency(debtor.total_amount)}</p>
+        <div class="table-actions">
+            <button class="action-btn view" onclick="restoreFromTrash('${row.entity}', ${row.id})">Restore</button>
+            <button class="action-btn delete" onclick="purgeFromTrash('${row.entity}', ${row.id})">Delete Forever</button>
+        </div>
+    `;
+}
+
+function renderTrash() {
+    const empty = '<tr><td colspan="6" class="empty-state">Nothing here</td></tr>';
+    const kindLabel = (entity) => entity.startsWith('creditor') ? 'Creditor' : 'Debtor';
+    document.getElementById('trash-retention').textContent = trash.retention_days
+        ? `Deleted records are removed for good after ${trash.retention_days} days`
+        : 'Deleted records stay here until you delete them forever';
+
+    document.getElementById('trash-counterparties').innerHTML = trash.counterparties.map(c => `
+        <tr>
+            <td>${kindLabel(c.entity)}</td>
+            <td><strong>${escapeHtml(c.full_name)}</strong></td>
+            <td>${escapeHtml(c.contact || '-')}</td>
+            <td>${c.item_count}</td>
+            <td>${formatDate(c.deleted_at)}</td>
+            <td>${getTrashActionsHtml(c)}</td>
+        </tr>
+    `).join('') || empty;
+
+    document.getElementById('trash-items').innerHTML = trash.items.map(i => `
+        <tr>
+            <td>${kindLabel(i.entity)}</td>
+            <td>${escapeHtml(i.counterparty_name)}</td>
+            <td>${escapeHtml(i.reason || '-')}</td>
+            <td>${formatCurrency(i.amount, i.currency)}</td>
+            <td>${formatDate(i.deleted_at)}</td>
+            <td>${getTrashActionsHtml(i)}</td>
+        </tr>
+    `).join('') || empty;
+
+    document.getElementById('trash-payments').innerHTML = trash.payments.map(p => `
+        <tr>
+            <td>${formatDate(p.payment_date)}</td>
+            <td>${p.type === 'paid' ? 'Paid Out' : 'Received'}</td>
+            <td>${escapeHtml(p.counterparty_name || '-')}</td>
+            <td>${formatCurrency(p.amount, p.currency)}</td>
+            <td>${formatDate(p.deleted_at)}</td>
+            <td>${getTrashActionsHtml(p)}</td>
+        </tr>
+    `).join('') || empty;
+}
+
+async function restoreFromTrash(entity, id) {
+    try {
+        const res = await apiFetch(`/api/trash/${entity}/${id}/restore`, { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error);
+        showToast('Restored');
+        await loadDashboardData();
+    } catch (err) {
+        showToast(err.message || 'Error restoring', 'error');
+    }
+}
+
+async function purgeFromTrash(entity, id) {
+    const what = entity === 'creditor' || entity === 'debtor' ? 'this record, its items and its payments' : 'this record';
+    if (!confirm(`Delete ${what} forever? This cannot be undone.`)) return;
+    try {
+        const res = await apiFetch(`/api/trash/${entity}/${id}`, { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error);
+        showToast('Deleted forever');
+        await loadTrash();
+    } catch (err) {
+        showToast(err.message || 'Error deleting', 'error');
+    }
+}
+
+// ============================================
+// HISTORY
+// ============================================
+
+const HISTORY_ACTIONS = { create: 'Created', update: 'Updated', delete: 'Moved to trash', import: 'Imported', restore: 'Restored', purge: 'Deleted forever' };
+const HISTORY_ENTITIES = { creditor: 'Creditor', debtor: 'Debtor', creditor_item: 'Item', debtor_item: 'Item', payment: 'Payment', exchange_rate: 'Exchange rate' };
+
+async function viewHistory(type, id) {
+    document.getElementById('modal-title').textContent = 'History';
+    const body = document.getElementById('modal-body');
+    body.innerHTML = '<p class="empty-state">Loading history...</p>';
+    document.getElementById('modal').classList.add('active');
+    try {
+        const res = await apiFetch(`/api/${type}s/${id}/history`);
+        const entries = await res.json();
+        if (!res.ok) throw new Error(entries.error);
+        body.innerHTML = entries.length ? entries.map(getHistoryEntryHtml).join('') : '<p class="empty-state">No recorded changes</p>';
+    } catch (err) {
+        body.innerHTML = `<p class="empty-state">${escapeHtml(err.message || 'Error loading history')}</p>`;
+    }
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Updates list their changes; creations and deletions fold the whole record away
+function getHistoryEntryHtml(entry) {
+    const changes = entry.changes.length ? `
+        <table class="data-table history-changes">
+            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>${entry.changes.map(c => `<tr><td>${escapeHtml(c.field)}</td><td>${escapeHtml(formatHistoryValue(c.before))}</td><td>${escapeHtml(formatHistoryValue(c.after))}</td></tr>`).join('')}</tbody>
+        </table>` : '';
+    return `
+        <div class="history-entry">
+            <div class="history-header">
+                <strong>${HISTORY_ACTIONS[entry.action] || entry.action}</strong>
+                <span>${HISTORY_ENTITIES[entry.entity_type] || entry.entity_type} #${entry.entity_id}</span>
+                <small>${escapeHtml(entry.username || 'Unknown user')} · ${new Date(entry.created_at).toLocaleString()}</small>
             </div>
-            <div class="signature-area">
-                <p><strong>Debtor's Signature:</strong> <span class="sig-line"></span></p>
-                <p><strong>Date:</strong> <span class="sig-line"></span></p>
+            ${entry.action === 'update' || !changes ? changes : `<details><summary>${entry.changes.length} field(s)</summary>${changes}</details>`}
+        </div>
+    `;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+const IMPORT_FIELDS = {
+    full_name: 'Full Name *', contact: 'Contact', gender: 'Gender', language: 'Language', reason: 'Reason',
+    amount: 'Amount', currency: 'Currency', date_incurred: 'Date Incurred', due_date: 'Due Date', status: 'Status'
+};
+const IMPORT_STEPS = ['Upload', 'Map columns', 'Preview', 'Result'];
+
+// The selected file is sent again at each step, so the server keeps nothing between them
+let importState = null;
+
+function openImportModal(type) {
+    importState = { type, file: null, columns: [], mapping: {} };
+    document.getElementById('import-title').textContent = `Import ${type === 'creditor' ? 'Creditors' : 'Debtors'}`;
+    renderImportUpload();
+    document.getElementById('import-modal').classList.add('active');
+}
+
+function closeImportModal() {
+    document.getElementById('import-modal').classList.remove('active');
+}
+
+function renderImportStep(step, html) {
+    document.getElementById('import-body').innerHTML = `
+        <div class="import-steps">${IMPORT_STEPS.map((s, idx) => `<span class="${idx === step ? 'active' : ''}">${idx + 1}. ${s}</span>`).join('')}</div>
+        ${html}
+    `;
+}
+
+function importFetch(url, params = {}) {
+    const query = new URLSearchParams({ filename: importState.file.name, ...params });
+    return apiFetch(`${url}?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: importState.file
+    });
+}
+
+function importParams() {
+    return { type: importState.type, mapping: JSON.stringify(importState.mapping) };
+}
+
+function renderImportUpload() {
+    renderImportStep(0, `
+        <div class="form">
+            <div class="form-group">
+                <label>CSV or Excel (.xlsx) file, with a header row and one line item per row, or a JSON backup</label>
+                <input type="file" id="import-file" accept=".csv,.xlsx,.json">
             </div>
+            <button class="btn btn-primary" onclick="uploadImportFile()">Next</button>
+        </div>
+    `);
+}
+
+async function uploadImportFile() {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) {
+        showToast('Choose a file to import', 'error');
+        return;
+    }
+    importState.file = file;
+    if (/\.json$/i.test(file.name)) {
+        renderImportStep(1, `
+            <p class="import-summary">${escapeHtml(file.name)} will be restored as new records next to your existing ones, creditors, debtors and payments alike.</p>
+            <div class="import-actions">
+                <button class="btn btn-outline" onclick="renderImportUpload()">Back</button>
+                <button class="btn btn-primary" onclick="restoreBackupFile()">Restore</button>
+            </div>
+        `);
+        return;
+    }
+    
+    try {
+        const res = await importFetch('/api/import/columns');
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Error reading file', 'error');
+            return;
+        }
+        importState.columns = data.columns;
+        importState.mapping = data.mapping;
+        importState.sheet = data;
+        renderImportMapping();
+    } catch (err) {
+        showToast('Error reading file', 'error');
+    }
+}
+
+function renderImportMapping() {
+    const data = importState.sheet;
+    const columnOptions = (field) => ['<option value="">Not imported</option>']
+        .concat(importState.columns.map(c => `<option value="${escapeHtml(c)}" ${importState.mapping[field] === c ? 'selected' : ''}>${escapeHtml(c)}</option>`))
+        .join('');
+    
+    renderImportStep(1, `
+        <div class="form">
+            <div class="form-row">
+                ${Object.entries(IMPORT_FIELDS).map(([field, label]) => `
+                    <div class="form-group">
+                        <label>${label}</label>
+                        <select class="import-mapping" data-field="${field}">${columnOptions(field)}</select>
+                    </div>
+                `).join('')}
+            </div>
+            <h4>First rows of ${data.row_count}</h4>
+            <div class="data-table-container import-table-container">
+                <table class="data-table import-table">
+                    <thead><tr>${importState.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>
+                    <tbody>${data.sample.map(row => `<tr>${importState.columns.map((c, idx) => `<td>${escapeHtml(row[idx] || '')}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+            <div class="import-actions">
+                <button class="btn btn-outline" onclick="renderImportUpload()">Back</button>
+                <button class="btn btn-primary" onclick="previewImportFile()">Preview</button>
+            </div>
+        </div>
+    `);
+}
+
+async function previewImportFile() {
+    importState.mapping = {};
+    document.querySelectorAll('.import-mapping').forEach(select => {
+        if (select.value) importState.mapping[select.dataset.field] = select.value;
+    });
+    if (!importState.mapping.full_name) {
+        showToast('Map a column to Full Name', 'error');
+        return;
+    }
+    
+    try {
+        const res = await importFetch('/api/import/preview', importParams());
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Error validating rows', 'error');
+            return;
+        }
+        renderImportPreview(data);
+    } catch (err) {
+        showToast('Error validating rows', 'error');
+    }
+}
+
+function getImportIssuesHtml(rows) {
+    const issues = rows.filter(r => r.errors.length || (r.warnings || []).length);
+    if (!issues.length) return '';
+    return `
+        <div class="data-table-container import-table-container">
+            <table class="data-table import-table">
+                <thead><tr><th>Row</th><th>Problem</th></tr></thead>
+                <tbody>
+                    ${issues.map(r => `
+                        <tr>
+                            <td>${r.row}</td>
+                            <td>
+                                ${r.errors.map(e => `<div class="import-errors">${escapeHtml(e)}</div>`).join('')}
+                                ${(r.warnings || []).map(w => `<div class="import-warnings">${escapeHtml(w)}</div>`).join('')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
     `;
 }
 
+function renderImportPreview(preview) {
+    const invalid = preview.rows.filter(r => r.errors.length).length;
+    const duplicates = preview.counterparties.filter(c => c.duplicate).length;
+    const items = preview.counterparties.reduce((s, c) => s + c.items.length, 0);
+    
+    renderImportStep(2, `
+        <p class="import-summary">
+            ${preview.rows.length} rows: ${preview.counterparties.length} ${importState.type}s with ${items} items.
+            ${invalid ? `<span class="import-errors">${invalid} rows have errors; fix them in the file before importing.</span>` : ''}
+        </p>
+        ${getImportIssuesHtml(preview.rows)}
+        <div class="data-table-container import-table-container">
+            <table class="data-table import-table">
+                <thead><tr><th>Name</th><th>Contact</th><th>Items</th><th>Rows</th><th>Possible duplicate</th></tr></thead>
+                <tbody>
+                    ${preview.counterparties.map(c => `
+                        <tr>
+                            <td>${escapeHtml(c.full_name)}</td>
+                            <td>${escapeHtml(c.contact || '-')}</td>
+                            <td>${c.items.map(i => formatCurrency(i.amount, i.currency)).join(', ') || '-'}</td>
+                            <td>${c.rows.join(', ')}</td>
+                            <td>${c.duplicate ? `<span class="overdue-tag">${escapeHtml(c.duplicate.full_name)} (same ${c.duplicate.match})</span>` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="import-actions">
+            <button class="btn btn-outline" onclick="renderImportMapping()">Back</button>
+            ${duplicates ? `
+                <select id="import-on-duplicate" class="statement-template">
+                    <option value="skip">Skip the ${duplicates} possible duplicates</option>
+                    <option value="merge">Add their items to the existing ${importState.type}s</option>
+                    <option value="create">Import them as new ${importState.type}s</option>
+                </select>
+            ` : ''}
+            <button class="btn btn-primary" onclick="commitImportFile()" ${invalid ? 'disabled' : ''}>Import</button>
+        </div>
+    `);
+}
+
+async function commitImportFile() {
+    const onDuplicate = document.getElementById('import-on-duplicate')?.value || 'skip';
+    
+    try {
+        const res = await importFetch('/api/import', { ...importParams(), on_duplicate: onDuplicate });
+        const data = await res.json();
+        if (!res.ok) {
+            renderImportStep(3, `
+                <p class="import-summary import-errors">${escapeHtml(data.error || 'Error importing file')}</p>
+                ${getImportIssuesHtml(data.rows || [])}
+                <div class="import-actions">
+                    <button class="btn btn-outline" onclick="renderImportUpload()">Start over</button>
+                </div>
+            `);
+            return;
+        }
+        renderImportStep(3, `
+            <p class="import-summary">
+                ${data.created} ${importState.type}s created, ${data.merged} merged into existing ones and ${data.skipped} skipped.
+                ${data.items} items imported${data.payments ? `, ${data.payments} recorded as paid` : ''}.
+            </p>
+            <div class="import-actions">
+                <button class="btn btn-primary" onclick="closeImportModal()">Done</button>
+            </div>
+        `);
+        showToast('Import complete');
+        await loadDashboardData();
+    } catch (err) {
+        showToast('Error importing file', 'error');
+    }
+}
+
+async function restoreBackupFile() {
+    try {
+        const res = await importFetch('/api/import/backup');
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Error restoring backup', 'error');
+            return;
+        }
+        renderImportStep(3, `
+            <p class="import-summary">
+                ${data.creditors} creditors, ${data.debtors} debtors with ${data.items} items and ${data.payments} payments restored.
+                ${data.skipped_payments ? `${data.skipped_payments} payments for counterparties missing from the backup were skipped.` : ''}
+            </p>
+            <div class="import-actions">
+                <button class="btn btn-primary" onclick="closeImportModal()">Done</button>
+            </div>
+        `);
+        showToast('Backup restored');
+        await loadDashboardData();
+    } catch (err) {
+        showToast('Error restoring backup', 'error');
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+async function exportData(e) {
+    e.preventDefault();
+    const params = new URLSearchParams({
+        scope: document.getElementById('export-scope').value,
+        format: document.getElementById('export-format').value,
+        base: baseCurrency
+    });
+    for (const field of ['from', 'to', 'status']) {
+        const value = document.getElementById(`export-${field}`).value;
+        if (value) params.set(field, value);
+    }
+    
+    try {
+        const res = await apiFetch(`/api/export?${params}`);
+        if (!res.ok) {
+            const err = await res.json();
+            showToast(err.error || 'Error exporting data', 'error');
+            return;
+        }
+        const filename = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'export';
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        showToast('Error exporting data', 'error');
+    }
+}
+
 // ============================================
 // PROFILE
 // ============================================
@@ -932,8 +2355,9 @@ async function changePassword(e) {
         });
         
         if (res.ok) {
-            showToast('Password changed successfully');
+            showToast('Password changed. Other sessions were logged out.');
             document.getElementById('password-form').reset();
+            loadSessions();
         } else {
             const err = await res.json();
             showToast(err.error || 'Error changing password', 'error');
@@ -960,9 +2384,13 @@ async function logout() {
 // UTILITIES
 // ============================================
 
-function formatCurrency(amount) {
-    if (amount === null || amount === undefined) return '0 XAF';
-    return new Intl.NumberFormat('en-US').format(Math.round(amount)) + ' XAF';
+function formatCurrency(amount, currency = baseCurrency) {
+    if (amount === null || amount === undefined) return `0 ${currency}`;
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(amount) + ` ${currency}`;
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString();
 }
 
 function showToast(message, type = 'success') {
@@ -0,0 +1,7 @@
+// Shared by the dashboard and the admin page
+
+// Names, notes, references and anything else that was typed in or imported go through this before
+// they are put into innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
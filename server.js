@@ -4,6 +4,33 @@ const bcrypt = require('bcryptjs');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const path = require('path');
+const { withTransaction } = require('./lib/db');
+const { schemaStatus } = require('./lib/migrations');
+const { createPasswordPolicy } = require('./lib/passwords');
+const { createLoginThrottle } = require('./lib/throttle');
+const { generateSecret, verifyCode, otpauthUrl } = require('./lib/totp');
+const { createTwoFactor } = require('./lib/twofactor');
+const { getSettings, setSetting } = require('./lib/settings');
+const { createPasswordResets } = require('./lib/resets');
+const { createMailer } = require('./lib/mailer');
+const { sessionDetails, listSessions, endSession, endSessions } = require('./lib/sessions');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE, SHARE_ROLES, permissionsOf, hasPermission, roleError, sharedPermissions, shareRoleError, mayShareAs } = require('./lib/roles');
+const { accessibleLedgers, ledgerRole, listShares, shareLedger, updateShare, removeShare, leaveLedger } = require('./lib/ledgers');
+const QRCode = require('qrcode');
+const { REFERENCE_CURRENCY, normalizeCurrency, listCurrencies, createConverter } = require('./lib/currency');
+const { COUNTERPARTIES, ITEM_FIELDS, COUNTERPARTY_SORTS, COUNTERPARTY_STATUSES, contactError, createCounterpartyRepository } = require('./lib/counterparties');
+const { CONTACT_SORTS, createContactRepository } = require('./lib/contacts');
+const { AGING_BUCKETS, agingReport } = require('./lib/reports');
+const { createReminderEngine, transportsFromEnv } = require('./lib/reminders');
+const { buildLetter } = require('./lib/letters');
+const { renderLetterPdf } = require('./lib/pdf');
+const { loadLedger } = require('./lib/ledger');
+const { planError } = require('./lib/plans');
+const { readSheet, suggestMapping, previewImport, commitImport, backupError, restoreBackup } = require('./lib/import');
+const { EXPORT_FORMATS, EXPORT_SCOPES, EXPORT_STATUSES, exportData } = require('./lib/export');
+const { isDate, parseListQuery, searchPattern } = require('./lib/listing');
+const { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAudit, snapshotPayment, recordHistory, searchAudit } = require('./lib/audit');
+const { TRASH_ENTITIES, DEFAULT_RETENTION_DAYS, deletedPayments, findDeletedPayment, restorePayment, purgePayment, createTrashPurger } = require('./lib/trash');
 require('dotenv').config();
 
 const app = express();
@@ -31,6 +58,13 @@ pool.on('error', (err) => {
     console.error('PostgreSQL pool error:', err);
 });
 
+const passwordPolicy = createPasswordPolicy();
+const loginThrottle = createLoginThrottle(pool);
+const twoFactor = createTwoFactor(pool);
+const passwordResets = createPasswordResets(pool);
+const mailer = createMailer();
+if (mailer.disabled) console.warn(`Password reset by email is off: ${mailer.disabled}`);
+
 // CRITICAL: Trust proxy - must be before session middleware
 app.set('trust proxy', 1);
 
@@ -42,8 +76,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use(session({
     store: new pgSession({
         pool: pool,
-        tableName: 'user_sessions',
-        createTableIfMissing: true
+        tableName: 'user_sessions'  // created by migrations/002_user_sessions.js
     }),
     secret: process.env.SESSION_SECRET || 'ghouenzen-super-secret-key-2025',
     resave: true,
@@ -58,6 +91,12 @@ app.use(session({
     }
 }));
 
+// Last activity, for the session list
+app.use((req, res, next) => {
+    if (req.session?.userId) req.session.lastSeen = Date.now();
+    next();
+});
+
 // Serve static files AFTER session middleware
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -71,152 +110,218 @@ app.use((req, res, next) => {
     next();
 });
 
-// Initialize Database
-async function initDB() {
-    let client;
-    try {
-        client = await pool.connect();
-        console.log('Connected to PostgreSQL database');
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(100) UNIQUE NOT NULL,
-                email VARCHAR(255) UNIQUE NOT NULL,
-                password_hash VARCHAR(255) NOT NULL,
-                full_name VARCHAR(255) NOT NULL,
-                phone VARCHAR(50),
-                address TEXT,
-                is_admin BOOLEAN DEFAULT FALSE,
-                must_change_password BOOLEAN DEFAULT TRUE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP
-            )
-        `);
-
-        try {
-            await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE`);
-            await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT TRUE`);
-        } catch (e) { }
+// The schema is managed by `npm run migrate`; the server will not run on a database that is behind it
+async function checkSchema() {
+    const { version, pending, unknown } = await schemaStatus(pool);
+    console.log('Connected to PostgreSQL database');
+    if (pending.length) {
+        throw new Error(`${pending.length} pending migration(s): ${pending.map(m => m.name).join(', ')}. Run npm run migrate first`);
+    }
+    if (unknown.length) console.warn(`Database has migrations this version does not know: ${unknown.join(', ')}`);
+    console.log(`Schema version ${version}`);
+}
 
-        const adminCheck = await client.query("SELECT id, password_hash FROM users WHERE username = 'admin'");
-        if (adminCheck.rows.length === 0) {
-            const hash = await bcrypt.hash('12345', 10);
-            await client.query(
-                `INSERT INTO users (username, email, password_hash, full_name, is_admin, must_change_password)
-                 VALUES ('admin', 'admin@ghouenzen.com', $1, 'Administrator', TRUE, TRUE)`,
-                [hash]
-            );
-            console.log('Admin account created (admin/12345)');
-        } else {
-            const isDefault = await bcrypt.compare('12345', adminCheck.rows[0].password_hash);
-            if (isDefault) {
-                await client.query(`UPDATE users SET must_change_password = TRUE WHERE username = 'admin'`);
-                console.log('Admin must change password');
-            }
+// The admin account is created on first start with a one-time password, printed once, that must be
+// changed on first login
+async function ensureAdmin() {
+    const adminCheck = await pool.query("SELECT id, password_hash FROM users WHERE username = 'admin'");
+    if (adminCheck.rows.length === 0) {
+        const password = passwordPolicy.generate();
+        const hash = await bcrypt.hash(password, 10);
+        await pool.query(
+            `INSERT INTO users (username, email, password_hash, full_name, role, must_change_password)
+             VALUES ('admin', 'admin@ghouenzen.com', $1, 'Administrator', 'admin', TRUE)`,
+            [hash]
+        );
+        console.log(`Admin account created: admin / ${password} (one-time password, shown only now)`);
+    } else {
+        const isDefault = await bcrypt.compare('12345', adminCheck.rows[0].password_hash);
+        if (isDefault) {
+            await pool.query(`UPDATE users SET must_change_password = TRUE WHERE username = 'admin'`);
+            console.log('Admin must change password');
         }
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS creditors (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                full_name VARCHAR(255) NOT NULL,
-                contact VARCHAR(255),
-                gender VARCHAR(10) DEFAULT 'male',
-                language VARCHAR(10) DEFAULT 'english',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS creditor_items (
-                id SERIAL PRIMARY KEY,
-                creditor_id INTEGER REFERENCES creditors(id) ON DELETE CASCADE,
-                reason TEXT,
-                amount DECIMAL(15,2) DEFAULT 0,
-                date_incurred DATE,
-                due_date DATE,
-                status VARCHAR(20) DEFAULT 'pending',
-                notes TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS debtors (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                full_name VARCHAR(255) NOT NULL,
-                contact VARCHAR(255),
-                gender VARCHAR(10) DEFAULT 'male',
-                language VARCHAR(10) DEFAULT 'english',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS debtor_items (
-                id SERIAL PRIMARY KEY,
-                debtor_id INTEGER REFERENCES debtors(id) ON DELETE CASCADE,
-                reason TEXT,
-                amount DECIMAL(15,2) DEFAULT 0,
-                date_incurred DATE,
-                due_date DATE,
-                status VARCHAR(20) DEFAULT 'pending',
-                notes TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS payments (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                type VARCHAR(20) NOT NULL,
-                related_id INTEGER,
-                amount DECIMAL(15,2) NOT NULL,
-                payment_date DATE DEFAULT CURRENT_DATE,
-                payment_method VARCHAR(50),
-                reference VARCHAR(100),
-                notes TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        console.log('Database initialized');
-    } catch (err) {
-        console.error('DB init error:', err.message);
-        throw err;
-    } finally {
-        if (client) client.release();
     }
 }
 
+// A session waiting for its two-factor code has no userId yet, so it gets no further than this
 function requireAuth(req, res, next) {
     if (req.session?.userId) {
         next();
     } else {
         if (req.path.startsWith('/api/')) {
-            res.status(401).json({ error: 'Not authenticated' });
+            res.status(401).json(req.session?.pendingTwoFactor
+                ? { error: 'Two-factor verification required', two_factor_required: true }
+                : { error: 'Not authenticated' });
         } else {
             res.redirect('/login');
         }
     }
 }
 
-function requireAdmin(req, res, next) {
-    if (req.session?.userId && req.session?.isAdmin) {
-        next();
-    } else {
+// The session user's role, read once per request so a change by an admin applies straight away
+async function userRole(req) {
+    if (req.role === undefined) {
+        const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.session.userId]);
+        req.role = result.rows.length ? result.rows[0].role : null;
+    }
+    return req.role;
+}
+
+// The ledger the user is working on (lib/ledgers.js): their own, or the one they switched to with
+// PUT /api/ledgers/current, with what they may do on it. Sets req.ledgerId, the owner whose records the
+// request reads and changes. When the ledger is no longer shared with them, role is null and the session
+// goes back to their own.
+async function ledgerAccess(req) {
+    if (req.ledger === undefined) {
+        const userId = req.session.userId;
+        const role = await userRole(req);
+        const id = req.session.ledgerId || userId;
+        const share = await ledgerRole(pool, userId, id);
+        if (!share) delete req.session.ledgerId;
+        req.ledger = { id, role: share, permissions: share === 'owner' ? permissionsOf(role) : sharedPermissions(role, share) };
+        req.ledgerId = id;
+    }
+    return req.ledger;
+}
+
+// Permission guard, after requireAuth: the user's role, and on a shared ledger the share's role, must
+// include permission (see lib/roles.js)
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const ledger = await ledgerAccess(req);
+            if (!ledger.role) return res.status(403).json({ error: 'This ledger is no longer shared with you', ledger_revoked: true });
+            if (ledger.permissions.includes(permission)) return next();
+            res.status(403).json({ error: `Your role does not allow this: ${PERMISSIONS[permission].toLowerCase()}`, permission });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// Permission guard for the routes on the user's own books, whichever ledger they are working on: their
+// own role must include permission
+function requireOwnPermission(permission) {
+    return async (req, res, next) => {
+        try {
+            if (hasPermission(await userRole(req), permission)) return next();
+            res.status(403).json({ error: `Your role does not allow this: ${PERMISSIONS[permission].toLowerCase()}`, permission });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// When 2FA is required for admins, an admin who has not enrolled is refused until they do
+async function requireAdmin(req, res, next) {
+    try {
+        if (req.session?.userId && hasPermission(await userRole(req), 'admin')) {
+            if (!(await twoFactor.setupRequired(req.session.userId))) return next();
+            if (req.path.startsWith('/api/')) {
+                return res.status(403).json({ error: 'Set up two-factor authentication to use admin features', two_factor_setup_required: true });
+            }
+            return res.redirect('/dashboard');
+        }
         if (req.path.startsWith('/api/')) {
             res.status(403).json({ error: 'Admin required' });
         } else {
             res.redirect('/dashboard');
         }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
 }
 
+// Tables whose rows are moved to the trash rather than deleted
+const SOFT_DELETE_TABLES = ['creditors', 'debtors', 'payments'];
+
+// Ownership guard for :id routes, after requirePermission: anything that is not on the ledger being worked on, or is in
+// the trash, is reported as missing
+function requireOwned(table, label) {
+    const live = SOFT_DELETE_TABLES.includes(table) ? ' AND deleted_at IS NULL' : '';
+    return async (req, res, next) => {
+        try {
+            const result = /^\d+$/.test(req.params.id)
+                ? await pool.query(`SELECT id FROM ${table} WHERE id = $1 AND user_id = $2${live}`, [req.params.id, req.ledgerId])
+                : { rows: [] };
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            next();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+// :itemId routes answer 404 for an id that cannot be an item's, as requireOwned does for :id
+function requireItemId(req, res, next) {
+    if (!/^\d+$/.test(req.params.itemId)) return res.status(404).json({ error: 'Item not found' });
+    next();
+}
+
+// A positive whole number, as a number or a string, as ids in request bodies must be
+function isId(value) {
+    return /^\d+$/.test(String(value)) && parseInt(value) > 0;
+}
+
 // LOGIN
+
+// How long the code may take after the password was accepted
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Replaces the session, so no identifier from before login survives it, and saves the new one
+function startSession(req, res, fields, done) {
+    req.session.regenerate((err) => {
+        if (err) {
+            console.error('Session regenerate error:', err);
+            return res.status(500).json({ error: 'Session error' });
+        }
+        Object.assign(req.session, sessionDetails(req), fields);
+        req.session.save((err) => {
+            if (err) {
+                console.error('Session save error:', err);
+                return res.status(500).json({ error: 'Session error' });
+            }
+            done();
+        });
+    });
+}
+
+// Logs the user in once every factor has been checked; extra is merged into the response
+async function completeLogin(req, res, user, extra = {}) {
+    await loginThrottle.clear(user.id);
+    await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+    const fields = { userId: user.id, username: user.username, mustChangePassword: user.must_change_password };
+    startSession(req, res, fields, () => {
+        console.log('Login successful:', user.username, 'Session:', req.sessionID?.substring(0, 8));
+
+        // After login: if password change needed, stay on this site; otherwise redirect to main app
+        const redirectUrl = user.must_change_password ? '/change-password' : 'https://ghouenzen.onrender.com';
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                username: user.username,
+                full_name: user.full_name,
+                role: user.role,
+                must_change_password: user.must_change_password
+            },
+            redirect: redirectUrl,
+            ...extra
+        });
+    });
+}
+
+// Refuses a login that is throttled, telling the client when to retry
+function tooManyAttempts(res, status, message, seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    res.set('Retry-After', String(seconds));
+    res.status(status).json({ error: `${message} Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, retry_after: seconds });
+}
+
 app.post('/api/auth/login', async (req, res) => {
     try {
         const { username, password } = req.body;
@@ -226,78 +331,95 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'Username and password required' });
         }
 
+        const ipWait = await loginThrottle.ipRetryAfter(req.ip);
+        if (ipWait) return tooManyAttempts(res, 429, 'Too many failed logins from this address.', ipWait);
+
         const result = await pool.query(
             'SELECT * FROM users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)',
             [username]
         );
 
         if (result.rows.length === 0) {
+            await loginThrottle.recordFailure(req.ip, username);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
         const user = result.rows[0];
+        const accountWait = await loginThrottle.accountRetryAfter(user.id);
+        if (accountWait) return tooManyAttempts(res, 423, 'This account is locked after too many failed logins.', accountWait);
+
         const valid = await bcrypt.compare(password, user.password_hash);
         
         if (!valid) {
+            const lockedFor = await loginThrottle.recordFailure(req.ip, username, user.id);
+            if (lockedFor) return tooManyAttempts(res, 423, 'This account is locked after too many failed logins.', lockedFor);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+        if (user.totp_enabled_at) {
+            // The password was right; the session waits for the code and is not logged in yet
+            return startSession(req, res, { pendingTwoFactor: { userId: user.id, username: user.username, expires: Date.now() + TWO_FACTOR_TIMEOUT_MS } }, () => {
+                res.json({ two_factor_required: true });
+            });
+        }
+        await completeLogin(req, res, user);
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        req.session.regenerate((err) => {
-            if (err) {
-                console.error('Session regenerate error:', err);
-                return res.status(500).json({ error: 'Session error' });
-            }
+// Second login step: an authenticator code, or a recovery code, for the account whose password was given
+app.post('/api/auth/2fa/verify', async (req, res) => {
+    try {
+        const pending = req.session?.pendingTwoFactor;
+        if (!pending || pending.expires < Date.now()) {
+            return res.status(401).json({ error: 'Your sign-in expired. Enter your password again.', expired: true });
+        }
 
-            req.session.userId = user.id;
-            req.session.username = user.username;
-            req.session.isAdmin = user.is_admin;
-            req.session.mustChangePassword = user.must_change_password;
+        const ipWait = await loginThrottle.ipRetryAfter(req.ip);
+        if (ipWait) return tooManyAttempts(res, 429, 'Too many failed logins from this address.', ipWait);
+        const accountWait = await loginThrottle.accountRetryAfter(pending.userId);
+        if (accountWait) return tooManyAttempts(res, 423, 'This account is locked after too many failed logins.', accountWait);
 
-            req.session.save((err) => {
-                if (err) {
-                    console.error('Session save error:', err);
-                    return res.status(500).json({ error: 'Session error' });
-                }
+        const method = await twoFactor.verify(pending.userId, req.body.code);
+        if (!method) {
+            const lockedFor = await loginThrottle.recordFailure(req.ip, pending.username, pending.userId);
+            if (lockedFor) return tooManyAttempts(res, 423, 'This account is locked after too many failed logins.', lockedFor);
+            return res.status(401).json({ error: 'Invalid code' });
+        }
 
-                console.log('Login successful:', username, 'Session:', req.sessionID?.substring(0, 8));
-                
-                // After login: if password change needed, stay on this site; otherwise redirect to main app
-                const redirectUrl = user.must_change_password ? '/change-password' : 'https://ghouenzen.onrender.com';
-                
-                res.json({
-                    success: true,
-                    user: {
-                        id: user.id,
-                        username: user.username,
-                        full_name: user.full_name,
-                        is_admin: user.is_admin,
-                        must_change_password: user.must_change_password
-                    },
-                    redirect: redirectUrl
-                });
-            });
-        });
+        const result = await pool.query('SELECT * FROM users WHERE id = $1', [pending.userId]);
+        const extra = method === 'recovery' ? { recovery_codes_left: (await twoFactor.status(pending.userId)).recovery_codes_left } : {};
+        await completeLogin(req, res, result.rows[0], extra);
     } catch (err) {
-        console.error('Login error:', err);
+        console.error('2FA verify error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.get('/api/auth/status', (req, res) => {
+app.get('/api/auth/status', async (req, res) => {
     console.log('Auth status check - userId:', req.session?.userId);
     
-    if (req.session?.userId) {
-        res.json({
-            authenticated: true,
-            userId: req.session.userId,
-            username: req.session.username,
-            isAdmin: req.session.isAdmin,
-            mustChangePassword: req.session.mustChangePassword
-        });
-    } else {
-        res.json({ authenticated: false });
+    try {
+        if (req.session?.userId) {
+            const role = await userRole(req);
+            const ledger = await ledgerAccess(req);
+            res.json({
+                authenticated: true,
+                userId: req.session.userId,
+                username: req.session.username,
+                role,
+                permissions: ledger.permissions,
+                ledger: { id: ledger.id, role: ledger.role },
+                isAdmin: hasPermission(role, 'admin'),
+                mustChangePassword: req.session.mustChangePassword
+            });
+        } else {
+            res.json({ authenticated: false, twoFactorPending: !!req.session?.pendingTwoFactor });
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
 });
 
@@ -311,10 +433,14 @@ app.post('/api/auth/logout', (req, res) => {
 app.get('/api/auth/profile', requireAuth, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT id, username, email, full_name, phone, address, is_admin, must_change_password FROM users WHERE id = $1',
+            'SELECT id, username, email, full_name, phone, address, role, must_change_password FROM users WHERE id = $1',
             [req.session.userId]
         );
-        res.json(result.rows[0] || {});
+        const user = result.rows[0];
+        if (!user) return res.json({});
+        // What the user may do on the ledger they are working on, which is their role on their own
+        const ledger = await ledgerAccess(req);
+        res.json({ ...user, permissions: ledger.permissions, ledger: { id: ledger.id, role: ledger.role } });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -333,26 +459,41 @@ app.put('/api/auth/profile', requireAuth, async (req, res) => {
     }
 });
 
+// Rules for the password forms; public, as the forms are shown before login completes
+app.get('/api/auth/password-policy', (req, res) => {
+    res.json({ min_length: passwordPolicy.minLength, min_classes: passwordPolicy.minClasses, rules: passwordPolicy.rules });
+});
+
+// Why a user may not switch to newPassword, or null
+async function newPasswordError(userId, newPassword) {
+    const result = await pool.query('SELECT username, email, password_hash FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+    const error = passwordPolicy.check(newPassword, user);
+    if (error) return error;
+    if (await bcrypt.compare(newPassword, user.password_hash)) return 'New password must be different from the current one';
+    return null;
+}
+
 app.put('/api/auth/password', requireAuth, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
-        
-        if (!newPassword || newPassword.length < 5) {
-            return res.status(400).json({ error: 'Password must be at least 5 characters' });
-        }
 
         const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.session.userId]);
-        const valid = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+        const valid = await bcrypt.compare(currentPassword || '', result.rows[0].password_hash);
         
         if (!valid) {
             return res.status(400).json({ error: 'Current password incorrect' });
         }
 
+        const error = await newPasswordError(req.session.userId, newPassword);
+        if (error) return res.status(400).json({ error });
+
         const hash = await bcrypt.hash(newPassword, 10);
         await pool.query(
             'UPDATE users SET password_hash = $1, must_change_password = FALSE WHERE id = $2',
             [hash, req.session.userId]
         );
+        await endSessions(pool, req.session.userId, req.sessionID);
         
         req.session.mustChangePassword = false;
         res.json({ success: true });
@@ -364,16 +505,16 @@ app.put('/api/auth/password', requireAuth, async (req, res) => {
 app.put('/api/auth/force-password-change', requireAuth, async (req, res) => {
     try {
         const { newPassword } = req.body;
-        
-        if (!newPassword || newPassword.length < 5) {
-            return res.status(400).json({ error: 'Password must be at least 5 characters' });
-        }
+
+        const error = await newPasswordError(req.session.userId, newPassword);
+        if (error) return res.status(400).json({ error });
 
         const hash = await bcrypt.hash(newPassword, 10);
         await pool.query(
             'UPDATE users SET password_hash = $1, must_change_password = FALSE WHERE id = $2',
             [hash, req.session.userId]
         );
+        await endSessions(pool, req.session.userId, req.sessionID);
 
         req.session.mustChangePassword = false;
         req.session.save((err) => {
@@ -386,212 +527,1448 @@ app.put('/api/auth/force-password-change', requireAuth, async (req, res) => {
     }
 });
 
-// ADMIN
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+// PASSWORD RESET
+// A user who forgot their password is mailed a single-use link to /reset-password. The response is the same
+// whether or not the account exists, so the form cannot be used to find out who has one.
+
+// Links point at APP_URL rather than the request's Host header, which the requester controls
+const appUrl = (req) => (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+app.post('/api/auth/forgot-password', async (req, res) => {
     try {
+        const { username } = req.body;
+        if (!username) return res.status(400).json({ error: 'Username or email required' });
+        if (mailer.disabled) {
+            return res.status(503).json({ error: 'Password reset by email is not available on this server. Ask an administrator to reset your password.' });
+        }
+
+        const ipWait = await loginThrottle.ipRetryAfter(req.ip);
+        if (ipWait) return tooManyAttempts(res, 429, 'Too many failed logins from this address.', ipWait);
+
         const result = await pool.query(
-            'SELECT id, username, email, full_name, phone, is_admin, must_change_password, created_at, last_login FROM users ORDER BY id'
+            'SELECT id, username, email, full_name FROM users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)',
+            [username]
         );
-        res.json(result.rows);
+        const user = result.rows[0];
+        const token = user && user.email ? await passwordResets.issue(user.id, req.ip) : null;
+        if (token) {
+            const link = `${appUrl(req)}/reset-password?token=${token}`;
+            await mailer.send({
+                to: user.email,
+                subject: 'Reset your ZEZEN password',
+                text: `Hello ${user.full_name || user.username},\n\n` +
+                    `Someone asked to reset the password of your ZEZEN account @${user.username}. ` +
+                    `Open this link within ${passwordResets.expiryMinutes} minutes to choose a new one:\n\n${link}\n\n` +
+                    'If it was not you, ignore this email and your password stays as it is.'
+            });
+        }
+        res.json({ success: true, message: 'If an account matches, a reset link has been sent to its email address.' });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.post('/api/admin/users', requireAdmin, async (req, res) => {
+// Lets the reset page say up front that a link is no longer valid
+app.get('/api/auth/reset-password/:token', async (req, res) => {
     try {
-        const { username, email, password, full_name, phone, address, is_admin } = req.body;
-        const hash = await bcrypt.hash(password || '12345', 10);
-        const result = await pool.query(
-            `INSERT INTO users (username, email, password_hash, full_name, phone, address, is_admin, must_change_password)
-             VALUES (LOWER($1), LOWER($2), $3, $4, $5, $6, $7, TRUE) RETURNING id`,
-            [username, email, hash, full_name, phone || '', address || '', is_admin || false]
-        );
-        res.json({ success: true, id: result.rows[0].id });
+        const user = await passwordResets.find(req.params.token);
+        if (!user) return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+        res.json({ username: user.username });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
+app.post('/api/auth/reset-password', async (req, res) => {
     try {
-        const { full_name, email, phone, address, is_admin } = req.body;
-        await pool.query(
-            'UPDATE users SET full_name = $1, email = LOWER($2), phone = $3, address = $4, is_admin = $5 WHERE id = $6',
-            [full_name, email, phone || '', address || '', is_admin || false, req.params.id]
-        );
+        const { token, newPassword } = req.body;
+        const user = token ? await passwordResets.find(token) : null;
+        if (!user) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+
+        const error = await newPasswordError(user.id, newPassword);
+        if (error) return res.status(400).json({ error });
+
+        const hash = await bcrypt.hash(newPassword, 10);
+        const reset = await withTransaction(pool, async (client) => {
+            if (!(await passwordResets.consume(token, client))) return false;
+            // Also lifts a lockout: the user has just proved they own the mailbox
+            await client.query(
+                'UPDATE users SET password_hash = $1, must_change_password = FALSE, failed_logins = 0, locked_until = NULL WHERE id = $2',
+                [hash, user.id]
+            );
+            await endSessions(client, user.id, req.sessionID);
+            return true;
+        });
+        if (!reset) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+
+        console.log('Password reset for user:', user.id);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/api/admin/users/:id/reset-password', requireAdmin, async (req, res) => {
+// SESSIONS
+// A user's logins on every device; ending one logs that device out on its next request
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
     try {
-        const hash = await bcrypt.hash('12345', 10);
-        await pool.query(
-            'UPDATE users SET password_hash = $1, must_change_password = TRUE WHERE id = $2',
-            [hash, req.params.id]
-        );
+        res.json(await listSessions(pool, req.session.userId, req.sessionID));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Log out everywhere else
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const ended = await endSessions(pool, req.session.userId, req.sessionID);
+        res.json({ success: true, ended });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/auth/sessions/:sid', requireAuth, async (req, res) => {
+    try {
+        if (!(await endSession(pool, req.session.userId, req.params.sid))) return res.status(404).json({ error: 'Session not found' });
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+// SHARED LEDGERS
+// A user works on one ledger at a time, their own unless they switch to one shared with them; the data
+// routes read and change that ledger's records (req.ledgerId) and the audit log names the session user
+
+app.get('/api/ledgers', requireAuth, async (req, res) => {
     try {
-        if (parseInt(req.params.id) === req.session.userId) {
-            return res.status(400).json({ error: 'Cannot delete yourself' });
-        }
-        await pool.query('DELETE FROM users WHERE id = $1', [req.params.id]);
+        const ledger = await ledgerAccess(req);
+        const ledgers = await accessibleLedgers(pool, req.session.userId);
+        res.json({ current: ledger.id, ledgers, roles: SHARE_ROLES });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/ledgers/current', requireAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.body.id);
+        if (!id || !(await ledgerRole(pool, req.session.userId, id))) return res.status(404).json({ error: 'Ledger not found' });
+        if (id === req.session.userId) delete req.session.ledgerId;
+        else req.session.ledgerId = id;
+        delete req.ledger;
+        const ledger = await ledgerAccess(req);
+        res.json({ success: true, ledger: { id: ledger.id, role: ledger.role }, permissions: ledger.permissions });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Gives up access to a ledger shared with the user
+app.delete('/api/ledgers/:id/access', requireAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!id || !(await leaveLedger(pool, req.session.userId, id))) return res.status(404).json({ error: 'Ledger not found' });
+        if (req.session.ledgerId === id) delete req.session.ledgerId;
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// CREDITORS
-app.get('/api/creditors', requireAuth, async (req, res) => {
+// Who the user's own ledger is shared with
+app.get('/api/ledgers/shares', requireAuth, requireOwnPermission('read'), async (req, res) => {
     try {
-        const creditors = await pool.query('SELECT * FROM creditors WHERE user_id = $1 ORDER BY full_name', [req.session.userId]);
-        const result = await Promise.all(creditors.rows.map(async (c) => {
-            const items = await pool.query('SELECT * FROM creditor_items WHERE creditor_id = $1 ORDER BY id', [c.id]);
-            const itemsList = items.rows.map(i => ({ ...i, amount: parseFloat(i.amount) || 0 }));
-            return { ...c, items: itemsList, total_amount: itemsList.reduce((s, i) => s + i.amount, 0), pending_amount: itemsList.filter(i => i.status === 'pending').reduce((s, i) => s + i.amount, 0) };
-        }));
-        res.json(result);
+        res.json(await listShares(pool, req.session.userId));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/creditors', requireAuth, async (req, res) => {
+// Shares the user's own ledger with an existing user, named by username or email
+app.post('/api/ledgers/shares', requireAuth, requireOwnPermission('write'), async (req, res) => {
     try {
-        const { full_name, contact, gender, language, items } = req.body;
-        const result = await pool.query('INSERT INTO creditors (user_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5) RETURNING id', [req.session.userId, full_name, contact || '', gender || 'male', language || 'english']);
-        const id = result.rows[0].id;
-        if (items?.length) for (const item of items) await pool.query('INSERT INTO creditor_items (creditor_id, reason, amount, date_incurred, due_date, status, notes) VALUES ($1, $2, $3, $4, $5, $6, $7)', [id, item.reason || '', item.amount || 0, item.date_incurred || null, item.due_date || null, item.status || 'pending', item.notes || '']);
+        const { username, role } = req.body;
+        if (shareRoleError(role)) return res.status(400).json({ error: shareRoleError(role) });
+        if (!mayShareAs(await userRole(req), role)) return res.status(403).json({ error: `Your role does not allow sharing as ${role}` });
+        const result = await pool.query('SELECT id FROM users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)', [(username || '').trim()]);
+        if (!result.rows.length) return res.status(404).json({ error: 'No user with that username or email' });
+        const userId = result.rows[0].id;
+        if (userId === req.session.userId) return res.status(400).json({ error: 'This ledger is already yours' });
+        const id = await shareLedger(pool, req.session.userId, userId, role, req.session.userId);
         res.json({ success: true, id });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/api/creditors/:id', requireAuth, async (req, res) => {
+app.put('/api/ledgers/shares/:id', requireAuth, requireOwnPermission('write'), async (req, res) => {
     try {
-        const { full_name, contact, gender, language, items } = req.body;
-        await pool.query('UPDATE creditors SET full_name = $1, contact = $2, gender = $3, language = $4 WHERE id = $5 AND user_id = $6', [full_name, contact || '', gender || 'male', language || 'english', req.params.id, req.session.userId]);
-        await pool.query('DELETE FROM creditor_items WHERE creditor_id = $1', [req.params.id]);
-        if (items?.length) for (const item of items) await pool.query('INSERT INTO creditor_items (creditor_id, reason, amount, date_incurred, due_date, status, notes) VALUES ($1, $2, $3, $4, $5, $6, $7)', [req.params.id, item.reason || '', item.amount || 0, item.date_incurred || null, item.due_date || null, item.status || 'pending', item.notes || '']);
+        if (!isId(req.params.id)) return res.status(404).json({ error: 'Share not found' });
+        if (shareRoleError(req.body.role)) return res.status(400).json({ error: shareRoleError(req.body.role) });
+        if (!mayShareAs(await userRole(req), req.body.role)) return res.status(403).json({ error: `Your role does not allow sharing as ${req.body.role}` });
+        if (!(await updateShare(pool, req.session.userId, req.params.id, req.body.role))) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/api/creditors/:id', requireAuth, async (req, res) => {
+// Takes the user's access away; they are back on their own ledger on their next request
+app.delete('/api/ledgers/shares/:id', requireAuth, requireOwnPermission('write'), async (req, res) => {
     try {
-        await pool.query('DELETE FROM creditor_items WHERE creditor_id = $1', [req.params.id]);
-        await pool.query('DELETE FROM creditors WHERE id = $1 AND user_id = $2', [req.params.id, req.session.userId]);
+        if (!isId(req.params.id) || !(await removeShare(pool, req.session.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// DEBTORS
-app.get('/api/debtors', requireAuth, async (req, res) => {
+// TWO-FACTOR AUTHENTICATION
+// Enrollment: /setup issues a secret kept in the session until /enable confirms a code generated from it
+
+const TOTP_ISSUER = 'ZEZEN';
+
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        res.json(await twoFactor.status(req.session.userId));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
     try {
-        const debtors = await pool.query('SELECT * FROM debtors WHERE user_id = $1 ORDER BY full_name', [req.session.userId]);
-        const result = await Promise.all(debtors.rows.map(async (d) => {
-            const items = await pool.query('SELECT * FROM debtor_items WHERE debtor_id = $1 ORDER BY id', [d.id]);
-            const itemsList = items.rows.map(i => ({ ...i, amount: parseFloat(i.amount) || 0 }));
-            return { ...d, items: itemsList, total_amount: itemsList.reduce((s, i) => s + i.amount, 0), pending_amount: itemsList.filter(i => i.status === 'pending').reduce((s, i) => s + i.amount, 0) };
-        }));
-        res.json(result);
+        if ((await twoFactor.status(req.session.userId)).enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        const secret = generateSecret();
+        const url = otpauthUrl(secret, req.session.username, TOTP_ISSUER);
+        req.session.totpSetup = secret;
+        res.json({ secret, otpauth_url: url, qr: await QRCode.toDataURL(url) });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/debtors', requireAuth, async (req, res) => {
+// Resolves the recovery codes, which are not shown again
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
     try {
-        const { full_name, contact, gender, language, items } = req.body;
-        const result = await pool.query('INSERT INTO debtors (user_id, full_name, contact, gender, language) VALUES ($1, $2, $3, $4, $5) RETURNING id', [req.session.userId, full_name, contact || '', gender || 'male', language || 'english']);
-        const id = result.rows[0].id;
-        if (items?.length) for (const item of items) await pool.query('INSERT INTO debtor_items (debtor_id, reason, amount, date_incurred, due_date, status, notes) VALUES ($1, $2, $3, $4, $5, $6, $7)', [id, item.reason || '', item.amount || 0, item.date_incurred || null, item.due_date || null, item.status || 'pending', item.notes || '']);
-        res.json({ success: true, id });
+        const secret = req.session.totpSetup;
+        if (!secret) return res.status(400).json({ error: 'Start the setup again' });
+        const step = verifyCode(secret, req.body.code);
+        if (step === null) return res.status(400).json({ error: 'Invalid code. Check the time on your phone and try again.' });
+        const recoveryCodes = await twoFactor.enable(req.session.userId, secret, step);
+        delete req.session.totpSetup;
+        res.json({ success: true, recovery_codes: recoveryCodes });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.put('/api/debtors/:id', requireAuth, async (req, res) => {
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
     try {
-        const { full_name, contact, gender, language, items } = req.body;
-        await pool.query('UPDATE debtors SET full_name = $1, contact = $2, gender = $3, language = $4 WHERE id = $5 AND user_id = $6', [full_name, contact || '', gender || 'male', language || 'english', req.params.id, req.session.userId]);
-        await pool.query('DELETE FROM debtor_items WHERE debtor_id = $1', [req.params.id]);
-        if (items?.length) for (const item of items) await pool.query('INSERT INTO debtor_items (debtor_id, reason, amount, date_incurred, due_date, status, notes) VALUES ($1, $2, $3, $4, $5, $6, $7)', [req.params.id, item.reason || '', item.amount || 0, item.date_incurred || null, item.due_date || null, item.status || 'pending', item.notes || '']);
+        const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.session.userId]);
+        if (!(await bcrypt.compare(req.body.password || '', result.rows[0].password_hash))) {
+            return res.status(400).json({ error: 'Password incorrect' });
+        }
+        if ((await twoFactor.status(req.session.userId)).required) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for admin accounts' });
+        }
+        await twoFactor.disable(req.session.userId);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/api/debtors/:id', requireAuth, async (req, res) => {
+// New recovery codes replace the old ones; needs a current authenticator code
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        if ((await twoFactor.verify(req.session.userId, req.body.code)) !== 'totp') {
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+        res.json({ recovery_codes: await twoFactor.regenerateRecoveryCodes(req.session.userId) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ADMIN
+app.get('/api/admin/settings', requireAdmin, async (req, res) => {
+    try {
+        res.json(await getSettings(pool));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/admin/settings', requireAdmin, async (req, res) => {
+    try {
+        if ('require_admin_2fa' in req.body) {
+            const required = !!req.body.require_admin_2fa;
+            // Otherwise the admin turning it on would be shut out of this panel straight away
+            if (required && !(await twoFactor.status(req.session.userId)).enabled) {
+                return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+            }
+            await setSetting(pool, 'require_admin_2fa', required, req.session.userId);
+        }
+        res.json(await getSettings(pool));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Roles for the user modal, with what each permission allows
+app.get('/api/admin/roles', requireAdmin, (req, res) => {
+    res.json({ roles: ROLES, permissions: PERMISSIONS });
+});
+
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, username, email, full_name, phone, role, must_change_password, created_at, last_login,
+                CASE WHEN locked_until > NOW() THEN locked_until END AS locked_until, totp_enabled_at IS NOT NULL AS two_factor_enabled,
+                (SELECT COUNT(*) FROM user_sessions s WHERE (s.sess->>'userId')::int = users.id AND s.expire > NOW())::int AS active_sessions
+             FROM users ORDER BY id`
+        );
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const { username, email, password, full_name, phone, address } = req.body;
+        const role = req.body.role || DEFAULT_ROLE;
+        if (roleError(role)) return res.status(400).json({ error: roleError(role) });
+        // Without a password the user gets a one-time password, returned only in this response
+        const error = password ? passwordPolicy.check(password, { username, email }) : null;
+        if (error) return res.status(400).json({ error });
+        const oneTimePassword = password ? null : passwordPolicy.generate();
+        const hash = await bcrypt.hash(password || oneTimePassword, 10);
+        const result = await pool.query(
+            `INSERT INTO users (username, email, password_hash, full_name, phone, address, role, must_change_password)
+             VALUES (LOWER($1), LOWER($2), $3, $4, $5, $6, $7, TRUE) RETURNING id`,
+            [username, email, hash, full_name, phone || '', address || '', role]
+        );
+        res.json({ success: true, id: result.rows[0].id, ...(oneTimePassword && { password: oneTimePassword }) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
     try {
-        await pool.query('DELETE FROM debtor_items WHERE debtor_id = $1', [req.params.id]);
-        await pool.query('DELETE FROM debtors WHERE id = $1 AND user_id = $2', [req.params.id, req.session.userId]);
+        const { full_name, email, phone, address, role } = req.body;
+        if (roleError(role)) return res.status(400).json({ error: roleError(role) });
+        // An admin could otherwise take away their own access to this panel
+        if (parseInt(req.params.id) === req.session.userId && role !== req.role) {
+            return res.status(400).json({ error: 'Cannot change your own role' });
+        }
+        await pool.query(
+            'UPDATE users SET full_name = $1, email = LOWER($2), phone = $3, address = $4, role = $5 WHERE id = $6',
+            [full_name, email, phone || '', address || '', role, req.params.id]
+        );
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// PAYMENTS
-app.get('/api/payments', requireAuth, async (req, res) => {
+// Issues a one-time password, returned only in this response, and lifts any lockout
+app.put('/api/admin/users/:id/reset-password', requireAdmin, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM payments WHERE user_id = $1 ORDER BY payment_date DESC', [req.session.userId]);
-        res.json(result.rows.map(r => ({ ...r, amount: parseFloat(r.amount) || 0 })));
+        const password = passwordPolicy.generate();
+        const hash = await bcrypt.hash(password, 10);
+        const result = await pool.query(
+            'UPDATE users SET password_hash = $1, must_change_password = TRUE, failed_logins = 0, locked_until = NULL WHERE id = $2',
+            [hash, req.params.id]
+        );
+        if (!result.rowCount) return res.status(404).json({ error: 'User not found' });
+        // The old password may be why it was reset; whoever is logged in with it is logged out
+        await endSessions(pool, req.params.id, req.sessionID);
+        res.json({ success: true, password });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/payments', requireAuth, async (req, res) => {
+// Force-logout: ends every session of the user, other than the admin's own
+app.delete('/api/admin/users/:id/sessions', requireAdmin, async (req, res) => {
     try {
-        const { type, amount, payment_date, payment_method, reference, notes } = req.body;
-        const result = await pool.query('INSERT INTO payments (user_id, type, amount, payment_date, payment_method, reference, notes) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id', [req.session.userId, type, amount, payment_date || new Date(), payment_method || '', reference || '', notes || '']);
-        res.json({ success: true, id: result.rows[0].id });
+        const ended = await endSessions(pool, req.params.id, req.sessionID);
+        res.json({ success: true, ended });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/api/payments/:id', requireAuth, async (req, res) => {
+// For a user who lost their authenticator and recovery codes; they can enroll again after logging in
+app.delete('/api/admin/users/:id/2fa', requireAdmin, async (req, res) => {
     try {
-        await pool.query('DELETE FROM payments WHERE id = $1 AND user_id = $2', [req.params.id, req.session.userId]);
+        await twoFactor.disable(req.params.id);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// STATS
-app.get('/api/dashboard/stats', requireAuth, async (req, res) => {
+app.put('/api/admin/users/:id/unlock', requireAdmin, async (req, res) => {
     try {
-        const ct = await pool.query(`SELECT COALESCE(SUM(ci.amount), 0) as total FROM creditor_items ci JOIN creditors c ON ci.creditor_id = c.id WHERE c.user_id = $1 AND ci.status = 'pending'`, [req.session.userId]);
-        const dt = await pool.query(`SELECT COALESCE(SUM(di.amount), 0) as total FROM debtor_items di JOIN debtors d ON di.debtor_id = d.id WHERE d.user_id = $1 AND di.status = 'pending'`, [req.session.userId]);
-        const cc = await pool.query('SELECT COUNT(*) FROM creditors WHERE user_id = $1', [req.session.userId]);
-        const dc = await pool.query('SELECT COUNT(*) FROM debtors WHERE user_id = $1', [req.session.userId]);
-        res.json({
-            total_owed_to_creditors: parseFloat(ct.rows[0].total) || 0,
-            total_owed_by_debtors: parseFloat(dt.rows[0].total) || 0,
-            net_position: (parseFloat(dt.rows[0].total) || 0) - (parseFloat(ct.rows[0].total) || 0),
-            creditor_count: parseInt(cc.rows[0].count) || 0,
-            debtor_count: parseInt(dc.rows[0].count) || 0
-        });
+        await loginThrottle.clear(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+    try {
+        if (parseInt(req.params.id) === req.session.userId) {
+            return res.status(400).json({ error: 'Cannot delete yourself' });
+        }
+        await pool.query('DELETE FROM users WHERE id = $1', [req.params.id]);
+        await endSessions(pool, req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Audit search across all users: ?q, ?user (id of who made the change), ?ledger (id of the owner of the
+// books it was made in), ?entity, ?action, ?from, ?to, ?page and ?limit
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+    try {
+        const { error, options } = parseListQuery({ limit: 50, ...req.query }, { sorts: ['created'], statuses: [], defaultSort: '-created' });
+        if (error) return res.status(400).json({ error });
+        const { entity, action, user, ledger } = req.query;
+        if (entity && !AUDIT_ENTITIES.includes(entity)) {
+            return res.status(400).json({ error: `entity must be one of: ${AUDIT_ENTITIES.join(', ')}` });
+        }
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        const { rows, total } = await searchAudit(pool, {
+            ...options, entityType: entity || null, action: action || null, userId: parseInt(user) || null, ledgerId: parseInt(ledger) || null
+        });
+        res.set('X-Total-Count', total).json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// CURRENCIES
+const BASE_CURRENCY = normalizeCurrency(process.env.BASE_CURRENCY);
+
+// Totals and reports are converted to ?base= when given, otherwise to BASE_CURRENCY, at the rates in effect
+// on asOf (YYYY-MM-DD, today when omitted)
+function converterFor(req, asOf = null) {
+    return createConverter(pool, normalizeCurrency(req.query.base || BASE_CURRENCY), asOf);
+}
+
+// Refuses a ?base= that has no exchange rate in effect, for the routes below that convert to it
+app.use('/api', async (req, res, next) => {
+    try {
+        if (!req.query.base) return next();
+        const known = await listCurrencies(pool);
+        const base = normalizeCurrency(req.query.base);
+        if (known.includes(base)) return next();
+        res.status(400).json({ error: `Unknown base currency ${base}; use one of: ${known.join(', ')}` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Returns the first currency that has no exchange rate in effect, or null when all can be converted
+async function unknownCurrency(currencies) {
+    const known = await listCurrencies(pool);
+    return currencies.map(normalizeCurrency).find(c => !known.includes(c)) || null;
+}
+
+async function currencyInUse(currency) {
+    const result = await pool.query(`
+        SELECT EXISTS (SELECT 1 FROM creditor_items WHERE currency = $1)
+            OR EXISTS (SELECT 1 FROM debtor_items WHERE currency = $1)
+            OR EXISTS (SELECT 1 FROM payments WHERE currency = $1) AS used`, [currency]);
+    return result.rows[0].used;
+}
+
+app.get('/api/currencies', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        res.json({ base: BASE_CURRENCY, currencies: await listCurrencies(pool) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/admin/exchange-rates', requireAdmin, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM exchange_rates ORDER BY currency, effective_date DESC');
+        res.json(result.rows.map(r => ({ ...r, rate: parseFloat(r.rate) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/exchange-rates', requireAdmin, async (req, res) => {
+    try {
+        const currency = normalizeCurrency(req.body.currency);
+        const rate = parseFloat(req.body.rate);
+        if (!/^[A-Z]{3}$/.test(currency) || currency === REFERENCE_CURRENCY) {
+            return res.status(400).json({ error: `Currency must be a three-letter code other than ${REFERENCE_CURRENCY}` });
+        }
+        if (!(rate > 0)) {
+            return res.status(400).json({ error: 'Rate must be greater than zero' });
+        }
+        const id = await withTransaction(pool, async (client) => {
+            const result = await client.query(
+                'INSERT INTO exchange_rates (currency, rate, effective_date, updated_by) VALUES ($1, $2, $3, $4) RETURNING *',
+                [currency, rate, req.body.effective_date || new Date(), req.session.userId]
+            );
+            await recordAudit(client, { userId: req.session.userId, entityType: 'exchange_rate', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+            return result.rows[0].id;
+        });
+        res.json({ success: true, id });
+    } catch (err) {
+        if (err.code === '23505') return res.status(400).json({ error: 'A rate for this currency and date already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/admin/exchange-rates/:id', requireAdmin, async (req, res) => {
+    try {
+        const rate = parseFloat(req.body.rate);
+        if (!(rate > 0)) {
+            return res.status(400).json({ error: 'Rate must be greater than zero' });
+        }
+        const found = await withTransaction(pool, async (client) => {
+            const before = await client.query('SELECT * FROM exchange_rates WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (before.rows.length === 0) return false;
+            const result = await client.query('UPDATE exchange_rates SET rate = $1, updated_by = $2 WHERE id = $3 RETURNING *', [rate, req.session.userId, req.params.id]);
+            await recordAudit(client, { userId: req.session.userId, entityType: 'exchange_rate', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+            return true;
+        });
+        if (!found) return res.status(404).json({ error: 'Rate not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A currency that amounts are recorded in must keep at least one rate in effect
+app.delete('/api/admin/exchange-rates/:id', requireAdmin, async (req, res) => {
+    try {
+        const rate = await pool.query('SELECT * FROM exchange_rates WHERE id = $1', [req.params.id]);
+        if (rate.rows.length === 0) return res.status(404).json({ error: 'Rate not found' });
+        const { currency } = rate.rows[0];
+        const others = await pool.query('SELECT COUNT(*) FROM exchange_rates WHERE currency = $1 AND id <> $2 AND effective_date <= CURRENT_DATE', [currency, req.params.id]);
+        if (parseInt(others.rows[0].count) === 0 && await currencyInUse(currency)) {
+            return res.status(400).json({ error: `${currency} is in use and this is its only rate in effect` });
+        }
+        await withTransaction(pool, async (client) => {
+            await client.query('DELETE FROM exchange_rates WHERE id = $1', [req.params.id]);
+            await recordAudit(client, { userId: req.session.userId, entityType: 'exchange_rate', entityId: rate.rows[0].id, action: 'delete', before: rate.rows[0] });
+        });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// STATEMENT TEMPLATES
+const TEMPLATE_FIELDS = ['counterparty_type', 'template_type', 'language', 'name', 'heading', 'body', 'signatures'];
+
+function templateError(t) {
+    if (!COUNTERPARTIES[t.counterparty_type]) return `counterparty_type must be one of: ${Object.keys(COUNTERPARTIES).join(', ')}`;
+    if (!/^[a-z_]+$/.test(t.template_type || '')) return 'template_type must be lowercase letters and underscores';
+    if (!['english', 'french'].includes(t.language)) return 'language must be english or french';
+    if (!t.name || !t.body) return 'name and body are required';
+    return null;
+}
+
+// Prefers the counterparty's language, then english, then whatever version of the template exists
+async function findTemplate(kind, templateType, language) {
+    const result = await pool.query(
+        `SELECT * FROM statement_templates WHERE counterparty_type = $1 AND template_type = $2
+         ORDER BY (language = $3) DESC, (language = 'english') DESC LIMIT 1`,
+        [kind, templateType, language || 'english']
+    );
+    return result.rows[0] || null;
+}
+
+async function ownerName(userId) {
+    const result = await pool.query('SELECT full_name FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.full_name;
+}
+
+// Template choices for the statement dropdown, e.g. ?type=debtor
+app.get('/api/statement-templates', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT DISTINCT ON (template_type) template_type, name FROM statement_templates
+             WHERE counterparty_type = $1 ORDER BY template_type, (language = 'english') DESC`,
+            [req.query.type]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/admin/statement-templates', requireAdmin, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM statement_templates ORDER BY counterparty_type, template_type, language');
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/statement-templates', requireAdmin, async (req, res) => {
+    try {
+        const error = templateError(req.body);
+        if (error) return res.status(400).json({ error });
+        const id = await withTransaction(pool, async (client) => {
+            const result = await client.query(
+                `INSERT INTO statement_templates (${TEMPLATE_FIELDS.join(', ')}, updated_by) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+                [...TEMPLATE_FIELDS.map(f => req.body[f] || ''), req.session.userId]
+            );
+            await recordAudit(client, { userId: req.session.userId, entityType: 'statement_template', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+            return result.rows[0].id;
+        });
+        res.json({ success: true, id });
+    } catch (err) {
+        if (err.code === '23505') return res.status(400).json({ error: 'A template with this type and language already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/admin/statement-templates/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!isId(req.params.id)) return res.status(404).json({ error: 'Template not found' });
+        const error = templateError(req.body);
+        if (error) return res.status(400).json({ error });
+        const found = await withTransaction(pool, async (client) => {
+            const before = await client.query('SELECT * FROM statement_templates WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (before.rows.length === 0) return false;
+            const result = await client.query(
+                `UPDATE statement_templates SET ${TEMPLATE_FIELDS.map((f, idx) => `${f} = $${idx + 1}`).join(', ')}, updated_by = $8, updated_at = CURRENT_TIMESTAMP WHERE id = $9 RETURNING *`,
+                [...TEMPLATE_FIELDS.map(f => req.body[f] || ''), req.session.userId, req.params.id]
+            );
+            await recordAudit(client, { userId: req.session.userId, entityType: 'statement_template', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+            return true;
+        });
+        if (!found) return res.status(404).json({ error: 'Template not found' });
+        res.json({ success: true });
+    } catch (err) {
+        if (err.code === '23505') return res.status(400).json({ error: 'A template with this type and language already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/admin/statement-templates/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!isId(req.params.id)) return res.status(404).json({ error: 'Template not found' });
+        const found = await withTransaction(pool, async (client) => {
+            const result = await client.query('DELETE FROM statement_templates WHERE id = $1 RETURNING *', [req.params.id]);
+            if (result.rowCount === 0) return false;
+            await recordAudit(client, { userId: req.session.userId, entityType: 'statement_template', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+            return true;
+        });
+        if (!found) return res.status(404).json({ error: 'Template not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// CREDITORS & DEBTORS
+// Both resources share one repository and one set of routes: /api/creditors and /api/debtors
+
+// Items must be in a currency that can be converted, and any repayment plan sent with them well formed
+async function itemsError(items) {
+    const currency = await unknownCurrency(items.map(i => i.currency));
+    if (currency) return `No exchange rate for ${currency}`;
+    return items.map(i => i.plan && planError(i.plan)).find(Boolean) || null;
+}
+
+// ?from and ?to of a ledger, both optional; returns { error } or { range }
+function ledgerRange(query) {
+    const range = { from: query.from || null, to: query.to || null };
+    if ([range.from, range.to].some(d => d && (!/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d))))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (range.from && range.to && range.from > range.to) return { error: 'from must not be after to' };
+    return { range };
+}
+
+// Statements list the items by default; ?layout=ledger puts the ledger for ?from and ?to in their place
+async function statementOptions(repo, req) {
+    if ((req.query.layout || 'items') === 'items') return {};
+    if (req.query.layout !== 'ledger') return { error: 'layout must be items or ledger' };
+    const { error, range } = ledgerRange(req.query);
+    if (error) return { error };
+    return { ledger: await loadLedger(repo, req.ledgerId, req.params.id, await converterFor(req, range.to), range) };
+}
+
+const REPOSITORIES = {};
+
+for (const [kind, target] of Object.entries(COUNTERPARTIES)) {
+    const repo = createCounterpartyRepository(pool, target);
+    const base = `/api/${target.parentTable}`;
+    const notFound = { error: `${target.label} not found` };
+    const requireOwner = requireOwned(target.parentTable, target.label);
+    REPOSITORIES[kind] = repo;
+
+    // Filtered, sorted and paged as described in lib/listing.js
+    app.get(base, requireAuth, requirePermission('read'), async (req, res) => {
+        try {
+            const { error, options } = parseListQuery(req.query, { sorts: COUNTERPARTY_SORTS, statuses: COUNTERPARTY_STATUSES, defaultSort: 'name' });
+            if (error) return res.status(400).json({ error });
+            const { rows, total } = await repo.search(req.ledgerId, await converterFor(req), options);
+            res.set('X-Total-Count', total).json(rows);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // With contact_id, the new creditor or debtor is added to that contact
+    app.post(base, requireAuth, requirePermission('write'), async (req, res) => {
+        try {
+            const error = await itemsError(req.body.items || []) || (req.body.contact_id && await contactError(pool, req.ledgerId, kind, req.body.contact_id));
+            if (error) return res.status(400).json({ error });
+            const id = await repo.create(req.ledgerId, req.body, req.session.userId);
+            res.json({ success: true, id });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // With contact_id, the creditor or debtor moves to that contact
+    app.put(`${base}/:id`, requireAuth, requirePermission('write'), requireOwner, async (req, res) => {
+        try {
+            if ('items' in req.body && !Array.isArray(req.body.items)) return res.status(400).json({ error: 'items must be an array' });
+            const error = await itemsError(req.body.items || []) || (req.body.contact_id && await contactError(pool, req.ledgerId, kind, req.body.contact_id, req.params.id));
+            if (error) return res.status(400).json({ error });
+            // Leaving items out deletes them, which needs the delete permission
+            const canDelete = req.ledger.permissions.includes('delete');
+            if (!canDelete && (await repo.omittedItems(req.ledgerId, req.params.id, req.body.items)).length) {
+                return res.status(403).json({ error: `Your role does not allow this: ${PERMISSIONS.delete.toLowerCase()}`, permission: 'delete' });
+            }
+            if (!(await repo.update(req.ledgerId, req.params.id, req.body, req.session.userId, canDelete))) {
+                return res.status(404).json(notFound);
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.delete(`${base}/:id`, requireAuth, requirePermission('delete'), requireOwner, async (req, res) => {
+        try {
+            if (!(await repo.remove(req.ledgerId, req.params.id, req.session.userId))) {
+                return res.status(404).json(notFound);
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Principal, interest and penalties still due as of ?as_of=YYYY-MM-DD (default today)
+    app.get(`${base}/:id/balance`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            const asOf = req.query.as_of || new Date().toISOString().split('T')[0];
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(asOf))) {
+                return res.status(400).json({ error: 'as_of must be a date in YYYY-MM-DD format' });
+            }
+            const counterparty = await repo.get(req.ledgerId, req.params.id, await converterFor(req, asOf), asOf);
+            res.json({
+                as_of: asOf,
+                currency: counterparty.currency,
+                principal: counterparty.total_amount,
+                interest: counterparty.interest_amount,
+                penalties: counterparty.penalty_amount,
+                paid: counterparty.paid_amount,
+                balance: counterparty.pending_amount,
+                balances: counterparty.balances,
+                items: counterparty.items.map(i => ({
+                    id: i.id, reason: i.reason, currency: i.currency, amount: i.amount, paid_amount: i.paid_amount,
+                    principal_due: i.principal_due, interest_due: i.interest_due, penalties_due: i.penalties_due, balance_due: i.balance_due
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Items and payments in date order with a running balance per currency, for ?from and ?to (YYYY-MM-DD,
+    // default from the first entry to today); earlier entries make up the opening balance
+    app.get(`${base}/:id/ledger`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            const { error, range } = ledgerRange(req.query);
+            if (error) return res.status(400).json({ error });
+            res.json(await loadLedger(repo, req.ledgerId, req.params.id, await converterFor(req, range.to), range));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // JSON layout of a letter, used by the dashboard preview
+    app.get(`${base}/:id/statement`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            const counterparty = await repo.get(req.ledgerId, req.params.id, await converterFor(req));
+            const template = await findTemplate(kind, req.query.template || 'statement', counterparty.language);
+            if (!template) return res.status(400).json({ error: 'Unknown template' });
+            const { error, ...options } = await statementOptions(repo, req);
+            if (error) return res.status(400).json({ error });
+            res.json(buildLetter(template, counterparty, await ownerName(req.ledgerId), new Date(), options));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.get(`${base}/:id/statement.pdf`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            const counterparty = await repo.get(req.ledgerId, req.params.id, await converterFor(req));
+            const template = await findTemplate(kind, req.query.template || 'statement', counterparty.language);
+            if (!template) return res.status(400).json({ error: 'Unknown template' });
+            const { error, ...options } = await statementOptions(repo, req);
+            if (error) return res.status(400).json({ error });
+            const pdf = await renderLetterPdf(buildLetter(template, counterparty, await ownerName(req.ledgerId), new Date(), options));
+            const filename = `${template.template_type}-${counterparty.full_name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.pdf`;
+            await pool.query(
+                'INSERT INTO letters (user_id, counterparty_type, counterparty_id, template, language, filename, pdf) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [req.ledgerId, kind, counterparty.id, template.template_type, template.language, filename, pdf]
+            );
+            res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+            res.send(pdf);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.get(`${base}/:id/letters`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            const result = await pool.query(
+                'SELECT id, template, language, filename, created_at FROM letters WHERE user_id = $1 AND counterparty_type = $2 AND counterparty_id = $3 ORDER BY created_at DESC',
+                [req.ledgerId, kind, req.params.id]
+            );
+            res.json(result.rows);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Changes to the counterparty, its items and its payments, newest first
+    app.get(`${base}/:id/history`, requireAuth, requirePermission('read'), requireOwner, async (req, res) => {
+        try {
+            res.json(await recordHistory(pool, kind, parseInt(req.params.id)));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.post(`${base}/:id/items`, requireAuth, requirePermission('write'), requireOwner, async (req, res) => {
+        try {
+            const error = await itemsError([req.body]);
+            if (error) return res.status(400).json({ error });
+            const id = await repo.addItem(req.ledgerId, req.params.id, req.body, req.session.userId);
+            if (id === null) {
+                return res.status(404).json(notFound);
+            }
+            res.json({ success: true, id });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.patch(`${base}/:id/items/:itemId`, requireAuth, requirePermission('write'), requireOwner, requireItemId, async (req, res) => {
+        try {
+            if (!Object.keys(ITEM_FIELDS).some(f => f in req.body)) {
+                return res.status(400).json({ error: 'No item fields to update' });
+            }
+            const currency = 'currency' in req.body && await unknownCurrency([req.body.currency]);
+            if (currency) return res.status(400).json({ error: `No exchange rate for ${currency}` });
+            if (!(await repo.updateItem(req.ledgerId, req.params.id, req.params.itemId, req.body, req.session.userId))) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.get(`${base}/:id/items/:itemId/plan`, requireAuth, requirePermission('read'), requireOwner, requireItemId, async (req, res) => {
+        try {
+            const counterparty = await repo.get(req.ledgerId, req.params.id, await converterFor(req));
+            const item = counterparty.items.find(i => i.id === parseInt(req.params.itemId));
+            if (!item || !item.plan) return res.status(404).json({ error: 'Plan not found' });
+            res.json(item.plan);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.put(`${base}/:id/items/:itemId/plan`, requireAuth, requirePermission('write'), requireOwner, requireItemId, async (req, res) => {
+        try {
+            const error = planError(req.body);
+            if (error) return res.status(400).json({ error });
+            if (!(await repo.setPlan(req.ledgerId, req.params.id, req.params.itemId, req.body, req.session.userId))) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.delete(`${base}/:id/items/:itemId/plan`, requireAuth, requirePermission('write'), requireOwner, requireItemId, async (req, res) => {
+        try {
+            if (!(await repo.setPlan(req.ledgerId, req.params.id, req.params.itemId, null, req.session.userId))) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.delete(`${base}/:id/items/:itemId`, requireAuth, requirePermission('delete'), requireOwner, requireItemId, async (req, res) => {
+        try {
+            if (!(await repo.removeItem(req.ledgerId, req.params.id, req.params.itemId, req.session.userId))) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+}
+
+// PAYMENTS
+const PAYMENT_SORTS = { date: 'payment_date', amount: 'amount', name: 'counterparty_name', created: 'created_at' };
+// Whether a payment's amount has been allocated to specific items
+const PAYMENT_STATUSES = ['allocated', 'partial', 'unallocated'];
+
+// options come from parseListQuery in lib/listing.js, plus type ('paid' or 'received') and contactId. The page and the
+// count of all matching payments come back from the same query; resolves { rows, total }. Payments in the
+// trash or of a counterparty in the trash are left out, and so are allocations to items in the trash.
+async function loadPayments(userId, options = {}) {
+    const { q = '', status = '', type = null, contactId = null, from = null, to = null, sort = 'date', desc = true, limit = null, page = 1 } = options;
+    const order = `${PAYMENT_SORTS[sort]} ${desc ? 'DESC' : 'ASC'}, id DESC`;
+    const result = await pool.query(`
+        WITH live_allocations AS (
+            SELECT pa.* FROM payment_allocations pa JOIN payments p ON p.id = pa.payment_id
+            LEFT JOIN creditor_items ci ON p.type = 'paid' AND ci.id = pa.item_id
+            LEFT JOIN debtor_items di ON p.type = 'received' AND di.id = pa.item_id
+            WHERE p.user_id = $1 AND ci.deleted_at IS NULL AND di.deleted_at IS NULL
+        ),
+        matched AS (
+            SELECT * FROM (
+                SELECT p.*, COALESCE(c.full_name, d.full_name) AS counterparty_name, COALESCE(c.contact_id, d.contact_id) AS contact_id,
+                    COALESCE((SELECT json_agg(json_build_object('item_id', pa.item_id, 'amount', pa.amount) ORDER BY pa.id) FROM live_allocations pa WHERE pa.payment_id = p.id), '[]') AS allocations,
+                    COALESCE((SELECT SUM(pa.amount) FROM live_allocations pa WHERE pa.payment_id = p.id), 0) AS allocated_amount
+                FROM payments p
+                LEFT JOIN creditors c ON p.type = 'paid' AND c.id = p.related_id
+                LEFT JOIN debtors d ON p.type = 'received' AND d.id = p.related_id
+                WHERE p.user_id = $1 AND p.deleted_at IS NULL AND c.deleted_at IS NULL AND d.deleted_at IS NULL
+            ) p
+            WHERE ($2::text IS NULL OR p.type = $2)
+                AND ($3::text IS NULL OR p.counterparty_name ILIKE $3 OR p.reference ILIKE $3 OR p.notes ILIKE $3 OR p.payment_method ILIKE $3)
+                AND ($4::date IS NULL OR p.payment_date >= $4) AND ($5::date IS NULL OR p.payment_date <= $5)
+                AND ($6::text IS NULL OR $6 = CASE WHEN p.allocated_amount <= 0 THEN 'unallocated' WHEN p.allocated_amount < p.amount THEN 'partial' ELSE 'allocated' END)
+                AND ($9::int IS NULL OR p.contact_id = $9)
+        )
+        SELECT (SELECT COUNT(*) FROM matched) AS total,
+            COALESCE((
+                SELECT json_agg(m ORDER BY ${order}) FROM (
+                    SELECT * FROM matched ORDER BY ${order} LIMIT $7 OFFSET $8
+                ) m
+            ), '[]') AS rows`,
+        [userId, type, searchPattern(q), from, to, status || null, limit, limit ? (page - 1) * limit : 0, contactId]);
+    const { total, rows } = result.rows[0];
+    return {
+        total: parseInt(total),
+        rows: rows.map(({ allocated_amount, ...r }) => ({ ...r, amount: parseFloat(r.amount) || 0, allocations: r.allocations.map(a => ({ ...a, amount: parseFloat(a.amount) || 0 })) }))
+    };
+}
+
+// Filtered, sorted and paged as described in lib/listing.js, with ?type=paid|received and ?contact= (id)
+app.get('/api/payments', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const { error, options } = parseListQuery(req.query, { sorts: Object.keys(PAYMENT_SORTS), statuses: PAYMENT_STATUSES, defaultSort: '-date' });
+        if (error) return res.status(400).json({ error });
+        if (req.query.type && !['paid', 'received'].includes(req.query.type)) {
+            return res.status(400).json({ error: 'type must be paid or received' });
+        }
+        const { rows, total } = await loadPayments(req.ledgerId, { ...options, type: req.query.type || null, contactId: parseInt(req.query.contact) || null });
+        res.set('X-Total-Count', total).json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/payments', requireAuth, requirePermission('record_payments'), async (req, res) => {
+    try {
+        const { type, related_id, amount, payment_date, payment_method, reference, notes, allocations } = req.body;
+        const currency = normalizeCurrency(req.body.currency);
+        const repo = Object.values(REPOSITORIES).find(r => r.target.paymentType === type);
+        if (!repo) {
+            return res.status(400).json({ error: 'Payment type must be paid or received' });
+        }
+
+        const total = parseFloat(amount);
+        if (!(total > 0)) {
+            return res.status(400).json({ error: 'Amount must be greater than zero' });
+        }
+        if (await unknownCurrency([currency])) {
+            return res.status(400).json({ error: `No exchange rate for ${currency}` });
+        }
+        const { label } = repo.target;
+        if (!related_id) {
+            return res.status(400).json({ error: `${label} is required` });
+        }
+        if (!isId(related_id)) {
+            return res.status(400).json({ error: 'related_id must be a positive whole number' });
+        }
+        if (allocations !== undefined && !(Array.isArray(allocations) && allocations.every(a => a && isId(a.item_id)))) {
+            return res.status(400).json({ error: 'allocations must be a list of { item_id, amount } with item_id a positive whole number' });
+        }
+        if (!(await repo.exists(req.ledgerId, related_id))) {
+            return res.status(404).json({ error: `${label} not found` });
+        }
+
+        const splits = (allocations || []).map(a => ({ item_id: parseInt(a.item_id), amount: parseFloat(a.amount) || 0 })).filter(a => a.amount > 0);
+        if (splits.reduce((s, a) => s + a.amount, 0) > total) {
+            return res.status(400).json({ error: 'Allocated amounts exceed the payment amount' });
+        }
+
+        if (splits.length) {
+            const items = await repo.itemBalances(related_id, splits.map(a => a.item_id));
+            const byId = new Map(items.map(i => [i.id, i]));
+            for (const split of splits) {
+                const item = byId.get(split.item_id);
+                if (!item) {
+                    return res.status(400).json({ error: `Item ${split.item_id} does not belong to this ${label.toLowerCase()}` });
+                }
+                if (item.currency !== currency) {
+                    return res.status(400).json({ error: `Item ${split.item_id} is in ${item.currency}, not ${currency}` });
+                }
+                if (split.amount > item.balance_due) {
+                    return res.status(400).json({ error: `Allocation exceeds the outstanding amount of item ${split.item_id}` });
+                }
+            }
+        }
+
+        const id = await withTransaction(pool, async (client) => {
+            const result = await client.query('INSERT INTO payments (user_id, type, related_id, amount, currency, payment_date, payment_method, reference, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id', [req.ledgerId, type, related_id, total, currency, payment_date || new Date(), payment_method || '', reference || '', notes || '']);
+            const paymentId = result.rows[0].id;
+            for (const split of splits) await client.query('INSERT INTO payment_allocations (payment_id, item_id, amount) VALUES ($1, $2, $3)', [paymentId, split.item_id, split.amount]);
+            await recordAudit(client, { userId: req.session.userId, entityType: 'payment', entityId: paymentId, parentType: repo.kind, parentId: related_id, action: 'create', after: await snapshotPayment(client, paymentId) });
+            return paymentId;
+        });
+        res.json({ success: true, id });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Moves the payment to the trash
+app.delete('/api/payments/:id', requireAuth, requirePermission('delete'), requireOwned('payments', 'Payment'), async (req, res) => {
+    try {
+        await withTransaction(pool, async (client) => {
+            const before = await snapshotPayment(client, req.params.id);
+            await client.query('UPDATE payments SET deleted_at = NOW() WHERE id = $1 AND user_id = $2', [req.params.id, req.ledgerId]);
+            const repo = Object.values(REPOSITORIES).find(r => r.target.paymentType === before.type);
+            await recordAudit(client, { userId: req.session.userId, entityType: 'payment', entityId: before.id, parentType: repo.kind, parentId: before.related_id, action: 'delete', before });
+        });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/payments/:id/history', requireAuth, requirePermission('read'), requireOwned('payments', 'Payment'), async (req, res) => {
+    try {
+        res.json(await recordHistory(pool, 'payment', parseInt(req.params.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// CONTACTS
+const contactRepository = createContactRepository(pool, REPOSITORIES);
+
+// Net position per contact, filtered, sorted and paged as described in lib/listing.js
+app.get('/api/contacts', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const { error, options } = parseListQuery(req.query, { sorts: CONTACT_SORTS, statuses: [], defaultSort: 'name' });
+        if (error) return res.status(400).json({ error });
+        const { rows, total } = await contactRepository.search(req.ledgerId, await converterFor(req), options);
+        res.set('X-Total-Count', total).json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Contacts named like ?name that could take a new ?kind (creditor or debtor), offered in its form so the
+// user decides whether it is the same person
+app.get('/api/contacts/matches', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const { kind, name } = req.query;
+        if (!COUNTERPARTIES[kind]) return res.status(400).json({ error: `kind must be one of: ${Object.keys(COUNTERPARTIES).join(', ')}` });
+        if (!name || !name.trim()) return res.json([]);
+        res.json(await contactRepository.matches(req.ledgerId, kind, name));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Both sides of a contact with their items, its payments either way, and the net amount
+app.get('/api/contacts/:id', requireAuth, requirePermission('read'), requireOwned('contacts', 'Contact'), async (req, res) => {
+    try {
+        const contact = await contactRepository.get(req.ledgerId, req.params.id, await converterFor(req));
+        if (!contact) return res.status(404).json({ error: 'Contact not found' });
+        const { rows } = await loadPayments(req.ledgerId, { contactId: contact.id });
+        res.json({ ...contact, payments: rows });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// LETTERS
+app.get('/api/letters/:id.pdf', requireAuth, requirePermission('read'), requireOwned('letters', 'Letter'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT filename, pdf FROM letters WHERE id = $1', [req.params.id]);
+        res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${result.rows[0].filename}"` });
+        res.send(result.rows[0].pdf);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// STATS
+app.get('/api/dashboard/stats', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        // Outstanding per counterparty is its items total less the payments linked to it, floored at zero per currency
+        const toBase = await converterFor(req);
+        const [creditors, debtors] = await Promise.all([REPOSITORIES.creditor.list(req.ledgerId, toBase), REPOSITORIES.debtor.list(req.ledgerId, toBase)]);
+        const pending = (list) => list.reduce((s, c) => s + c.pending_amount, 0);
+        res.json({
+            currency: toBase.base,
+            total_owed_to_creditors: pending(creditors),
+            total_owed_by_debtors: pending(debtors),
+            net_position: pending(debtors) - pending(creditors),
+            creditor_count: creditors.length,
+            debtor_count: debtors.length
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// REPORTS
+app.get('/api/reports/aging', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const toBase = await converterFor(req);
+        const [creditors, debtors] = await Promise.all([REPOSITORIES.creditor.list(req.ledgerId, toBase), REPOSITORIES.debtor.list(req.ledgerId, toBase)]);
+        res.json({
+            currency: toBase.base,
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            payable: agingReport(creditors, toBase),
+            receivable: agingReport(debtors, toBase)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// IMPORT
+// The wizard posts the raw CSV or XLSX file at every step, with ?filename= and, once columns are mapped,
+// ?type=creditor|debtor and ?mapping= as JSON { field: column }, so no upload is kept on the server
+const uploadBody = express.raw({ type: () => true, limit: '5mb' });
+
+async function readUpload(req) {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) throw new Error('No file was uploaded');
+    return readSheet(req.body, req.query.filename);
+}
+
+// Returns { error } when the request or its file cannot be read, otherwise { repo, preview }
+async function importPreview(req) {
+    const repo = REPOSITORIES[req.query.type];
+    if (!repo) return { error: 'type must be creditor or debtor' };
+    let mapping, sheet;
+    try {
+        mapping = JSON.parse(req.query.mapping || '{}');
+    } catch (err) {
+        return { error: 'mapping must be JSON' };
+    }
+    if (!mapping.full_name) return { error: 'A column must be mapped to full_name' };
+    try {
+        sheet = await readUpload(req);
+    } catch (err) {
+        return { error: err.message };
+    }
+    return { repo, preview: await previewImport(pool, repo.target, req.ledgerId, { ...sheet, mapping }, await listCurrencies(pool)) };
+}
+
+// Header row, the first rows and a suggested mapping for the wizard's mapping step
+app.post('/api/import/columns', requireAuth, requirePermission('write'), uploadBody, async (req, res) => {
+    let sheet;
+    try {
+        sheet = await readUpload(req);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    res.json({ columns: sheet.columns, sample: sheet.rows.slice(0, 5), row_count: sheet.rows.length, mapping: suggestMapping(sheet.columns) });
+});
+
+app.post('/api/import/preview', requireAuth, requirePermission('write'), uploadBody, async (req, res) => {
+    try {
+        const { error, preview } = await importPreview(req);
+        if (error) return res.status(400).json({ error });
+        res.json(preview);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Imports every row in one transaction, or nothing: invalid rows and rows the database rejects are
+// reported by row number. ?on_duplicate=skip|merge|create decides what happens to likely duplicates.
+app.post('/api/import', requireAuth, requirePermission('write'), uploadBody, async (req, res) => {
+    try {
+        const { error, repo, preview } = await importPreview(req);
+        if (error) return res.status(400).json({ error });
+        if (!preview.valid) {
+            return res.status(400).json({ error: 'Some rows are invalid; nothing was imported', rows: preview.rows.filter(r => r.errors.length) });
+        }
+        const onDuplicate = ['skip', 'merge', 'create'].includes(req.query.on_duplicate) ? req.query.on_duplicate : 'skip';
+        const summary = await withTransaction(pool, client => commitImport(client, repo, req.ledgerId, preview.counterparties, onDuplicate, req.session.userId));
+        res.json({ success: true, ...summary });
+    } catch (err) {
+        if (err.row) {
+            return res.status(400).json({ error: `Row ${err.row} could not be saved; nothing was imported`, rows: [{ row: err.row, errors: [err.message] }] });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Restores a JSON backup from /api/export as new records; see restoreBackup in lib/import.js
+app.post('/api/import/backup', requireAuth, requirePermission('write'), uploadBody, async (req, res) => {
+    let backup;
+    try {
+        backup = JSON.parse(req.body.toString('utf8'));
+    } catch (err) {
+        return res.status(400).json({ error: 'The file is not valid JSON' });
+    }
+    try {
+        let error = backupError(backup);
+        if (!error) error = await itemsError([...backup.creditors, ...backup.debtors].flatMap(c => c.items || []));
+        if (!error) {
+            const currency = await unknownCurrency(backup.payments.map(p => normalizeCurrency(p.currency)));
+            if (currency) error = `No exchange rate for ${currency}`;
+        }
+        if (error) return res.status(400).json({ error });
+        const summary = await withTransaction(pool, client => restoreBackup(client, Object.values(REPOSITORIES), req.ledgerId, backup, req.session.userId));
+        res.json({ success: true, ...summary });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// EXPORT
+// ?format=csv|xlsx|json&scope=creditors|debtors|payments|all, optionally narrowed by ?from= and ?to=
+// (YYYY-MM-DD) and an item ?status=. CSV holds a single scope; json is the backup format.
+app.get('/api/export', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const { format = 'json', scope = 'all', from, to, status } = req.query;
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        if (!EXPORT_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${EXPORT_SCOPES.join(', ')}` });
+        }
+        if (format === 'csv' && scope === 'all') {
+            return res.status(400).json({ error: 'CSV holds one scope at a time; export all as xlsx or json' });
+        }
+        if (status && !EXPORT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${EXPORT_STATUSES.join(', ')}` });
+        }
+        if ([from, to].some(d => d && !isDate(d))) {
+            return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+        }
+
+        const userId = req.ledgerId;
+        const toBase = await converterFor(req);
+        const wants = (s) => scope === s || scope === 'all';
+        const data = {
+            creditors: wants('creditors') ? await REPOSITORIES.creditor.list(userId, toBase) : [],
+            debtors: wants('debtors') ? await REPOSITORIES.debtor.list(userId, toBase) : [],
+            payments: wants('payments') ? (await loadPayments(userId)).rows : []
+        };
+        const file = await exportData(data, { format, scope, from, to, status });
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// REMINDERS
+const reminderEngine = createReminderEngine(pool, {
+    daysAhead: parseInt(process.env.REMINDER_DAYS_AHEAD) || 7,
+    transports: transportsFromEnv()
+});
+
+// Reminders about items in the trash, or of a counterparty in the trash, are not shown
+const DELETED_REMINDER_ITEM_SQL = Object.entries(COUNTERPARTIES).map(([kind, t]) => `
+    EXISTS (SELECT 1 FROM ${t.itemsTable} i JOIN ${t.parentTable} c ON c.id = i.${t.foreignKey}
+        WHERE r.item_type = '${kind}' AND i.id = r.item_id AND (i.deleted_at IS NOT NULL OR c.deleted_at IS NOT NULL))`).join(' OR ');
+
+app.get('/api/reminders', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM reminders r WHERE user_id = $1 AND dismissed_at IS NULL AND (snoozed_until IS NULL OR snoozed_until <= NOW())
+                AND NOT (${DELETED_REMINDER_ITEM_SQL})
+             ORDER BY due_date, id`,
+            [req.ledgerId]
+        );
+        res.json(result.rows.map(r => ({ ...r, amount: parseFloat(r.amount) || 0 })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Snoozing or dismissing hides a reminder from everyone working on the books, so it takes write
+app.post('/api/reminders/:id/snooze', requireAuth, requirePermission('write'), requireOwned('reminders', 'Reminder'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.body.days) || 1, 1), 30);
+        await pool.query(`UPDATE reminders SET snoozed_until = NOW() + ($1 || ' days')::interval WHERE id = $2`, [days, req.params.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/reminders/:id/dismiss', requireAuth, requirePermission('write'), requireOwned('reminders', 'Reminder'), async (req, res) => {
+    try {
+        await pool.query('UPDATE reminders SET dismissed_at = NOW() WHERE id = $1', [req.params.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// TRASH
+const trashPurger = createTrashPurger(pool, REPOSITORIES, {
+    retentionDays: process.env.TRASH_RETENTION_DAYS ? parseInt(process.env.TRASH_RETENTION_DAYS) || 0 : DEFAULT_RETENTION_DAYS
+});
+
+// Restoring a payment re-applies its allocations, which later payments may since have used up
+async function paymentRestoreError(userId, id) {
+    const payment = await findDeletedPayment(pool, userId, id);
+    if (!payment) return null;
+    const repo = Object.values(REPOSITORIES).find(r => r.target.paymentType === payment.type);
+    const allocations = await pool.query('SELECT item_id, amount FROM payment_allocations WHERE payment_id = $1', [payment.id]);
+    if (!allocations.rows.length) return null;
+    const items = await repo.itemBalances(payment.related_id, allocations.rows.map(a => a.item_id));
+    const byId = new Map(items.map(i => [i.id, i]));
+    const over = allocations.rows.find(a => byId.has(a.item_id) && parseFloat(a.amount) > byId.get(a.item_id).balance_due);
+    return over ? `Restoring would exceed the outstanding amount of item ${over.item_id}` : null;
+}
+
+// restore and purge per entity in TRASH_ENTITIES, called with the ledger and the user acting on it; each
+// resolves false when the record is not in the ledger's trash
+const TRASH_HANDLERS = {
+    payment: {
+        restore: (userId, id, actorId) => withTransaction(pool, client => restorePayment(client, userId, id, actorId)),
+        purge: (userId, id, actorId) => withTransaction(pool, async (client) => {
+            const payment = await findDeletedPayment(client, userId, id);
+            if (!payment) return false;
+            await purgePayment(client, actorId, payment.id);
+            return true;
+        })
+    }
+};
+for (const [kind, repo] of Object.entries(REPOSITORIES)) {
+    TRASH_HANDLERS[kind] = { restore: repo.restore, purge: repo.purge };
+    TRASH_HANDLERS[`${kind}_item`] = { restore: repo.restoreItem, purge: repo.purgeItem };
+}
+
+function trashHandler(req, res) {
+    const handler = TRASH_HANDLERS[req.params.entity];
+    if (!handler) {
+        res.status(400).json({ error: `entity must be one of: ${TRASH_ENTITIES.join(', ')}` });
+        return null;
+    }
+    if (!/^\d+$/.test(req.params.id)) {
+        res.status(404).json({ error: 'Not found in the trash' });
+        return null;
+    }
+    return handler;
+}
+
+// Everything the user deleted, newest first; each row's entity and id address it in the routes below
+app.get('/api/trash', requireAuth, requirePermission('read'), async (req, res) => {
+    try {
+        const userId = req.ledgerId;
+        const counterparties = [];
+        const items = [];
+        for (const [kind, repo] of Object.entries(REPOSITORIES)) {
+            const deleted = await repo.deleted(userId);
+            counterparties.push(...deleted.counterparties.map(c => ({ ...c, entity: kind })));
+            items.push(...deleted.items.map(i => ({ ...i, entity: `${kind}_item` })));
+        }
+        const newestFirst = (a, b) => new Date(b.deleted_at) - new Date(a.deleted_at);
+        res.json({
+            retention_days: trashPurger.retentionDays,
+            counterparties: counterparties.sort(newestFirst),
+            items: items.sort(newestFirst),
+            payments: (await deletedPayments(pool, userId)).map(p => ({ ...p, entity: 'payment' }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/trash/:entity/:id/restore', requireAuth, requirePermission('delete'), async (req, res) => {
+    try {
+        const handler = trashHandler(req, res);
+        if (!handler) return;
+        const id = parseInt(req.params.id);
+        if (req.params.entity === 'payment') {
+            const error = await paymentRestoreError(req.ledgerId, id);
+            if (error) return res.status(400).json({ error });
+        }
+        if (!(await handler.restore(req.ledgerId, id, req.session.userId))) {
+            return res.status(404).json({ error: 'Not found in the trash' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Deletes the record for good
+app.delete('/api/trash/:entity/:id', requireAuth, requirePermission('delete'), async (req, res) => {
+    try {
+        const handler = trashHandler(req, res);
+        if (!handler) return;
+        if (!(await handler.purge(req.ledgerId, parseInt(req.params.id), req.session.userId))) {
+            return res.status(404).json({ error: 'Not found in the trash' });
+        }
+        res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -599,10 +1976,15 @@ app.get('/api/dashboard/stats', requireAuth, async (req, res) => {
 
 // PAGE ROUTES
 app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
+app.get('/reset-password', (req, res) => res.sendFile(path.join(__dirname, 'public', 'reset-password.html')));
 app.get('/change-password', (req, res) => { if (!req.session?.userId) return res.redirect('/login'); res.sendFile(path.join(__dirname, 'public', 'change-password.html')); });
 app.get('/dashboard', (req, res) => { if (!req.session?.userId) return res.redirect('/login'); if (req.session.mustChangePassword) return res.redirect('/change-password'); res.sendFile(path.join(__dirname, 'public', 'dashboard.html')); });
-app.get('/admin', (req, res) => { if (!req.session?.userId) return res.redirect('/login'); if (req.session.mustChangePassword) return res.redirect('/change-password'); if (!req.session.isAdmin) return res.redirect('/dashboard'); res.sendFile(path.join(__dirname, 'public', 'admin.html')); });
+app.get('/admin', (req, res, next) => { if (!req.session?.userId) return res.redirect('/login'); if (req.session.mustChangePassword) return res.redirect('/change-password'); next(); }, requireAdmin, (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
 app.get('/', (req, res) => res.redirect('/login'));
 
 // Start
-initDB().then(() => app.listen(PORT, () => console.log(`Server running on port ${PORT}`))).catch(err => { console.error('Failed:', err); process.exit(1); });
+checkSchema().then(ensureAdmin).then(() => {
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    reminderEngine.start();
+    trashPurger.start();
+}).catch(err => { console.error('Failed:', err); process.exit(1); });
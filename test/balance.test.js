@@ -0,0 +1,40 @@
+// A balance as of a date is converted to ?base= at the exchange rates in effect on that date
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers, startServer, login } = require('./helpers');
+
+// A currency of the test's own, so no real rate is touched
+const CURRENCY = 'ZZB';
+
+describe('balance as of a date', { skip }, () => {
+    let pool, server, user, asUser;
+
+    before(async () => {
+        pool = await openPool();
+        user = await createUser(pool);
+        await pool.query(
+            `INSERT INTO exchange_rates (currency, rate, effective_date) VALUES ($1, 100, '2020-01-01'), ($1, 200, '2024-01-01')`,
+            [CURRENCY]
+        );
+        server = await startServer();
+        asUser = await login(server.url, user);
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        await pool.query('DELETE FROM exchange_rates WHERE currency = $1', [CURRENCY]);
+        await removeUsers(pool, [user].filter(Boolean));
+        await pool.end();
+    });
+
+    it('converts at the rates of ?as_of=', async () => {
+        const created = await asUser('POST', '/api/debtors', { full_name: 'Rate Debtor', items: [{ amount: 1000, date_incurred: '2019-06-01' }] });
+        assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+        for (const [asOf, balance] of [['2021-06-01', 10], ['2025-06-01', 5]]) {
+            const res = await asUser('GET', `/api/debtors/${created.body.id}/balance?as_of=${asOf}&base=${CURRENCY}`);
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.strictEqual(res.body.currency, CURRENCY);
+            assert.strictEqual(res.body.balance, balance);
+        }
+    });
+});
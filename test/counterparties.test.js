@@ -0,0 +1,96 @@
+// Writes through the counterparty repository are all or nothing: an item that fails to insert rolls
+// back the counterparty, its contact and its audit entry along with it. A counterparty joins another's
+// contact only when asked, whatever its name, and can be moved to another one later.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers } = require('./helpers');
+const { COUNTERPARTIES, contactError, createCounterpartyRepository } = require('../lib/counterparties');
+const { createConverter } = require('../lib/currency');
+
+// amount is a DECIMAL column, so Postgres refuses this item after the ones before it were inserted
+const BAD_ITEM = { reason: 'Broken', amount: 'not a number' };
+
+describe('counterparty transactions', { skip }, () => {
+    let pool, repo, user, toBase;
+
+    before(async () => {
+        pool = await openPool();
+        repo = createCounterpartyRepository(pool, COUNTERPARTIES.creditor);
+        user = await createUser(pool);
+        toBase = await createConverter(pool);
+    });
+
+    after(async () => {
+        await removeUsers(pool, [user]);
+        await pool.end();
+    });
+
+    async function count(sql) {
+        const result = await pool.query(sql, [user.id]);
+        return result.rows[0].count;
+    }
+
+    const contactOf = async (table, id) => (await pool.query(`SELECT contact_id FROM ${table} WHERE id = $1`, [id])).rows[0].contact_id;
+
+    it('create() writes nothing when an item insert fails', async () => {
+        await assert.rejects(repo.create(user.id, {
+            full_name: 'Half Written',
+            items: [{ reason: 'Fine', amount: 100 }, BAD_ITEM]
+        }));
+        assert.strictEqual(await count('SELECT COUNT(*)::int FROM creditors WHERE user_id = $1'), 0);
+        assert.strictEqual(await count('SELECT COUNT(*)::int FROM contacts WHERE user_id = $1'), 0);
+        assert.strictEqual(await count(`SELECT COUNT(*)::int FROM creditor_items i JOIN creditors c ON c.id = i.creditor_id WHERE c.user_id = $1`), 0);
+        assert.strictEqual(await count(`SELECT COUNT(*)::int FROM audit_log WHERE user_id = $1`), 0);
+    });
+
+    it('update() leaves the counterparty as it was when an item insert fails', async () => {
+        const id = await repo.create(user.id, { full_name: 'Before', contact: '111', items: [{ reason: 'Loan', amount: 500 }] });
+        const stored = await repo.get(user.id, id, toBase);
+        const itemId = stored.items[0].id;
+
+        await assert.rejects(repo.update(user.id, id, {
+            full_name: 'After',
+            contact: '222',
+            items: [{ id: itemId, reason: 'Changed', amount: 900 }, { reason: 'New', amount: 50 }, BAD_ITEM]
+        }));
+
+        const current = await repo.get(user.id, id, toBase);
+        assert.strictEqual(current.full_name, 'Before');
+        assert.strictEqual(current.contact, '111');
+        assert.deepStrictEqual(current.items.map(i => [i.id, i.reason, i.amount]), [[itemId, 'Loan', 500]]);
+        assert.strictEqual(await count(`SELECT COUNT(*)::int FROM contacts WHERE user_id = $1 AND full_name = 'After'`), 0);
+        assert.strictEqual(await count(`SELECT COUNT(*)::int FROM audit_log WHERE user_id = $1 AND action = 'update'`), 0);
+    });
+
+    it('links a counterparty to a contact of the same name only when asked, leaving the other side as entered', async () => {
+        const debtors = createCounterpartyRepository(pool, COUNTERPARTIES.debtor);
+        const creditorId = await repo.create(user.id, { full_name: 'Shared Name', contact: '111' });
+        const contactId = await contactOf('creditors', creditorId);
+
+        const stranger = await debtors.create(user.id, { full_name: 'shared name', contact: '222' });
+        assert.notStrictEqual(await contactOf('debtors', stranger), contactId);
+
+        const linked = await debtors.create(user.id, { full_name: 'Shared Name', contact: '333', contact_id: contactId });
+        assert.strictEqual(await contactOf('debtors', linked), contactId);
+        await debtors.update(user.id, linked, { full_name: 'Shared N.', contact: '444' });
+        const creditor = await repo.get(user.id, creditorId, toBase);
+        assert.deepStrictEqual([creditor.full_name, creditor.contact], ['Shared Name', '111']);
+    });
+
+    it('update() moves a counterparty to the contact it is given and deletes the one left empty', async () => {
+        const debtors = createCounterpartyRepository(pool, COUNTERPARTIES.debtor);
+        const creditorId = await repo.create(user.id, { full_name: 'Entered Twice', contact: '555' });
+        const debtorId = await debtors.create(user.id, { full_name: 'Entered Twice' });
+        const target = await contactOf('creditors', creditorId);
+        const left = await contactOf('debtors', debtorId);
+
+        assert.strictEqual(await contactError(pool, user.id, 'creditor', target), 'This contact is already a creditor');
+        assert.strictEqual(await contactError(pool, user.id, 'creditor', target, creditorId), null);
+        assert.strictEqual(await contactError(pool, user.id, 'debtor', target, debtorId), null);
+        assert.strictEqual(await contactError(pool, user.id, 'debtor', 'abc', debtorId), 'Contact not found');
+
+        assert.ok(await debtors.update(user.id, debtorId, { full_name: 'Entered Twice', contact: '555', contact_id: target }));
+        assert.strictEqual(await contactOf('debtors', debtorId), target);
+        assert.strictEqual(await count(`SELECT COUNT(*)::int FROM contacts WHERE user_id = $1 AND id = ${left}`), 0);
+    });
+});
@@ -0,0 +1,90 @@
+// Shared setup for the tests, which run against the Postgres database in DATABASE_URL once its schema is
+// migrated (npm run migrate). Each test file adds users of its own and deletes them when done, taking
+// their records with them, so a development database can be used. Without DATABASE_URL the tests are skipped.
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+const bcrypt = require('bcryptjs');
+const { Pool } = require('pg');
+const { schemaStatus } = require('../lib/migrations');
+
+const skip = process.env.DATABASE_URL ? false : 'DATABASE_URL is not set';
+
+// Refuses to run on a database that is behind, as the server does
+async function openPool() {
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+    const { pending } = await schemaStatus(pool);
+    if (pending.length) {
+        await pool.end();
+        throw new Error(`${pending.length} migration(s) pending; run npm run migrate first`);
+    }
+    return pool;
+}
+
+// Resolves { id, username, password } of a new user who can log in straight away
+async function createUser(pool, role = 'owner') {
+    const username = `test_${crypto.randomBytes(6).toString('hex')}`;
+    const password = `Test-${crypto.randomBytes(9).toString('base64')}`;
+    const result = await pool.query(
+        `INSERT INTO users (username, email, password_hash, full_name, role, must_change_password)
+         VALUES ($1, $2, $3, $4, $5, FALSE) RETURNING id`,
+        [username, `${username}@example.test`, await bcrypt.hash(password, 4), `Test ${username}`, role]
+    );
+    return { id: result.rows[0].id, username, password };
+}
+
+// Their counterparties, payments, contacts and the rest go with them; audit entries are kept by the
+// schema, so they are deleted here
+async function removeUsers(pool, users) {
+    const ids = users.map(u => u.id);
+    await pool.query('DELETE FROM audit_log WHERE user_id = ANY($1::int[]) OR ledger_id = ANY($1::int[])', [ids]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+}
+
+// Runs server.js on a random port for route tests; resolves { url, stop() }
+function startServer(env = {}) {
+    const port = 20000 + crypto.randomInt(20000);
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, NODE_ENV: 'test', PORT: String(port), REMINDER_TRANSPORTS: 'inapp', MAIL_TRANSPORT: 'console', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                child.removeAllListeners('exit');
+                resolve({
+                    url: `http://127.0.0.1:${port}`,
+                    stop: () => new Promise(done => { child.once('exit', done); child.kill(); })
+                });
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+    });
+}
+
+// Logs user in; resolves request(method, path, body), which resolves { status, body } and keeps the
+// session cookie between calls
+async function login(url, user) {
+    let cookie = '';
+    async function request(method, route, body) {
+        const res = await fetch(url + route, {
+            method,
+            headers: { 'Content-Type': 'application/json', cookie },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const json = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, body: json ? await res.json() : await res.text() };
+    }
+    const res = await request('POST', '/api/auth/login', { username: user.username, password: user.password });
+    if (res.status !== 200) throw new Error(`Login as ${user.username} failed: ${JSON.stringify(res.body)}`);
+    return request;
+}
+
+module.exports = { skip, openPool, createUser, removeUsers, startServer, login };
@@ -0,0 +1,34 @@
+// Reading amounts from imported sheets: thousands separators are not mistaken for decimals, and amounts
+// that could be either are refused rather than guessed
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseAmount } = require('../lib/import');
+
+describe('parseAmount', () => {
+    it('reads a lone separator followed by three digits as thousands', () => {
+        assert.strictEqual(parseAmount('150,000'), 150000);
+        assert.strictEqual(parseAmount('1.500'), 1500);
+        assert.strictEqual(parseAmount('1,500,000'), 1500000);
+        assert.strictEqual(parseAmount('2.000.000'), 2000000);
+    });
+
+    it('reads decimals', () => {
+        assert.strictEqual(parseAmount('1500.5'), 1500.5);
+        assert.strictEqual(parseAmount('12,34'), 12.34);
+        assert.strictEqual(parseAmount('1 500,50'), 1500.5);
+        assert.strictEqual(parseAmount('1.500,50'), 1500.5);
+        assert.strictEqual(parseAmount('1,500.50'), 1500.5);
+        assert.strictEqual(parseAmount('1 500 000'), 1500000);
+    });
+
+    it('refuses amounts that could be decimals or thousands', () => {
+        assert.strictEqual(parseAmount('0,500'), null);
+        assert.strictEqual(parseAmount('1500.000'), null);
+    });
+
+    it('refuses what is not an amount', () => {
+        for (const text of ['abc', '', '150,', '1,50,000', '1.500.000.5,5', '1,000.000.5', '12a']) {
+            assert.ok(Number.isNaN(parseAmount(text)), text);
+        }
+    });
+});
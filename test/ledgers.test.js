@@ -0,0 +1,82 @@
+// Shared books in the audit log: a change made by someone the books are shared with is logged in the
+// owner's ledger, and granting, changing and revoking the share are logged there too. Sharing takes a role
+// that may write, and a viewer of shared books cannot snooze or dismiss their reminders.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers, startServer, login } = require('./helpers');
+const { searchAudit } = require('../lib/audit');
+
+describe('shared ledger audit', { skip }, () => {
+    let pool, server, owner, editor, asOwner, asEditor;
+
+    before(async () => {
+        pool = await openPool();
+        owner = await createUser(pool);
+        editor = await createUser(pool);
+        server = await startServer();
+        asOwner = await login(server.url, owner);
+        asEditor = await login(server.url, editor);
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        await removeUsers(pool, [owner, editor].filter(Boolean));
+        await pool.end();
+    });
+
+    it('logs shares and shared changes in the owner\'s ledger', async () => {
+        const share = await asOwner('POST', '/api/ledgers/shares', { username: editor.username.toUpperCase(), role: 'editor' });
+        assert.strictEqual(share.status, 200, JSON.stringify(share.body));
+        assert.strictEqual((await asEditor('PUT', '/api/ledgers/current', { id: owner.id })).status, 200);
+        const created = await asEditor('POST', '/api/creditors', { full_name: 'Shared Books Creditor', items: [{ amount: 100 }] });
+        assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+        assert.strictEqual((await asOwner('PUT', `/api/ledgers/shares/${share.body.id}`, { role: 'viewer' })).status, 200);
+        assert.strictEqual((await asOwner('DELETE', `/api/ledgers/shares/${share.body.id}`)).status, 200);
+
+        const { rows } = await searchAudit(pool, { ledgerId: owner.id });
+        const logged = rows.reverse().map(r => [r.entity_type, r.action, r.user_id]);
+        assert.deepStrictEqual(logged, [
+            ['ledger_share', 'create', owner.id],
+            ['creditor', 'create', editor.id],
+            ['ledger_share', 'update', owner.id],
+            ['ledger_share', 'delete', owner.id]
+        ]);
+        assert.strictEqual((await searchAudit(pool, { ledgerId: editor.id })).total, 0);
+    });
+
+    it('refuses sharing to roles that may not write, or as more than the role allows', async () => {
+        const viewer = await createUser(pool, 'viewer');
+        const bookkeeper = await createUser(pool, 'bookkeeper');
+        try {
+            const asViewer = await login(server.url, viewer);
+            const asBookkeeper = await login(server.url, bookkeeper);
+            assert.strictEqual((await asViewer('GET', '/api/ledgers/shares')).status, 200);
+            assert.strictEqual((await asViewer('POST', '/api/ledgers/shares', { username: owner.username, role: 'viewer' })).status, 403);
+            assert.strictEqual((await asBookkeeper('POST', '/api/ledgers/shares', { username: owner.username, role: 'editor' })).status, 403);
+            const share = await asBookkeeper('POST', '/api/ledgers/shares', { username: owner.username, role: 'viewer' });
+            assert.strictEqual(share.status, 200, JSON.stringify(share.body));
+            assert.strictEqual((await asBookkeeper('PUT', `/api/ledgers/shares/${share.body.id}`, { role: 'editor' })).status, 403);
+            assert.strictEqual((await asViewer('DELETE', `/api/ledgers/shares/${share.body.id}`)).status, 403);
+            assert.strictEqual((await asBookkeeper('PUT', '/api/ledgers/shares/abc', { role: 'viewer' })).status, 404);
+            assert.strictEqual((await asBookkeeper('DELETE', '/api/ledgers/shares/abc')).status, 404);
+        } finally {
+            await removeUsers(pool, [viewer, bookkeeper]);
+        }
+    });
+
+    it('lets only those who may write snooze or dismiss the reminders of shared books', async () => {
+        const reminder = await pool.query(
+            `INSERT INTO reminders (user_id, item_type, item_id, kind, due_date, amount, message)
+             VALUES ($1, 'creditor', 0, 'overdue', '2020-01-15', 100, 'You owe Shared Books Creditor') RETURNING id`,
+            [owner.id]
+        );
+        const id = reminder.rows[0].id;
+        assert.strictEqual((await asOwner('POST', '/api/ledgers/shares', { username: editor.username, role: 'viewer' })).status, 200);
+        assert.strictEqual((await asEditor('PUT', '/api/ledgers/current', { id: owner.id })).status, 200);
+        assert.strictEqual((await asEditor('POST', `/api/reminders/${id}/snooze`, { days: 3 })).status, 403);
+        assert.strictEqual((await asEditor('POST', `/api/reminders/${id}/dismiss`)).status, 403);
+        const { rows } = await pool.query('SELECT snoozed_until, dismissed_at FROM reminders WHERE id = $1', [id]);
+        assert.deepStrictEqual(rows[0], { snoozed_until: null, dismissed_at: null });
+        assert.strictEqual((await asOwner('POST', `/api/reminders/${id}/dismiss`)).status, 200);
+    });
+});
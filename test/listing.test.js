@@ -0,0 +1,22 @@
+// List query parsing: ?from and ?to must be dates on the calendar, so a bad one is a 400 rather than an
+// error from Postgres
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { isDate, parseListQuery } = require('../lib/listing');
+
+const LIST = { sorts: ['name'], statuses: ['pending'], defaultSort: 'name' };
+
+describe('parseListQuery', () => {
+    it('accepts calendar dates only', () => {
+        assert.ok(isDate('2024-02-29'));
+        for (const value of ['2023-02-29', '2024-02-30', '2024-13-45', '2024-00-10', '2024-1-5', '2024-01-05T00:00', 'today']) {
+            assert.ok(!isDate(value), value);
+        }
+    });
+
+    it('refuses a from or to that is not a date', () => {
+        assert.strictEqual(parseListQuery({ from: '2024-01-01', to: '2024-12-31' }, LIST).options.to, '2024-12-31');
+        assert.match(parseListQuery({ from: '2024-13-45' }, LIST).error, /from and to must be dates/);
+        assert.match(parseListQuery({ to: '2024-02-30' }, LIST).error, /from and to must be dates/);
+    });
+});
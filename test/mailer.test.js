@@ -0,0 +1,38 @@
+// Mail in production goes out over SMTP only: the console and file transports would leave password reset
+// links in the logs or on disk, so without SMTP_URL the mailer is disabled and email reminders are left out
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createMailer } = require('../lib/mailer');
+const { transportsFromEnv } = require('../lib/reminders');
+
+describe('createMailer', () => {
+    it('disables the console and file transports in production', async () => {
+        for (const env of [
+            { NODE_ENV: 'production' },
+            { NODE_ENV: 'production', MAIL_TRANSPORT: 'file' },
+            { NODE_ENV: 'production', MAIL_TRANSPORT: 'console', SMTP_URL: 'smtp://mail.example.test' }
+        ]) {
+            const mailer = createMailer(env);
+            assert.match(mailer.disabled, /set SMTP_URL/);
+            await assert.rejects(mailer.send({ to: 'someone@example.test', subject: 'Hi', text: 'Hi' }), /set SMTP_URL/);
+        }
+    });
+
+    it('sends over SMTP in production and allows the others elsewhere', () => {
+        for (const [env, name] of [
+            [{ NODE_ENV: 'production', SMTP_URL: 'smtp://mail.example.test' }, 'smtp'],
+            [{ NODE_ENV: 'development' }, 'console'],
+            [{ MAIL_TRANSPORT: 'file' }, 'file']
+        ]) {
+            const mailer = createMailer(env);
+            assert.strictEqual(mailer.name, name);
+            assert.ok(!mailer.disabled);
+        }
+    });
+
+    it('leaves email out of the reminder transports while the mailer is disabled', () => {
+        const names = (env) => transportsFromEnv({ REMINDER_TRANSPORTS: 'inapp,email', ...env }).map(t => t.name);
+        assert.deepStrictEqual(names({ NODE_ENV: 'production' }), ['inapp']);
+        assert.deepStrictEqual(names({ NODE_ENV: 'production', SMTP_URL: 'smtp://mail.example.test' }), ['inapp', 'email']);
+    });
+});
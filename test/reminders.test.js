@@ -0,0 +1,61 @@
+// The reminder engine with the stub transport: outstanding items due soon or overdue are reminded of
+// once, for their balance due with penalties in their own currency, and items due later or already paid are not
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers } = require('./helpers');
+const { COUNTERPARTIES, createCounterpartyRepository } = require('../lib/counterparties');
+const { createReminderEngine, createStubTransport } = require('../lib/reminders');
+
+describe('reminder engine', { skip }, () => {
+    let pool, user, stub, engine;
+    // What was sent for this user; the engine covers everyone in the database
+    const sentHere = () => stub.sent.filter(s => s.user.id === user.id).map(s => s.reminder);
+    // YYYY-MM-DD, days from the database's today, which the engine counts from
+    const day = async (offset) => (await pool.query('SELECT (CURRENT_DATE + $1::int)::text AS day', [offset])).rows[0].day;
+
+    before(async () => {
+        pool = await openPool();
+        user = await createUser(pool);
+        stub = createStubTransport();
+        engine = createReminderEngine(pool, { daysAhead: 7, transports: [stub] });
+
+        const creditors = createCounterpartyRepository(pool, COUNTERPARTIES.creditor);
+        const debtors = createCounterpartyRepository(pool, COUNTERPARTIES.debtor);
+        await creditors.create(user.id, {
+            full_name: 'Upcoming Lender',
+            items: [{ reason: 'Soon', amount: 300, currency: 'EUR', due_date: await day(3) }, { reason: 'Later', amount: 200, due_date: await day(30) }]
+        });
+        const debtorId = await debtors.create(user.id, {
+            full_name: 'Late Borrower',
+            items: [{ reason: 'Late', amount: 400, due_date: await day(-10), late_fee_type: 'flat', late_fee_value: 50 }, { reason: 'Settled', amount: 100, due_date: await day(-5) }]
+        });
+        // The settled item is paid in full
+        const settled = await pool.query(`SELECT id FROM debtor_items WHERE debtor_id = $1 AND reason = 'Settled'`, [debtorId]);
+        const payment = await pool.query(`INSERT INTO payments (user_id, type, related_id, amount, currency) VALUES ($1, 'received', $2, 100, 'XAF') RETURNING id`, [user.id, debtorId]);
+        await pool.query('INSERT INTO payment_allocations (payment_id, item_id, amount) VALUES ($1, $2, 100)', [payment.rows[0].id, settled.rows[0].id]);
+    });
+
+    after(async () => {
+        await removeUsers(pool, [user]);
+        await pool.end();
+    });
+
+    it('sends upcoming and overdue reminders through the transport', async () => {
+        await engine.run();
+        const sent = sentHere().sort((a, b) => a.kind.localeCompare(b.kind));
+        assert.deepStrictEqual(sent.map(r => [r.kind, r.item_type, parseFloat(r.amount), r.currency]), [['overdue', 'debtor', 450, 'XAF'], ['upcoming', 'creditor', 300, 'EUR']]);
+        assert.match(sent[0].message, /Late Borrower owes you 450 XAF for "Late", overdue by 10 days/);
+        assert.match(sent[1].message, /You owe Upcoming Lender 300 EUR for "Soon", due in 3 days/);
+
+        const stored = await pool.query('SELECT COUNT(*)::int AS count FROM reminders WHERE user_id = $1 AND delivered_at IS NOT NULL', [user.id]);
+        assert.strictEqual(stored.rows[0].count, 2);
+    });
+
+    it('sends nothing new on a second run', async () => {
+        const before = sentHere().length;
+        await engine.run();
+        assert.strictEqual(sentHere().length, before);
+        const stored = await pool.query('SELECT COUNT(*)::int AS count FROM reminders WHERE user_id = $1', [user.id]);
+        assert.strictEqual(stored.rows[0].count, 2);
+    });
+});
@@ -0,0 +1,46 @@
+// Statement templates from the admin routes: creating, editing and deleting one is logged in the audit
+// trail, and a template that is not there answers 404
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers, startServer, login } = require('./helpers');
+const { searchAudit } = require('../lib/audit');
+
+describe('statement template admin', { skip }, () => {
+    let pool, server, admin, asAdmin;
+
+    before(async () => {
+        pool = await openPool();
+        admin = await createUser(pool, 'admin');
+        server = await startServer();
+        asAdmin = await login(server.url, admin);
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        await removeUsers(pool, [admin].filter(Boolean));
+        await pool.end();
+    });
+
+    it('logs changes to a template and answers 404 once it is deleted', async () => {
+        // template_type takes letters only, so the admin's id is spelt with them to keep it unique
+        const template = {
+            counterparty_type: 'debtor', template_type: `test_${[...String(admin.id)].map(d => 'abcdefghij'[d]).join('')}`, language: 'english', name: 'Test', heading: '', body: 'Hello', signatures: ''
+        };
+        const created = await asAdmin('POST', '/api/admin/statement-templates', template);
+        assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+        const route = `/api/admin/statement-templates/${created.body.id}`;
+        assert.strictEqual((await asAdmin('PUT', route, { ...template, body: 'Hello again' })).status, 200);
+        assert.strictEqual((await asAdmin('DELETE', route)).status, 200);
+        assert.strictEqual((await asAdmin('DELETE', route)).status, 404);
+        assert.strictEqual((await asAdmin('PUT', route, template)).status, 404);
+        assert.strictEqual((await asAdmin('DELETE', '/api/admin/statement-templates/abc')).status, 404);
+
+        const { rows } = await searchAudit(pool, { userId: admin.id, entityType: 'statement_template' });
+        const logged = rows.reverse().map(r => [r.action, r.entity_id, r.before?.body ?? null, r.after?.body ?? null]);
+        assert.deepStrictEqual(logged, [
+            ['create', created.body.id, null, 'Hello'],
+            ['update', created.body.id, 'Hello', 'Hello again'],
+            ['delete', created.body.id, 'Hello again', null]
+        ]);
+    });
+});
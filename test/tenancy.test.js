@@ -0,0 +1,152 @@
+// Two users with books of their own: every :id route answers 404 to the one who does not own the record,
+// list endpoints show only the caller's records, and nothing the other user tries changes a stored row
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { skip, openPool, createUser, removeUsers, startServer, login } = require('./helpers');
+
+const PAST = '2020-01-15';
+
+describe('tenant isolation', { skip }, () => {
+    let pool, server, owner, other, asOwner, asOther;
+    // Ids of the owner's records, by name
+    const ids = {};
+
+    async function ok(request, method, route, body) {
+        const res = await request(method, route, body);
+        assert.ok(res.status < 300, `${method} ${route}: ${res.status} ${JSON.stringify(res.body)}`);
+        return res.body;
+    }
+
+    // Every row of the owner's books, to compare before and after the other user's attempts
+    async function ownerRows() {
+        const rows = {};
+        const queries = {
+            creditors: 'SELECT * FROM creditors WHERE user_id = $1 ORDER BY id',
+            debtors: 'SELECT * FROM debtors WHERE user_id = $1 ORDER BY id',
+            creditor_items: 'SELECT i.* FROM creditor_items i JOIN creditors c ON c.id = i.creditor_id WHERE c.user_id = $1 ORDER BY i.id',
+            debtor_items: 'SELECT i.* FROM debtor_items i JOIN debtors d ON d.id = i.debtor_id WHERE d.user_id = $1 ORDER BY i.id',
+            payments: 'SELECT * FROM payments WHERE user_id = $1 ORDER BY id',
+            payment_allocations: 'SELECT pa.* FROM payment_allocations pa JOIN payments p ON p.id = pa.payment_id WHERE p.user_id = $1 ORDER BY pa.id',
+            repayment_plans: `SELECT rp.* FROM repayment_plans rp JOIN debtor_items i ON rp.item_type = 'debtor' AND rp.item_id = i.id
+                JOIN debtors d ON d.id = i.debtor_id WHERE d.user_id = $1 ORDER BY rp.id`,
+            reminders: 'SELECT * FROM reminders WHERE user_id = $1 ORDER BY id',
+            letters: 'SELECT id, counterparty_type, counterparty_id, filename FROM letters WHERE user_id = $1 ORDER BY id',
+            contacts: 'SELECT * FROM contacts WHERE user_id = $1 ORDER BY id',
+            audit_log: 'SELECT id FROM audit_log WHERE user_id = $1 ORDER BY id'
+        };
+        for (const [table, sql] of Object.entries(queries)) rows[table] = (await pool.query(sql, [owner.id])).rows;
+        return rows;
+    }
+
+    before(async () => {
+        pool = await openPool();
+        owner = await createUser(pool);
+        other = await createUser(pool);
+        server = await startServer();
+        asOwner = await login(server.url, owner);
+        asOther = await login(server.url, other);
+
+        // The owner's books: a creditor and a debtor with items, a plan, a payment, a letter and a
+        // reminder, plus a counterparty, an item and a payment in the trash
+        ids.creditor = (await ok(asOwner, 'POST', '/api/creditors', { full_name: 'Owner Creditor', items: [{ reason: 'Loan', amount: 1000, due_date: PAST }] })).id;
+        ids.debtor = (await ok(asOwner, 'POST', '/api/debtors', {
+            full_name: 'Owner Debtor',
+            items: [{ reason: 'Sale', amount: 600, due_date: PAST }, { reason: 'Extra', amount: 50 }]
+        })).id;
+        const debtor = await ok(asOwner, 'GET', `/api/debtors/${ids.debtor}/balance`);
+        [ids.debtorItem, ids.deletedItem] = debtor.items.map(i => i.id);
+        ids.creditorItem = (await ok(asOwner, 'GET', `/api/creditors/${ids.creditor}/balance`)).items[0].id;
+        await ok(asOwner, 'PUT', `/api/debtors/${ids.debtor}/items/${ids.debtorItem}/plan`, { start_date: '2026-01-01', frequency: 'monthly', installment_count: 3 });
+        ids.payment = (await ok(asOwner, 'POST', '/api/payments', {
+            type: 'received', related_id: ids.debtor, amount: 100, currency: 'XAF', reference: 'Owner payment', allocations: [{ item_id: ids.debtorItem, amount: 100 }]
+        })).id;
+        ids.deletedPayment = (await ok(asOwner, 'POST', '/api/payments', { type: 'received', related_id: ids.debtor, amount: 10, currency: 'XAF', reference: 'Owner refund' })).id;
+        await ok(asOwner, 'DELETE', `/api/payments/${ids.deletedPayment}`);
+        await ok(asOwner, 'DELETE', `/api/debtors/${ids.debtor}/items/${ids.deletedItem}`);
+        ids.deletedCreditor = (await ok(asOwner, 'POST', '/api/creditors', { full_name: 'Owner Deleted', items: [{ amount: 5 }] })).id;
+        await ok(asOwner, 'DELETE', `/api/creditors/${ids.deletedCreditor}`);
+        await ok(asOwner, 'GET', `/api/creditors/${ids.creditor}/statement.pdf`);
+
+        const letter = await pool.query('SELECT id FROM letters WHERE user_id = $1', [owner.id]);
+        ids.letter = letter.rows[0].id;
+        const contact = await pool.query('SELECT contact_id FROM creditors WHERE id = $1', [ids.creditor]);
+        ids.contact = contact.rows[0].contact_id;
+        const reminder = await pool.query(
+            `INSERT INTO reminders (user_id, item_type, item_id, kind, due_date, amount, message)
+             VALUES ($1, 'creditor', $2, 'overdue', $3, 1000, 'You owe Owner Creditor') RETURNING id`,
+            [owner.id, ids.creditorItem, PAST]
+        );
+        ids.reminder = reminder.rows[0].id;
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        await removeUsers(pool, [owner, other].filter(Boolean));
+        await pool.end();
+    });
+
+    it("answers 404 on every :id route for the other user's records and changes nothing", async () => {
+        const plan = { start_date: '2026-01-01', frequency: 'weekly', installment_count: 2 };
+        const attempts = [];
+        for (const [kind, table] of [['creditor', 'creditors'], ['debtor', 'debtors']]) {
+            const id = ids[kind];
+            const itemId = ids[`${kind}Item`];
+            attempts.push(
+                ['GET', `/api/${table}/${id}/balance`],
+                ['GET', `/api/${table}/${id}/ledger`],
+                ['GET', `/api/${table}/${id}/statement`],
+                ['GET', `/api/${table}/${id}/statement.pdf`],
+                ['GET', `/api/${table}/${id}/letters`],
+                ['GET', `/api/${table}/${id}/history`],
+                ['PUT', `/api/${table}/${id}`, { full_name: 'Taken Over', items: [] }],
+                ['POST', `/api/${table}/${id}/items`, { reason: 'Injected', amount: 1 }],
+                ['PATCH', `/api/${table}/${id}/items/${itemId}`, { amount: 1 }],
+                ['GET', `/api/${table}/${id}/items/${itemId}/plan`],
+                ['PUT', `/api/${table}/${id}/items/${itemId}/plan`, plan],
+                ['DELETE', `/api/${table}/${id}/items/${itemId}/plan`],
+                ['DELETE', `/api/${table}/${id}/items/${itemId}`],
+                ['DELETE', `/api/${table}/${id}`]
+            );
+        }
+        attempts.push(
+            ['POST', '/api/payments', { type: 'paid', related_id: ids.creditor, amount: 1, currency: 'XAF' }],
+            ['GET', `/api/payments/${ids.payment}/history`],
+            ['DELETE', `/api/payments/${ids.payment}`],
+            ['GET', `/api/contacts/${ids.contact}`],
+            ['GET', `/api/letters/${ids.letter}.pdf`],
+            ['POST', `/api/reminders/${ids.reminder}/snooze`, { days: 3 }],
+            ['POST', `/api/reminders/${ids.reminder}/dismiss`],
+            ['POST', `/api/trash/creditor/${ids.deletedCreditor}/restore`],
+            ['POST', `/api/trash/debtor_item/${ids.deletedItem}/restore`],
+            ['POST', `/api/trash/payment/${ids.deletedPayment}/restore`],
+            ['DELETE', `/api/trash/creditor/${ids.deletedCreditor}`],
+            ['DELETE', `/api/trash/debtor_item/${ids.deletedItem}`],
+            ['DELETE', `/api/trash/payment/${ids.deletedPayment}`]
+        );
+
+        const before = await ownerRows();
+        for (const [method, route, body] of attempts) {
+            const res = await asOther(method, route, body);
+            assert.strictEqual(res.status, 404, `${method} ${route} answered ${res.status}: ${JSON.stringify(res.body)}`);
+        }
+        assert.deepStrictEqual(await ownerRows(), before);
+    });
+
+    it("allocates no payment to the other user's items", async () => {
+        const own = (await ok(asOther, 'POST', '/api/debtors', { full_name: 'Other Debtor', items: [{ amount: 500 }] })).id;
+        const res = await asOther('POST', '/api/payments', {
+            type: 'received', related_id: own, amount: 50, currency: 'XAF', allocations: [{ item_id: ids.debtorItem, amount: 50 }]
+        });
+        assert.strictEqual(res.status, 400);
+        const allocations = await pool.query('SELECT COUNT(*)::int AS count FROM payment_allocations WHERE item_id = $1', [ids.debtorItem]);
+        assert.strictEqual(allocations.rows[0].count, 1);
+    });
+
+    it("lists none of the other user's records", async () => {
+        // Every record of the owner's is named or referenced with 'Owner'
+        for (const route of ['/api/creditors', '/api/debtors', '/api/payments', '/api/contacts', '/api/reminders', '/api/trash', '/api/export?format=json']) {
+            const body = await ok(asOther, 'GET', route);
+            assert.ok(!JSON.stringify(body).includes('Owner'), `${route} includes the owner's records`);
+        }
+    });
+});